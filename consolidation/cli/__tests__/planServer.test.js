@@ -0,0 +1,93 @@
+import { readFileSync } from "node:fs";
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import { createPlanServer } from "../planServer.js";
+
+const overflow = readFileSync(
+  new URL("../../src/engine/__tests__/fixtures/overflow.csv", import.meta.url),
+  "utf8"
+);
+
+describe("plan server", () => {
+  const server = createPlanServer();
+  let base;
+
+  beforeAll(
+    () =>
+      new Promise((resolve) => {
+        server.listen(0, "127.0.0.1", () => {
+          base = `http://127.0.0.1:${server.address().port}`;
+          resolve();
+        });
+      })
+  );
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  it("answers a health check", async () => {
+    const res = await fetch(`${base}/health`);
+    expect(await res.json()).toEqual({ ok: true });
+  });
+
+  it("lets the app's own origin call it from the browser", async () => {
+    const res = await fetch(`${base}/health`, { headers: { Origin: "http://localhost:5173" } });
+    expect(res.status).toBe(200);
+    expect(res.headers.get("access-control-allow-origin")).toBe("http://localhost:5173");
+  });
+
+  it("refuses requests from other pages", async () => {
+    const res = await fetch(`${base}/plan`, {
+      method: "POST",
+      headers: { Origin: "https://example.com" },
+      body: overflow,
+    });
+    expect(res.status).toBe(403);
+    expect(res.headers.get("access-control-allow-origin")).toBeNull();
+  });
+
+  it("plans a posted CSV with settings from the query string", async () => {
+    const res = await fetch(`${base}/plan?maxConsignments=8`, { method: "POST", body: overflow });
+    expect(res.status).toBe(200);
+    const plan = await res.json();
+    expect(plan.routesNeeded).toBe(2);
+    expect(plan.suggestions.map((s) => s.sourceConsignment)).toEqual(["C02", "C01"]);
+  });
+
+  it("returns the move list as CSV when asked", async () => {
+    const res = await fetch(`${base}/plan?format=csv&maxConsignments=8`, {
+      method: "POST",
+      body: overflow,
+    });
+    expect(res.headers.get("content-type")).toMatch(/^text\/csv/);
+    expect((await res.text()).split("\r\n")).toHaveLength(5);
+  });
+
+  it("compares strategies for the app", async () => {
+    const rows = [{ Shipment: "S1", Consignment: "C01", "Completed Totes - Ambient": "4" }];
+    const res = await fetch(`${base}/compare`, {
+      method: "POST",
+      body: JSON.stringify({ rows, config: {} }),
+    });
+    expect(Object.keys((await res.json()).plans)).toEqual(["greedy", "optimal"]);
+  });
+
+  it("reports bad requests as JSON errors", async () => {
+    const res = await fetch(`${base}/plan?maxCons=3`, { method: "POST", body: overflow });
+    expect(res.status).toBe(400);
+    expect(await res.json()).toEqual({ error: 'Unknown setting "maxCons".' });
+    expect((await fetch(`${base}/nowhere`)).status).toBe(404);
+  });
+
+  it("turns away compare requests that aren't rows of objects", async () => {
+    const compare = (body) =>
+      fetch(`${base}/compare`, { method: "POST", body: JSON.stringify(body) });
+    for (const body of [null, [], { rows: [1, null] }, { rows: [["S1"]] }, { rows: [], config: 3 }]) {
+      const res = await compare(body);
+      expect(res.status).toBe(400);
+      expect((await res.json()).error).toMatch(/^(Body|config)/);
+    }
+  });
+
+  it("refuses a setting outside its choices", async () => {
+    const res = await fetch(`${base}/plan?strategy=fastest`, { method: "POST", body: overflow });
+    expect(res.status).toBe(400);
+  });
+});
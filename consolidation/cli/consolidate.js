@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+// Plans consolidation from WMS exports without the browser, for scripts and
+// nightly jobs. Reads the same CSV/TSV files the upload form accepts.
+import { readFile, writeFile } from "node:fs/promises";
+import { basename } from "node:path";
+import { parseArgs } from "node:util";
+import {
+  parseConfigOverrides,
+  planFromTexts,
+  resultToCsv,
+  resultToJson,
+} from "../src/engine/index.js";
+import { createTranslator, csvLabels, LOCALES } from "../src/i18n/index.js";
+
+const USAGE = `Usage: node cli/consolidate.js [options] <file...>
+
+Plans consolidation moves from one or more WMS exports ("-" reads stdin).
+
+Options:
+  -f, --format <json|csv>  Output the full plan as JSON (default) or the move list as CSV
+  -o, --out <path>         Write to a file instead of stdout
+  -c, --config <path>      JSON file of site settings, e.g. { "maxConsignments": 8 }
+  -s, --set <key=value>    Override one setting, e.g. --set maxConsignments=8 (repeatable)
+      --rules <path>       JSON file of section locks/exclusions: { "S1::C01::ambient": "locked" }
+  -h, --help               Show this help
+`;
+
+const OPTIONS = {
+  format: { type: "string", short: "f", default: "json" },
+  out: { type: "string", short: "o" },
+  config: { type: "string", short: "c" },
+  set: { type: "string", short: "s", multiple: true, default: [] },
+  rules: { type: "string" },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+const FORMATTERS = { json: resultToJson, csv: resultToCsv };
+
+// The interface languages a site's settings may pick.
+const LANGUAGES = { locale: Object.keys(LOCALES) };
+
+const readStdin = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+const readInput = async (path) => ({
+  name: path === "-" ? "stdin" : basename(path),
+  text: path === "-" ? await readStdin() : await readFile(path, "utf8"),
+});
+
+const readJsonFile = async (path) => JSON.parse(await readFile(path, "utf8"));
+
+// A --config file is checked setting by setting, the same way as --set.
+const readConfigFile = async (path) => {
+  const settings = await readJsonFile(path);
+  if (settings === null || typeof settings !== "object" || Array.isArray(settings)) {
+    throw new Error(`${path} must hold a JSON object of settings.`);
+  }
+  try {
+    return parseConfigOverrides(settings, LANGUAGES);
+  } catch (err) {
+    throw new Error(`${path}: ${err.message}`);
+  }
+};
+
+// --set key=value pairs as an object of raw strings.
+const parseSetFlags = (pairs) =>
+  Object.fromEntries(
+    pairs.map((pair) => {
+      const idx = pair.indexOf("=");
+      if (idx < 1) throw new Error(`--set expects key=value, got "${pair}".`);
+      return [pair.slice(0, idx).trim(), pair.slice(idx + 1)];
+    })
+  );
+
+// Import problems go to stderr so they never end up in the plan output.
+const reportImport = ({ skipped, malformed, duplicates }) => {
+  const notes = [
+    [skipped.length, "rows skipped"],
+    [malformed.length, "malformed tote values"],
+    [duplicates.length, "duplicate consignments"],
+  ].filter(([count]) => count > 0);
+  if (notes.length > 0) {
+    process.stderr.write(`Import: ${notes.map(([count, what]) => `${count} ${what}`).join(", ")}\n`);
+  }
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (positionals.length === 0) {
+    throw new Error(`No input files given.\n\n${USAGE}`);
+  }
+  const format = FORMATTERS[values.format];
+  if (!format) {
+    throw new Error(`Unknown format "${values.format}"; use json or csv.`);
+  }
+
+  const config = {
+    ...(values.config ? await readConfigFile(values.config) : {}),
+    ...parseConfigOverrides(parseSetFlags(values.set), LANGUAGES),
+  };
+  const sectionRules = values.rules ? await readJsonFile(values.rules) : {};
+  const files = await Promise.all(positionals.map(readInput));
+
+  // Route names and CSV headers follow the site's language and labels.
+  const i18n = createTranslator(config);
+  const result = planFromTexts(files, config, sectionRules, i18n.routeLabels);
+  reportImport(result.report);
+
+  const output = format(result, csvLabels(i18n));
+  if (values.out) {
+    await writeFile(values.out, `${output}\n`);
+  } else {
+    process.stdout.write(`${output}\n`);
+  }
+};
+
+main().catch((err) => {
+  process.stderr.write(`${err.message}\n`);
+  process.exitCode = 1;
+});
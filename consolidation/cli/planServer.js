@@ -0,0 +1,144 @@
+import { createServer } from "node:http";
+import {
+  comparePlans,
+  parseConfigOverrides,
+  planFromTexts,
+  resultToCsv,
+  resultToJson,
+} from "../src/engine/index.js";
+import { createTranslator, csvLabels, LOCALES } from "../src/i18n/index.js";
+
+// Largest request body accepted; a week of exports is well under this.
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request body is too large."));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new HttpError(400, "Body is not valid JSON.");
+  }
+};
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// The app's own Vite dev and preview servers. Other pages the planner has open
+// must not be able to post data here; scripts and curl send no Origin at all.
+export const DEFAULT_ALLOWED_ORIGINS = [
+  "http://localhost:5173",
+  "http://127.0.0.1:5173",
+  "http://localhost:4173",
+  "http://127.0.0.1:4173",
+];
+
+// `origin` is the request's allowed Origin, if it sent one.
+const send = (res, status, body, contentType = "application/json", origin = null) => {
+  res.writeHead(status, {
+    "Content-Type": `${contentType}; charset=utf-8`,
+    Vary: "Origin",
+    ...(origin && {
+      "Access-Control-Allow-Origin": origin,
+      "Access-Control-Allow-Headers": "Content-Type",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    }),
+  });
+  res.end(body);
+};
+
+// POST /plan: an export in the body (CSV, TSV or semicolon), settings as query
+// parameters, e.g. /plan?format=csv&maxConsignments=8. Returns the plan.
+const handlePlan = async (req, url) => {
+  const { format = "json", name = "request body", ...settings } = Object.fromEntries(
+    url.searchParams
+  );
+  const formatter = { json: resultToJson, csv: resultToCsv }[format];
+  if (!formatter) throw new HttpError(400, `Unknown format "${format}"; use json or csv.`);
+
+  const text = await readBody(req);
+  if (!text.trim()) throw new HttpError(400, "Request body is empty; send the export as text.");
+
+  let result;
+  let i18n;
+  try {
+    const config = parseConfigOverrides(settings, { locale: Object.keys(LOCALES) });
+    i18n = createTranslator(config);
+    result = planFromTexts([{ name, text }], config, undefined, i18n.routeLabels);
+  } catch (err) {
+    throw new HttpError(400, err.message);
+  }
+  return format === "csv"
+    ? [formatter(result, csvLabels(i18n)), "text/csv"]
+    : [formatter(result)];
+};
+
+// POST /compare: { rows, config, sectionRules } as JSON, the same request the
+// app's plan worker handles. Returns { plans: { [strategy]: plan } }.
+const handleCompare = async (req) => {
+  const body = parseJson(await readBody(req));
+  if (!isObject(body)) throw new HttpError(400, "Body must be a JSON object.");
+  const { rows, config, sectionRules } = body;
+  if (!Array.isArray(rows) || !rows.every(isObject)) {
+    throw new HttpError(400, "Body needs a rows array of objects keyed by column header.");
+  }
+  if (config !== undefined && !isObject(config)) {
+    throw new HttpError(400, "config must be an object of settings.");
+  }
+  if (sectionRules !== undefined && !isObject(sectionRules)) {
+    throw new HttpError(400, "sectionRules must be an object keyed by section id.");
+  }
+  return [JSON.stringify({ plans: comparePlans(rows, config, sectionRules) })];
+};
+
+const ROUTES = {
+  "GET /health": async () => [JSON.stringify({ ok: true })],
+  "POST /plan": handlePlan,
+  "POST /compare": handleCompare,
+};
+
+// A small local stand-in for a planning API. It reads nothing but the request,
+// so it works offline alongside the CLI. Browsers may only call it from
+// `allowedOrigins`; a request from any other page is refused before it is read.
+export const createPlanServer = ({ allowedOrigins = DEFAULT_ALLOWED_ORIGINS } = {}) =>
+  createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const { origin } = req.headers;
+    if (origin && !allowedOrigins.includes(origin)) {
+      send(res, 403, JSON.stringify({ error: `Requests from ${origin} are not allowed.` }));
+      return;
+    }
+    if (req.method === "OPTIONS") {
+      send(res, 204, "", undefined, origin);
+      return;
+    }
+    const route = ROUTES[`${req.method} ${url.pathname}`];
+    try {
+      if (!route) throw new HttpError(404, `No route for ${req.method} ${url.pathname}.`);
+      const [body, contentType] = await route(req, url);
+      send(res, 200, body, contentType, origin);
+    } catch (err) {
+      send(res, err.status ?? 500, JSON.stringify({ error: err.message }), undefined, origin);
+    }
+  });
@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+// Runs the local planning endpoint. Point the app at it with
+// VITE_PLAN_API_URL=http://127.0.0.1:8787 to plan off the browser. Pass
+// --origin (repeatable) when the app is served from somewhere other than
+// Vite's default dev and preview addresses.
+import { parseArgs } from "node:util";
+import { createPlanServer, DEFAULT_ALLOWED_ORIGINS } from "./planServer.js";
+
+const { values } = parseArgs({
+  options: {
+    port: { type: "string", short: "p", default: "8787" },
+    host: { type: "string", default: "127.0.0.1" },
+    origin: { type: "string", multiple: true, default: DEFAULT_ALLOWED_ORIGINS },
+  },
+});
+
+const server = createPlanServer({ allowedOrigins: values.origin });
+server.listen(Number(values.port), values.host, () => {
+  const { address, port } = server.address();
+  process.stdout.write(
+    `Consolidation API on http://${address}:${port} (GET /health, POST /plan, POST /compare)\n`
+  );
+});
@@ -26,4 +26,11 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Command-line tools and the local plan server run under Node.
+    files: ['cli/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
@@ -1,362 +1,890 @@
-import Papa from "papaparse";
-import React, { useState, useRef } from "react";
+import React, { useEffect, useState, useRef } from "react";
 import "./App.css";
-
-// Helper: parse "0/30" -> 30
-const parseTotes = (value) => {
-  if (!value) return 0;
-  const parts = String(value).split("/");
-  const denom = parts[1] ?? parts[0];
-  const n = parseInt(denom, 10);
-  return Number.isNaN(n) ? 0 : n;
-};
-
-// Helper: color based on totes
-const getColorClass = (totes) => {
-  if (totes < 20) return "green";
-  if (totes < 30) return "orange";
-  return "red";
-};
+import {
+  addRoute,
+  addSubRoute,
+  buildArchiveEntry,
+  applyExecutionToSummaries,
+  applyReviewAction,
+  applySuggestionsToRoutes,
+  BLOCKING_ISSUES,
+  buildMoveList,
+  canRedo,
+  canUndo,
+  buildPlanJson,
+  buildSummaryRows,
+  changesPlan,
+  checkDrop,
+  consignmentLabeller,
+  createHistory,
+  createReview,
+  cycleSectionRule,
+  DEFAULT_SUMMARY_VIEW,
+  getRouteLabel,
+  getSectionRule,
+  getRouteTotals,
+  getSubRouteLabel,
+  detectColumnMapping,
+  findStaleRouteSections,
+  getColorClass,
+  moveRoute,
+  nextSort,
+  placeSection,
+  planConsolidation,
+  reconcileRoutes,
+  replanBoard,
+  pushHistory,
+  redoHistory,
+  getSubRouteValidation,
+  hasBoardMoves,
+  isBoardLocked,
+  isSameBoard,
+  isTypeInProgress,
+  lastTransition,
+  makeBoardSection,
+  mapHistory,
+  movesToCsv,
+  parseDelimitedText,
+  parsePlanJson,
+  removeFromSubRoute,
+  removeRoute,
+  removeSubRoute,
+  renameRoute,
+  renameSubRoute,
+  resolveConfig,
+  resolveReview,
+  reviewRefresh,
+  scenarioConfig,
+  sectionKey,
+  setMoveStatus,
+  setRouteCapacity,
+  STRATEGY_LABELS,
+  TOTE_BASIS_LABELS,
+  undoHistory,
+  validateRoutes,
+  withExecution,
+} from "./engine/index.js";
+import Dashboard from "./components/Dashboard.jsx";
+import ExecutionView from "./components/ExecutionView.jsx";
+import HistoryView from "./components/HistoryView.jsx";
+import ImportPanel from "./components/ImportPanel.jsx";
+import PlanComparison from "./components/PlanComparison.jsx";
+import PrintSheet from "./components/PrintSheet.jsx";
+import RefreshPanel from "./components/RefreshPanel.jsx";
+import ReviewPanel from "./components/ReviewPanel.jsx";
+import ScenarioPanel from "./components/ScenarioPanel.jsx";
+import SessionsPanel from "./components/SessionsPanel.jsx";
+import SettingsPanel from "./components/SettingsPanel.jsx";
+import { createTranslator, csvLabels, describeMessage } from "./i18n/index.js";
+import {
+  createSession,
+  loadCurrentSession,
+  loadSession,
+  saveCurrentSessionId,
+  saveSession,
+} from "./storage/sessions.js";
+import { archivePlan } from "./storage/archives.js";
+import { loadInitialConfig } from "./storage/siteProfiles.js";
+import { comparePlansInWorker } from "./workers/planClient.js";
+import { downloadFile, planFilename } from "./export/download.js";
 
 const App = () => {
-  const [consignments, setConsignments] = useState([]);
-  const [suggestions, setSuggestions] = useState([]); // Stores grouped suggestions
-  const [routes, setRoutes] = useState([]);
+  // A session left open before a reload is rebuilt on first render.
+  const [restored] = useState(loadCurrentSession);
+  const [restoredPlan] = useState(() =>
+    restored
+      ? planConsolidation(
+          restored.rows,
+          { ...restored.config, strategy: "greedy" },
+          restored.sectionRules
+        )
+      : null
+  );
+  const [consignments, setConsignments] = useState(
+    restoredPlan?.consignmentSummaries ?? []
+  );
+  const [suggestions, setSuggestions] = useState(restoredPlan?.suggestions ?? []); // Stores grouped suggestions
+  // The route board, with undo/redo over the planner's edits to it.
+  const [routeHistory, setRouteHistory] = useState(() =>
+    createHistory(restored?.routes ?? [])
+  );
+  const routes = routeHistory.present;
   const [draggedSection, setDraggedSection] = useState(null);
-  const [routesNeeded, setRoutesNeeded] = useState(0);
+  const [selectedSection, setSelectedSection] = useState(null); // picked for keyboard/touch assignment
+  const [routesNeeded, setRoutesNeeded] = useState(restoredPlan?.routesNeeded ?? 0);
+  const [rows, setRows] = useState(restored?.rows ?? []); // Raw CSV rows, kept so plans can be recomputed
+  const [shipmentBreakdown, setShipmentBreakdown] = useState(
+    restoredPlan?.shipmentBreakdown ?? []
+  );
+  const [elimination, setElimination] = useState(restoredPlan?.elimination ?? null);
+  const [applyWarning, setApplyWarning] = useState(null);
+  const [dropError, setDropError] = useState(null);
+  const [lockNotice, setLockNotice] = useState(null); // a re-plan refused while the plan is signed off
+  const [importError, setImportError] = useState(null); // a picked file that could not be read
+  const [config, setConfig] = useState(() =>
+    restored ? resolveConfig(restored.config) : loadInitialConfig()
+  );
+  const [showSettings, setShowSettings] = useState(false);
+  const [showScenarios, setShowScenarios] = useState(false);
+  const [scenarios, setScenarios] = useState([]); // what-if variants: [{ id, overrides }]
+  const [comparedPlans, setComparedPlans] = useState(null); // { [strategy]: plan } from the worker
+  const [planning, setPlanning] = useState(Boolean(restored));
+  const [session, setSession] = useState(() =>
+    restored
+      ? { id: restored.id, name: restored.name, createdAt: restored.createdAt }
+      : null
+  ); // { id, name, createdAt } of the open session
+  const [showSessions, setShowSessions] = useState(false);
+  const [execution, setExecution] = useState(restored?.execution ?? {}); // move status recorded on the floor
+  const [sectionRules, setSectionRules] = useState(restored?.sectionRules ?? {}); // { [sectionId]: "locked" | "excluded" }
+  const [review, setReview] = useState(() => resolveReview(restored?.review)); // sign-off state and audit trail
+  const [view, setView] = useState("planning"); // "planning" | "dashboard" | "execution" | "history"
+  const [lastArchivedAt, setLastArchivedAt] = useState(null); // when the open plan was last archived
+  const [autosaveFailed, setAutosaveFailed] = useState(false); // the browser refused the last save
+  const [summaryView, setSummaryView] = useState(DEFAULT_SUMMARY_VIEW); // summary table search, filters and sort
+  const [pendingImport, setPendingImport] = useState(null); // [{ name, headers, rows, mapping }] awaiting confirmation
+  const [importIsRefresh, setImportIsRefresh] = useState(false); // pending import updates the open plan's data
+  const [refreshReview, setRefreshReview] = useState(null); // { name, rows, review } awaiting keep/accept
+  const planRequestRef = useRef(0);
+  const { separateFreezer, allowCrossShipment } = config;
+  // Interface text, labels and number/date formats for the site's language.
+  const i18n = createTranslator(config);
+  // Board issues and stale sections come from the engine as codes and params.
+  const describeIssue = (issue) => describeMessage(i18n, issue, issue.message);
+  const routeLabel = (route) => getRouteLabel(route, i18n.routeLabels.route);
+  const subRouteLabel = (sr) => getSubRouteLabel(sr, i18n.routeLabels.subRoute);
   const fileInputRef = useRef(null);
+  const refreshInputRef = useRef(null);
+  const planInputRef = useRef(null);
 
   const handleClear = () => {
+    planRequestRef.current += 1;
+    setSession(null);
+    saveCurrentSessionId(null);
+    setExecution({});
+    setSectionRules({});
+    setReview(createReview());
+    setLastArchivedAt(null);
+    setView("planning");
+    setSummaryView(DEFAULT_SUMMARY_VIEW);
+    setPendingImport(null);
+    setRefreshReview(null);
+    setRows([]);
+    setComparedPlans(null);
+    setPlanning(false);
     setConsignments([]);
     setSuggestions([]);
-    setRoutes([]);
+    setShipmentBreakdown([]);
+    setElimination(null);
+    setApplyWarning(null);
+    setDropError(null);
+    setLockNotice(null);
+    setImportError(null);
+    resetRoutes([]);
     setDraggedSection(null);
+    setSelectedSection(null);
     setRoutesNeeded(0);
     if (fileInputRef.current) {
       fileInputRef.current.value = "";
     }
   };
 
-  const handleDragStart = (consignmentId, sectionType, totes) => {
-    setDraggedSection({ id: consignmentId, type: sectionType, totes });
+  // Approved plans keep the board they were signed off with until reopened.
+  const boardLocked = isBoardLocked(review);
+  const lockedMessage = () => {
+    const signedOff = lastTransition(review);
+    const state = i18n.t(`review.stateNames.${review.state}`);
+    return signedOff
+      ? i18n.t("app.boardLockedBy", { state, name: signedOff.by })
+      : i18n.t("app.boardLocked", { state });
+  };
+
+  // A planner's edit to the board; each one is a step that can be undone.
+  const editRoutes = (update) => {
+    if (boardLocked) {
+      setDropError(lockedMessage());
+      return;
+    }
+    setRouteHistory((history) => pushHistory(history, update(history.present)));
+  };
+
+  // A freshly planned or restored board starts a new history.
+  const resetRoutes = (next) => {
+    setRouteHistory(createHistory(next));
+  };
+
+  const handleUndo = () => {
+    if (boardLocked) return;
+    setDropError(null);
+    setRouteHistory(undoHistory);
+  };
+
+  const handleRedo = () => {
+    if (boardLocked) return;
+    setDropError(null);
+    setRouteHistory(redoHistory);
+  };
+
+  // The board item for one temperature of a consignment row.
+  // Consignment numbers, with the shipment added where the number is ambiguous.
+  const labelConsignment = consignmentLabeller(consignments);
+  const labelSection = (section) => labelConsignment(section.shipment, section.consignmentId);
+
+  const boardSectionFor = (c, sectionType) =>
+    makeBoardSection(c.shipment, c.consignment, sectionType, c[`${sectionType}Totes`]);
+
+  const handleDragStart = (c, sectionType) => {
+    if (boardLocked) return;
+    setDraggedSection(boardSectionFor(c, sectionType));
   };
 
   const handleDragOver = (e) => {
     e.preventDefault();
   };
 
-  const removeSectionFromRoutes = (routesState, consId, type) => {
-    return routesState.map((r) => ({
-      ...r,
-      subRoutes: r.subRoutes.map((sr) => ({
-        ...sr,
-        from:
-          sr.from && sr.from.consignmentId === consId && sr.from.type === type
-            ? null
-            : sr.from,
-        tos: sr.tos.filter(
-          (t) => !(t.consignmentId === consId && t.type === type)
-        ),
-      })),
-    }));
+  // Shared by drag-and-drop and select-then-assign.
+  const assignSection = (section, routeId, subRouteId, role) => {
+    const { blocked, issues } = checkDrop(routes, section, routeId, subRouteId, role, config);
+    if (blocked) {
+      setDropError(
+        i18n.t("app.dropRefused", {
+          issues: issues
+            .filter((i) => BLOCKING_ISSUES.has(i.kind))
+            .map((i) => describeIssue(i))
+            .join("; "),
+        })
+      );
+      return;
+    }
+
+    setDropError(null);
+    editRoutes((prev) => placeSection(prev, section, routeId, subRouteId, role));
   };
 
-  const handleDropOnFrom = (routeId, subRouteId) => {
+  const handleDrop = (routeId, subRouteId, role) => {
     if (!draggedSection) return;
-    const { id, type, totes } = draggedSection;
-
-    setRoutes((prev) => {
-      let updated = removeSectionFromRoutes(prev, id, type);
-      updated = updated.map((route) => {
-        if (route.id !== routeId) return route;
-        return {
-          ...route,
-          subRoutes: route.subRoutes.map((sr) => {
-            if (sr.id !== subRouteId) return sr;
-            return {
-              ...sr,
-              from: { consignmentId: id, type, totes },
-            };
-          }),
-        };
-      });
-      return updated;
-    });
     setDraggedSection(null);
+    assignSection(draggedSection, routeId, subRouteId, role);
   };
 
-  const handleDropOnTo = (routeId, subRouteId) => {
-    if (!draggedSection) return;
-    const { id, type, totes } = draggedSection;
-
-    setRoutes((prev) => {
-      let updated = removeSectionFromRoutes(prev, id, type);
-      updated = updated.map((route) => {
-        if (route.id !== routeId) return route;
-        return {
-          ...route,
-          subRoutes: route.subRoutes.map((sr) => {
-            if (sr.id !== subRouteId) return sr;
-            return {
-              ...sr,
-              tos: [...sr.tos, { consignmentId: id, type, totes }],
-            };
-          }),
-        };
-      });
-      return updated;
-    });
-    setDraggedSection(null);
+  const handleDropOnFrom = (routeId, subRouteId) => handleDrop(routeId, subRouteId, "from");
+
+  const handleDropOnTo = (routeId, subRouteId) => handleDrop(routeId, subRouteId, "to");
+
+  // Keyboard and touch alternative to dragging: pick a section, then a slot.
+  const handleSelectSection = (c, sectionType) => {
+    const section = boardSectionFor(c, sectionType);
+    setSelectedSection((prev) => (prev?.sectionId === section.sectionId ? null : section));
+  };
+
+  const handleAssignSelected = (routeId, subRouteId, role) => {
+    if (!selectedSection) return;
+    setSelectedSection(null);
+    assignSection(selectedSection, routeId, subRouteId, role);
   };
 
-  const handleRemoveFromSubRoute = (routeId, subRouteId, consignmentId, type, role) => {
-    setRoutes((prev) =>
-      prev.map((route) => {
-        if (route.id !== routeId) return route;
-        return {
-          ...route,
-          subRoutes: route.subRoutes.map((sr) => {
-            if (sr.id !== subRouteId) return sr;
-            if (role === "from") {
-              if (
-                sr.from &&
-                sr.from.consignmentId === consignmentId &&
-                sr.from.type === type
-              ) {
-                return { ...sr, from: null };
-              }
-              return sr;
-            } else {
-              return {
-                ...sr,
-                tos: sr.tos.filter(
-                  (t) => !(t.consignmentId === consignmentId && t.type === type)
-                ),
-              };
-            }
-          }),
-        };
+  const isSelected = (c, sectionType) =>
+    selectedSection?.sectionId === sectionKey(c.shipment, c.consignment, sectionType);
+
+  const handleRemoveFromSubRoute = (routeId, subRouteId, sectionId, role) => {
+    editRoutes((prev) => removeFromSubRoute(prev, routeId, subRouteId, sectionId, role));
+  };
+
+  const handleAddRoute = () => editRoutes((prev) => addRoute(prev, config));
+
+  const handleRemoveRoute = (routeId) => editRoutes((prev) => removeRoute(prev, routeId));
+
+  const handleMoveRoute = (routeId, offset) =>
+    editRoutes((prev) => moveRoute(prev, routeId, offset));
+
+  const handleAddSubRoute = (routeId) => editRoutes((prev) => addSubRoute(prev, routeId));
+
+  const handleRemoveSubRoute = (routeId, subRouteId) =>
+    editRoutes((prev) => removeSubRoute(prev, routeId, subRouteId));
+
+  // Names and capacities are committed on blur/Enter so typing isn't one undo step per key.
+  const handleRenameRoute = (route) => (e) => {
+    if (e.target.value.trim() === (route.name ?? "")) return;
+    editRoutes((prev) => renameRoute(prev, route.id, e.target.value));
+  };
+
+  const handleRenameSubRoute = (route, sr) => (e) => {
+    if (e.target.value.trim() === (sr.name ?? "")) return;
+    editRoutes((prev) => renameSubRoute(prev, route.id, sr.id, e.target.value));
+  };
+
+  const handleRouteCapacityChange = (route) => (e) => {
+    const value = e.target.value.trim();
+    const capacity = value === "" ? null : Number(value);
+    if (capacity !== null && (!Number.isInteger(capacity) || capacity <= 0)) {
+      e.target.value = route.capacity ?? "";
+      return;
+    }
+    if (capacity === (route.capacity ?? null)) return;
+    editRoutes((prev) => setRouteCapacity(prev, route.id, capacity));
+  };
+
+  const blurOnEnter = (e) => {
+    if (e.key === "Enter") e.target.blur();
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) undo and redo board edits, except while
+  // typing in a form field or once the plan is approved, and Escape drops a
+  // picked section.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.target.closest?.("input, select, textarea")) return;
+      if (e.key === "Escape") {
+        setSelectedSection(null);
+        return;
+      }
+      if (boardLocked || !(e.ctrlKey || e.metaKey)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        setDropError(null);
+        setRouteHistory(undoHistory);
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        setDropError(null);
+        setRouteHistory(redoHistory);
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [boardLocked]);
+
+  // Files are read and their columns guessed, then held for the import step
+  // so the planner can check the mapping and report before anything is planned.
+  const readImportFiles = (e, isRefresh) => {
+    const files = Array.from(e.target.files ?? []);
+    if (files.length === 0) return;
+
+    Promise.all(
+      files.map((file) =>
+        file.text().then(
+          (text) => {
+            const { headers, rows: fileRows, lines } = parseDelimitedText(text);
+            const mapping = detectColumnMapping(headers);
+            return { name: file.name, headers, rows: fileRows, lines, mapping };
+          },
+          () => {
+            throw new Error(i18n.t("app.importReadFailed", { file: file.name }));
+          }
+        )
+      )
+    )
+      .then((read) => {
+        setImportError(null);
+        setImportIsRefresh(isRefresh);
+        setRefreshReview(null);
+        setPendingImport(read);
       })
+      .catch((err) => setImportError(err.message));
+  };
+
+  // Cleared so that picking the same file again still reads it.
+  const handleFileChange = (e) => {
+    readImportFiles(e, false);
+    e.target.value = "";
+  };
+
+  // A newer export of the same shift: the board is kept until the planner has
+  // seen what changed and chosen whether to keep it.
+  const handleRefreshFileChange = (e) => {
+    readImportFiles(e, true);
+    e.target.value = "";
+  };
+
+  const handleImportMappingChange = (fileIdx, key, header) => {
+    setPendingImport((prev) =>
+      prev.map((file, idx) =>
+        idx === fileIdx ? { ...file, mapping: { ...file.mapping, [key]: header } } : file
+      )
     );
   };
 
-  // --- UPDATED LOGIC START ---
-  const generateConsolidationSuggestions = (sectionsByShipment, routesNeeded) => {
-    if (routesNeeded <= 0) return [];
-
-    const MAX_CAPACITY = 40;
-    const groupedSuggestions = [];
-    const usedSectionIds = new Set(); // Track globally used sections
-
-    // 1. Flatten into simulation array
-    let allSections = [];
-    Object.values(sectionsByShipment).forEach((sections) => {
-      sections.forEach((section) => {
-        if (section.totes > 0) {
-          allSections.push({
-            ...section,
-            simulatedTotes: section.totes,
-            id: section.sectionId,
-            isSource: false,
-          });
-        }
+  const handleConfirmImport = (importedRows) => {
+    if (importIsRefresh) {
+      const name = pendingImport.map((f) => f.name).join(" + ");
+      const refreshed = planConsolidation(
+        importedRows,
+        { ...config, strategy: "greedy" },
+        sectionRules
+      );
+      setPendingImport(null);
+      setRefreshReview({
+        name,
+        rows: importedRows,
+        review: reviewRefresh({
+          before: consignments,
+          after: refreshed.consignmentSummaries,
+          routes,
+          suggestions,
+          config,
+        }),
       });
-    });
+      return;
+    }
+
+    const name = pendingImport.map((f) => f.name).join(" + ");
+    // Still opened when storage is full; the header says it isn't being saved.
+    const created = createSession({ name, rows: importedRows, config, routes: [] });
+    const { id, createdAt } = saveSession(created) ?? created;
+    saveCurrentSessionId(id);
+    setSession({ id, name, createdAt });
+    // A new dataset is a new plan: it starts as an unarchived draft.
+    setExecution({});
+    setSectionRules({});
+    setReview(createReview());
+    setLastArchivedAt(null);
+    setPendingImport(null);
+    setRows(importedRows);
+    applyPlan(importedRows, config, { rules: {}, lockReview: null, newHistory: true });
+  };
 
-    // 2. Identify Sources: Smallest first
-    allSections.sort((a, b) => a.totes - b.totes);
-
-    const countToEmpty = routesNeeded * 2;
-    const sources = [];
-    
-    // Pick the smallest sections as sources and mark them as used immediately
-    for (let i = 0; i < allSections.length && sources.length < countToEmpty; i++) {
-        allSections[i].isSource = true;
-        usedSectionIds.add(allSections[i].id);
-        sources.push(allSections[i]);
+  const handleCancelImport = () => {
+    setPendingImport(null);
+    setImportIsRefresh(false);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = "";
     }
+  };
 
-    // 3. Process each source to find targets
-    sources.forEach((source) => {
-      let totesToMove = source.totes;
-      const moves = [];
+  const handleKeepRefreshedBoard = () => {
+    const { rows: refreshedRows } = refreshReview;
+    if (!applyPlan(refreshedRows, config, { keptRoutes: routes, topUp: true, pushUndo: true })) {
+      return;
+    }
+    setRefreshReview(null);
+    setRows(refreshedRows);
+  };
 
-      while (totesToMove > 0) {
-        // Targets must NOT be a source AND must NOT have been used as a target for another move yet
-        // This ensures a 1-to-1 or Many-to-1 relationship where a section is only touched once.
-        let candidates = allSections.filter(
-          (s) => !s.isSource && !usedSectionIds.has(s.id) && s.simulatedTotes < MAX_CAPACITY
-        );
+  const handleAcceptRefreshedPlan = () => {
+    const { rows: refreshedRows } = refreshReview;
+    if (!applyPlan(refreshedRows, config, { fillBoard: true, pushUndo: true })) return;
+    setRefreshReview(null);
+    setRows(refreshedRows);
+  };
 
-        if (candidates.length === 0) {
-          moves.push({
-            toConsignment: "NO AVAILABLE SECTION",
-            toType: "N/A",
-            qty: totesToMove,
-          });
-          totesToMove = 0;
-          break;
-        }
+  // Names the suggestions that had no room on the board, if any.
+  const overflowWarning = (overflow) =>
+    overflow.length > 0
+      ? i18n.t("app.suggestionsDidNotFit", {
+          count: overflow.length,
+          list: overflow
+            .map((s) => `${s.sourceConsignment} (${i18n.zone(s.sourceType)})`)
+            .join(", "),
+        })
+      : null;
 
-        candidates.forEach(c => {
-          c.spaceAvailable = MAX_CAPACITY - c.simulatedTotes;
-        });
-
-        let bestTarget = null;
-        let candidatesThatFitAll = candidates.filter(c => c.spaceAvailable >= totesToMove);
-        
-        if (candidatesThatFitAll.length > 0) {
-          candidatesThatFitAll.sort((a, b) => a.spaceAvailable - b.spaceAvailable);
-          bestTarget = candidatesThatFitAll[0];
-        } else {
-          candidates.sort((a, b) => b.spaceAvailable - a.spaceAvailable);
-          bestTarget = candidates[0];
-        }
+  const showPlan = (plan) => {
+    setSuggestions(plan.suggestions);
+    setShipmentBreakdown(plan.shipmentBreakdown);
+    setElimination(plan.elimination);
+  };
 
-        if (bestTarget) {
-          const moveAmount = Math.min(totesToMove, bestTarget.spaceAvailable);
-          
-          moves.push({
-            toConsignment: bestTarget.consignment,
-            toType: bestTarget.type,
-            qty: moveAmount,
-            newTotal: bestTarget.simulatedTotes + moveAmount
-          });
-
-          // Mark this target as used so it cannot be a source or another target
-          usedSectionIds.add(bestTarget.id);
-          bestTarget.simulatedTotes += moveAmount;
-          totesToMove -= moveAmount;
-        }
-      }
+  // The greedy plan is cheap, so it is shown straight away; the worker then
+  // runs every strategy and swaps in the selected one when it finishes.
+  // A restored session or a settings change passes the board to keep instead
+  // of starting a blank one; `topUp` adds routes if the new plan needs more.
+  // `fillBoard` lays the new plan's suggestions on a fresh board, as the Apply
+  // button would. `rules` are passed when they change alongside the plan, before
+  // state catches up.
+  // A signed-off board is left alone and false comes back; a new dataset or
+  // session brings its own review, so loading one passes a null `lockReview`.
+  // Loading sets `newHistory`. Otherwise every board in the undo history is
+  // carried across to the new data and settings, and with `pushUndo` a board
+  // the re-plan changed becomes a step that can be undone.
+  const applyPlan = (
+    planRows,
+    config,
+    {
+      keptRoutes = null,
+      topUp = false,
+      fillBoard = false,
+      rules = sectionRules,
+      lockReview = review,
+      newHistory = false,
+      pushUndo = false,
+    } = {}
+  ) => {
+    const next = replanBoard(planRows, config, keptRoutes, {
+      topUp,
+      sectionRules: rules,
+      review: lockReview,
+    });
+    if (!next) {
+      setLockNotice(lockedMessage());
+      return false;
+    }
+    const { plan: greedyPlan } = next;
+    let nextRoutes = next.routes;
+    let overflow = [];
+    if (fillBoard) {
+      ({ routes: nextRoutes, overflow } = applySuggestionsToRoutes(
+        nextRoutes,
+        greedyPlan.suggestions,
+        greedyPlan.consignmentSummaries
+      ));
+    }
+
+    setConsignments(greedyPlan.consignmentSummaries);
+    showPlan(greedyPlan);
+    if (newHistory) {
+      resetRoutes(nextRoutes);
+    } else {
+      setRouteHistory((history) => {
+        const carried = mapHistory(history, (board) =>
+          reconcileRoutes(board, greedyPlan.consignmentSummaries, 0, config)
+        );
+        return pushUndo && !isSameBoard(carried.present, nextRoutes)
+          ? pushHistory(carried, nextRoutes)
+          : { ...carried, present: nextRoutes };
+      });
+    }
+    setRoutesNeeded(greedyPlan.routesNeeded);
+    setDraggedSection(null);
+    setSelectedSection(null);
+    setApplyWarning(overflowWarning(overflow));
+    setLockNotice(null);
 
-      groupedSuggestions.push({
-        sourceConsignment: source.consignment,
-        sourceType: source.type,
-        totalQty: source.totes,
-        moves: moves
+    setComparedPlans(null);
+    setPlanning(true);
+    startComparison(planRows, config, greedyPlan, rules);
+    return true;
+  };
+
+  const startComparison = (planRows, config, greedyPlan, rules) => {
+    planRequestRef.current += 1;
+    const requestId = planRequestRef.current;
+    comparePlansInWorker(planRows, config, rules)
+      .then((plans) => {
+        if (requestId !== planRequestRef.current) return;
+        setComparedPlans(plans);
+        showPlan(plans[config.strategy] ?? greedyPlan);
+      })
+      .catch(() => {
+        // Keep the greedy plan on screen if the search fails.
+      })
+      .finally(() => {
+        if (requestId === planRequestRef.current) setPlanning(false);
       });
+  };
+
+  const openSession = (saved) => {
+    const { id, name, createdAt } = saved;
+    saveCurrentSessionId(id);
+    setSession({ id, name, createdAt });
+    setRows(saved.rows);
+    setExecution(saved.execution ?? {});
+    setSectionRules(saved.sectionRules ?? {});
+    setReview(resolveReview(saved.review));
+    setLastArchivedAt(null);
+    // Sessions saved before a setting existed pick up its default.
+    const savedConfig = resolveConfig(saved.config);
+    setConfig(savedConfig);
+    setDropError(null);
+    applyPlan(saved.rows, savedConfig, {
+      keptRoutes: saved.routes,
+      rules: saved.sectionRules ?? {},
+      lockReview: null,
+      newHistory: true,
     });
+    if (fileInputRef.current) {
+      fileInputRef.current.value = "";
+    }
+  };
 
-    return groupedSuggestions;
+  // The sessions list is read when it opens, so the session is read again from
+  // storage here; the autosaved copy holds any edits made since.
+  const handleOpenSession = (id) => {
+    const saved = loadSession(id);
+    if (saved) openSession(saved);
   };
-  // --- UPDATED LOGIC END ---
 
-  const handleFileChange = (e) => {
+  const handleSessionDeleted = (id) => {
+    if (session?.id === id) {
+      handleClear();
+    }
+  };
+
+  // A restored session starts on its greedy plan; compare strategies once mounted.
+  const comparedRestoredRef = useRef(false);
+  useEffect(() => {
+    if (comparedRestoredRef.current || !restored) return;
+    comparedRestoredRef.current = true;
+    startComparison(restored.rows, restored.config, restoredPlan, restored.sectionRules);
+  });
+
+  // Autosave the open session whenever its data, settings, board, execution
+  // progress, section rules or review state change.
+  useEffect(() => {
+    if (!session) return;
+    const open = { ...session, rows, config, routes, execution, sectionRules, review };
+    setAutosaveFailed(!saveSession(open));
+  }, [session, rows, config, routes, execution, sectionRules, review]);
+
+  const handleExportCsv = () => {
+    downloadFile(
+      planFilename(session?.name, "csv"),
+      movesToCsv(moveList, csvLabels(i18n)),
+      "text/csv"
+    );
+  };
+
+  const handleExportJson = () => {
+    downloadFile(
+      planFilename(session?.name, "json"),
+      buildPlanJson({
+        name: session?.name,
+        rows,
+        config,
+        routes,
+        execution,
+        sectionRules,
+        review,
+      }),
+      "application/json"
+    );
+  };
+
+  // Throws when the transition isn't allowed or no name is given; the review
+  // panel shows the message.
+  const handleReviewAction = (action, by, note) => {
+    setReview(applyReviewAction(review, action, by, note));
+    if (action === "reopen") {
+      setDropError(null);
+      setLockNotice(null);
+    }
+  };
+
+  // Snapshots the plan as it stands, for the history view's day-by-day trends.
+  const handleArchivePlan = () => {
+    const saved = archivePlan(
+      buildArchiveEntry({
+        name: session?.name ?? i18n.t("app.untitledPlan"),
+        config,
+        consignments,
+        routes,
+        suggestions,
+        moves: moveList,
+        sectionRules,
+        review,
+      })
+    );
+    if (!saved) {
+      window.alert(i18n.t("app.archiveFailed"));
+      return;
+    }
+    setLastArchivedAt(saved.archivedAt);
+  };
+
+  const handleImportPlan = (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
 
-    Papa.parse(file, {
-      header: true,
-      skipEmptyLines: true,
-      complete: (results) => {
-        const data = results.data.filter(
-          (r) => r["Consignment"] && r["Consignment"].trim() !== ""
-        );
-        const { consignmentSummaries, sectionsByShipment } =
-          buildConsignmentsAndSections(data);
+    file.text().then((text) => {
+      let plan;
+      try {
+        plan = parsePlanJson(text);
+      } catch (err) {
+        window.alert(err.message);
+        return;
+      } finally {
+        e.target.value = "";
+      }
+      const created = createSession(plan);
+      openSession(saveSession(created) ?? created);
+    });
+  };
 
-        const uniqueConsignments = new Set(
-          consignmentSummaries.map((c) => c.consignment)
-        );
-        const count = uniqueConsignments.size;
-        let needed = 0;
-        if (count > 9) {
-          needed = count - 9;
-        }
+  const handleApplySuggestions = () => {
+    const hasAssignments = routes.some((r) =>
+      r.subRoutes.some((sr) => sr.from || sr.tos.length > 0)
+    );
+    if (
+      hasAssignments &&
+      !window.confirm(i18n.t("app.replaceBoard"))
+    ) {
+      return;
+    }
 
-        const newRoutes = [];
-        for (let i = 1; i <= needed; i++) {
-          newRoutes.push({
-            id: i,
-            subRoutes: [
-              { id: 1, from: null, tos: [] },
-              { id: 2, from: null, tos: [] },
-            ],
-          });
-        }
+    const { routes: applied, overflow } = applySuggestionsToRoutes(
+      routes,
+      suggestions,
+      consignments
+    );
+    editRoutes(() => applied);
+    setApplyWarning(overflowWarning(overflow));
+  };
 
-        const newSuggestions = generateConsolidationSuggestions(
-          sectionsByShipment,
-          needed
-        );
+  // Settings, strategy and section rules all re-plan, so a signed-off plan
+  // keeps them as approved until it is reopened.
+  const handleStrategyChange = (strategy) => {
+    if (rows.length > 0 && boardLocked) {
+      setLockNotice(lockedMessage());
+      return;
+    }
+    if (comparedPlans?.[strategy]) {
+      showPlan(comparedPlans[strategy]);
+    } else if (rows.length > 0) {
+      applyPlan(rows, { ...config, strategy }, { keptRoutes: routes });
+    }
+    setConfig({ ...config, strategy });
+  };
 
-        setConsignments(consignmentSummaries);
-        setSuggestions(newSuggestions);
-        setRoutes(newRoutes);
-        setRoutesNeeded(needed);
-        setDraggedSection(null);
-      },
-    });
+  // Labels, language and colours are only display, so they never re-plan.
+  const handleConfigChange = (next) => {
+    const replan = () => applyPlan(rows, next, { keptRoutes: routes, topUp: true });
+    if (rows.length > 0 && changesPlan(config, next) && !replan()) return;
+    setConfig(next);
   };
 
-  const buildConsignmentsAndSections = (data) => {
-    const consMap = {};
-    const sectionsByShipment = {};
-
-    data.forEach((row, idx) => {
-      const shipment = row["Shipment"] || "";
-      const cons = row["Consignment"] || "";
-      const key = `${shipment}::${cons}`;
-
-      const ambientTotes = parseTotes(row["Completed Totes - Ambient"]);
-      const chilledTotes = parseTotes(row["Completed Totes - Chilled"]);
-      const freezerTotes = parseTotes(row["Completed Totes - Freezer"]);
-      const chillTotal = chilledTotes + freezerTotes;
-
-      if (!consMap[key]) {
-        consMap[key] = {
-          id: key,
-          shipment,
-          consignment: cons,
-          ambientTotes: 0,
-          chillTotes: 0,
-        };
-      }
-      consMap[key].ambientTotes += ambientTotes;
-      consMap[key].chillTotes += chillTotal;
+  // A what-if scenario becomes the active settings and the plan follows.
+  const handlePromoteScenario = (scenario) => {
+    handleConfigChange(scenarioConfig(config, scenario));
+  };
 
-      if (!sectionsByShipment[shipment]) {
-        sectionsByShipment[shipment] = [];
-      }
+  const handlePlanOptionChange = (key) => (e) => {
+    handleConfigChange({ ...config, [key]: e.target.checked });
+  };
 
-      if (ambientTotes > 0) {
-        sectionsByShipment[shipment].push({
-          sectionId: `${cons}_amb_${idx}`,
-          consignment: cons,
-          type: "ambient",
-          totes: ambientTotes,
-        });
-      }
+  const validation = validateRoutes(routes, config);
+  // Sections left on the board that the current data no longer backs, e.g. after a refresh.
+  const staleById = new Map(findStaleRouteSections(routes, consignments).map((s) => [s.sectionId, s]));
+  const staleClass = (item) => (staleById.has(item.sectionId) ? "stale" : "");
+  const staleTitle = (item) => {
+    const stale = staleById.get(item.sectionId);
+    return stale && describeIssue(stale);
+  };
+  const moveList = withExecution(
+    buildMoveList(routes, suggestions, config, consignments, i18n.routeLabels),
+    execution
+  );
 
-      if (chillTotal > 0) {
-        sectionsByShipment[shipment].push({
-          sectionId: `${cons}_chi_${idx}`,
-          consignment: cons,
-          type: "chill",
-          totes: chillTotal,
-        });
-      }
+  // Locks and exclusions are hard constraints on the engine, so changing one re-plans.
+  const handleCycleSectionRule = (c, sectionType) => {
+    const next = cycleSectionRule(
+      sectionRules,
+      sectionKey(c.shipment, c.consignment, sectionType)
+    );
+    if (!applyPlan(rows, config, { keptRoutes: routes, rules: next, pushUndo: true })) return;
+    setSectionRules(next);
+  };
+
+  const renderRuleToggle = (c, sectionType) => {
+    const rule = getSectionRule(sectionRules, sectionKey(c.shipment, c.consignment, sectionType));
+    return (
+      <button
+        type="button"
+        className={`rule-toggle ${rule ?? ""}`}
+        onClick={() => handleCycleSectionRule(c, sectionType)}
+        title={i18n.t(rule ? `sectionRules.hints.${rule}` : "summary.ruleHint")}
+        aria-label={i18n.t("summary.ruleAria", {
+          zone: i18n.zone(sectionType),
+          consignment: c.consignment,
+          rule: rule ? i18n.t(`sectionRules.${rule}`) : i18n.t("summary.noRule"),
+        })}
+      >
+        {rule === "locked" ? "🔒" : rule === "excluded" ? "⛔" : "○"}
+      </button>
+    );
+  };
+
+  const toggleView = (next) => setView((current) => (current === next ? "planning" : next));
+
+  const handleSetMoveStatus = (move, status, actualQty) => {
+    setExecution((prev) => setMoveStatus(prev, move, status, actualQty));
+  };
+
+  // "12/30 picked" under a summary cell whose section is still being picked.
+  const renderPickProgress = (c, type) => {
+    if (!isTypeInProgress(c, type)) return null;
+    const { completed, expected } = c.progress[type];
+    return (
+      <span className="pick-progress">
+        {i18n.t("summary.picked", { completed, expected })}
+      </span>
+    );
+  };
+
+  // Hover text and screen reader label for a draggable summary cell.
+  const sectionHint = (type) => i18n.t("summary.dragHint", { zone: i18n.zone(type) });
+  const sectionAria = (c, type, used) =>
+    i18n.t(used ? "summary.sectionAriaAssigned" : "summary.sectionAria", {
+      zone: i18n.zone(type),
+      consignment: c.consignment,
+      amount: i18n.totes(c[`${type}Totes`]),
     });
 
-    return {
-      consignmentSummaries: Object.values(consMap),
-      sectionsByShipment,
-    };
+  // A summary cell is a drag source holding two sibling buttons: one picks the
+  // section for keyboard/touch assignment, the other cycles its rule.
+  const renderSectionCell = (c, type, used) => (
+    <td
+      className={`tote ${getColorClass(c[`${type}Totes`], config)} ${used ? "assigned" : ""} ${
+        isSelected(c, type) ? "selected" : ""
+      }`}
+      draggable={!boardLocked}
+      onDragStart={() => handleDragStart(c, type)}
+      title={sectionHint(type)}
+      style={{ cursor: boardLocked ? "default" : "grab" }}
+    >
+      <button
+        type="button"
+        className="section-pick"
+        aria-pressed={isSelected(c, type)}
+        aria-label={sectionAria(c, type, used)}
+        onClick={() => handleSelectSection(c, type)}
+      >
+        {i18n.formatNumber(c[`${type}Totes`])}
+        {renderPickProgress(c, type)}
+      </button>
+      {renderRuleToggle(c, type)}
+      {used && <span className="tick-mark">✓</span>}
+    </td>
+  );
+
+  const describeSlot = (routeId, subRouteId) => {
+    const route = routes.find((r) => r.id === routeId);
+    const sr = route?.subRoutes.find((x) => x.id === subRouteId);
+    return route && sr ? `${routeLabel(route)} / ${subRouteLabel(sr)}` : "";
   };
 
-  const isSectionUsedAnywhere = (consignmentId, sectionType) => {
+  const isSectionUsedAnywhere = (c, sectionType) => {
+    const sectionId = sectionKey(c.shipment, c.consignment, sectionType);
     return routes.some((route) =>
-      route.subRoutes.some((sr) => {
-        const fromUsed =
-          sr.from &&
-          sr.from.consignmentId === consignmentId &&
-          sr.from.type === sectionType;
-        const toUsed = sr.tos.some(
-          (t) => t.consignmentId === consignmentId && t.type === sectionType
-        );
-        return fromUsed || toUsed;
-      })
+      route.subRoutes.some(
+        (sr) => sr.from?.sectionId === sectionId || sr.tos.some((t) => t.sectionId === sectionId)
+      )
+    );
+  };
+
+  const isConsignmentAssigned = (c) =>
+    ["ambient", "chill", "freezer"].some((type) => isSectionUsedAnywhere(c, type));
+
+  const summaryRows = buildSummaryRows(consignments, summaryView, {
+    config,
+    isAssigned: isConsignmentAssigned,
+  });
+  const shipmentOptions = [...new Set(consignments.map((c) => c.shipment))];
+
+  const handleSummaryViewChange = (key) => (e) =>
+    setSummaryView({
+      ...summaryView,
+      [key]: e.target.type === "checkbox" ? e.target.checked : e.target.value,
+    });
+
+  const renderSortHeader = (key, label) => {
+    const active = summaryView.sortKey === key;
+    const direction = summaryView.sortDir === "asc" ? "ascending" : "descending";
+    return (
+      <th aria-sort={active ? direction : "none"}>
+        <button className="sort-btn" onClick={() => setSummaryView(nextSort(summaryView, key))}>
+          {label}
+          {active && (summaryView.sortDir === "asc" ? " ▲" : " ▼")}
+        </button>
+      </th>
     );
   };
 
@@ -364,87 +892,356 @@ const App = () => {
     <div className="app">
       <div className="app-inner">
         <header className="app-header">
-          <h1>Consignment Consolidation Tool</h1>
-          <p className="app-subtitle">
-            Upload a CSV file to view consignment loads, consolidation suggestions, and routes.
-          </p>
+          <h1>{i18n.t("app.title")}</h1>
+          <p className="app-subtitle">{i18n.t("app.subtitle")}</p>
         </header>
 
         <div className="controls">
           <input
             type="file"
-            accept=".csv"
+            accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+            multiple
             onChange={handleFileChange}
             ref={fileInputRef}
           />
+          <button
+            className="btn btn-secondary"
+            onClick={() => refreshInputRef.current?.click()}
+            disabled={rows.length === 0}
+            title={i18n.t("controls.refreshDataHint")}
+          >
+            {i18n.t("controls.refreshData")}
+          </button>
+          <input
+            type="file"
+            accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+            multiple
+            onChange={handleRefreshFileChange}
+            ref={refreshInputRef}
+            hidden
+          />
+          <label className="toggle">
+            <input
+              type="checkbox"
+              checked={separateFreezer}
+              onChange={handlePlanOptionChange("separateFreezer")}
+            />
+            {i18n.t("controls.separateFreezer")}
+          </label>
+          <label className={`toggle ${allowCrossShipment ? "toggle-warning" : ""}`}>
+            <input
+              type="checkbox"
+              checked={allowCrossShipment}
+              onChange={handlePlanOptionChange("allowCrossShipment")}
+            />
+            {i18n.t("controls.allowCrossShipment")}
+          </label>
+          <label className="toggle">
+            {i18n.t("controls.strategy")}
+            <select
+              value={config.strategy}
+              onChange={(e) => handleStrategyChange(e.target.value)}
+            >
+              {Object.keys(STRATEGY_LABELS).map((value) => (
+                <option key={value} value={value}>
+                  {i18n.t(`strategies.${value}`)}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="toggle">
+            {i18n.t("controls.planOn")}
+            <select
+              value={config.toteBasis}
+              onChange={(e) => handleConfigChange({ ...config, toteBasis: e.target.value })}
+            >
+              {Object.keys(TOTE_BASIS_LABELS).map((value) => (
+                <option key={value} value={value}>
+                  {i18n.t(`toteBasis.${value}`)}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            className="btn btn-secondary"
+            onClick={() => setShowSettings((v) => !v)}
+          >
+            {i18n.t(showSettings ? "controls.hideSettings" : "controls.showSettings")}
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={() => setShowScenarios((v) => !v)}
+            disabled={consignments.length === 0}
+          >
+            {i18n.t(showScenarios ? "controls.hideScenarios" : "controls.showScenarios")}
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={() => setShowSessions((v) => !v)}
+          >
+            {i18n.t(showSessions ? "controls.hideSessions" : "controls.showSessions")}
+          </button>
+          <button
+            className={`btn ${view === "dashboard" ? "" : "btn-secondary"}`}
+            onClick={() => toggleView("dashboard")}
+            disabled={consignments.length === 0}
+            aria-pressed={view === "dashboard"}
+          >
+            {i18n.t(view === "dashboard" ? "common.backToPlanning" : "controls.dashboard")}
+          </button>
+          <button
+            className={`btn ${view === "execution" ? "" : "btn-secondary"}`}
+            onClick={() => toggleView("execution")}
+            disabled={consignments.length === 0}
+            aria-pressed={view === "execution"}
+          >
+            {i18n.t(view === "execution" ? "common.backToPlanning" : "controls.execution")}
+          </button>
+          <button
+            className={`btn ${view === "history" ? "" : "btn-secondary"}`}
+            onClick={() => toggleView("history")}
+            aria-pressed={view === "history"}
+          >
+            {i18n.t(view === "history" ? "common.backToPlanning" : "controls.history")}
+          </button>
           <button className="btn btn-secondary" onClick={handleClear}>
-            Clear
+            {i18n.t("controls.clear")}
           </button>
         </div>
 
+        <div className="controls export-controls">
+          <button
+            className="btn btn-secondary"
+            onClick={() => window.print()}
+            disabled={moveList.length === 0}
+          >
+            {i18n.t("controls.printSheet")}
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={handleExportCsv}
+            disabled={moveList.length === 0}
+          >
+            {i18n.t("controls.exportCsv")}
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={handleExportJson}
+            disabled={rows.length === 0}
+          >
+            {i18n.t("controls.exportJson")}
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={() => planInputRef.current?.click()}
+          >
+            {i18n.t("controls.importPlan")}
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={handleArchivePlan}
+            disabled={consignments.length === 0}
+          >
+            {i18n.t("controls.archivePlan")}
+          </button>
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImportPlan}
+            ref={planInputRef}
+            hidden
+          />
+        </div>
+
+        {session && (
+          <p className="session-status">
+            {i18n.t("app.session")} <strong>{session.name}</strong> ·{" "}
+            {autosaveFailed ? (
+              <span className="save-failed">{i18n.t("app.autosaveFailed")}</span>
+            ) : (
+              i18n.t("app.autosaved")
+            )}
+            {lastArchivedAt &&
+              ` · ${i18n.t("app.archivedAt", { time: i18n.formatTime(lastArchivedAt) })}`}
+          </p>
+        )}
+
         {consignments.length > 0 && (
+          <ReviewPanel review={review} onAction={handleReviewAction} i18n={i18n} />
+        )}
+        {lockNotice && <p className="error-banner">✕ {lockNotice}</p>}
+        {importError && <p className="error-banner">✕ {importError}</p>}
+
+        {pendingImport && (
+          <ImportPanel
+            files={pendingImport}
+            onMappingChange={handleImportMappingChange}
+            onConfirm={handleConfirmImport}
+            onCancel={handleCancelImport}
+            i18n={i18n}
+          />
+        )}
+
+        {refreshReview && (
+          <RefreshPanel
+            name={refreshReview.name}
+            review={refreshReview.review}
+            labelConsignment={labelConsignment}
+            describeSlot={describeSlot}
+            onKeepEdits={handleKeepRefreshedBoard}
+            onAcceptPlan={handleAcceptRefreshedPlan}
+            onCancel={() => setRefreshReview(null)}
+            i18n={i18n}
+          />
+        )}
+
+        {showSessions && (
+          <SessionsPanel
+            currentSessionId={session?.id}
+            onOpenSession={handleOpenSession}
+            onSessionDeleted={handleSessionDeleted}
+            i18n={i18n}
+          />
+        )}
+
+        {showSettings && (
+          <SettingsPanel config={config} onConfigChange={handleConfigChange} i18n={i18n} />
+        )}
+
+        {showScenarios && consignments.length > 0 && (
+          <ScenarioPanel
+            rows={rows}
+            config={config}
+            sectionRules={sectionRules}
+            scenarios={scenarios}
+            onScenariosChange={setScenarios}
+            onPromote={handlePromoteScenario}
+            i18n={i18n}
+          />
+        )}
+
+        {view === "dashboard" && consignments.length > 0 && (
+          <Dashboard
+            summaries={consignments}
+            moves={moveList}
+            suggestions={suggestions}
+            config={config}
+            labelConsignment={labelConsignment}
+            i18n={i18n}
+          />
+        )}
+
+        {view === "history" && <HistoryView i18n={i18n} />}
+
+        {view === "execution" && consignments.length > 0 && (
+          <ExecutionView
+            moves={moveList}
+            summaries={consignments}
+            liveSummaries={applyExecutionToSummaries(consignments, moveList)}
+            config={config}
+            onSetStatus={handleSetMoveStatus}
+            i18n={i18n}
+          />
+        )}
+
+        {view === "planning" && consignments.length > 0 && (
           <div className="layout-row">
             <div className="card card-summary">
-              <h3>Consignment Summary</h3>
+              <h3>{i18n.t("summary.title")}</h3>
+              <div className="summary-filters">
+                <input
+                  type="search"
+                  placeholder={i18n.t("summary.search")}
+                  value={summaryView.search}
+                  onChange={handleSummaryViewChange("search")}
+                  aria-label={i18n.t("summary.searchLabel")}
+                />
+                {shipmentOptions.length > 1 && (
+                  <select
+                    value={summaryView.shipment}
+                    onChange={handleSummaryViewChange("shipment")}
+                    aria-label={i18n.t("summary.filterShipment")}
+                  >
+                    <option value="">{i18n.t("common.allShipments")}</option>
+                    {shipmentOptions.map((shipment) => (
+                      <option key={shipment} value={shipment}>
+                        {shipment}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                <label className="toggle">
+                  <input
+                    type="checkbox"
+                    checked={summaryView.unassignedOnly}
+                    onChange={handleSummaryViewChange("unassignedOnly")}
+                  />
+                  {i18n.t("summary.unassignedOnly")}
+                </label>
+                <label className="toggle">
+                  <input
+                    type="checkbox"
+                    checked={summaryView.overThreshold}
+                    onChange={handleSummaryViewChange("overThreshold")}
+                  />
+                  {i18n.t("summary.overThreshold", { count: config.orangeFrom })}
+                </label>
+              </div>
               <table>
                 <thead>
                   <tr>
-                    <th>Shipment</th>
-                    <th>Consignment</th>
-                    <th>Ambient totes</th>
-                    <th>Chill+Freezer totes</th>
+                    {renderSortHeader("shipment", i18n.t("common.shipment"))}
+                    {renderSortHeader("consignment", i18n.t("common.consignment"))}
+                    {renderSortHeader("ambient", i18n.t("summary.ambientTotes"))}
+                    {renderSortHeader(
+                      "chill",
+                      i18n.t(separateFreezer ? "summary.chillTotes" : "summary.chillFreezerTotes")
+                    )}
+                    {separateFreezer &&
+                      renderSortHeader("freezer", i18n.t("summary.freezerTotes"))}
                   </tr>
                 </thead>
                 <tbody>
-                  {consignments.map((c) => {
-                    const ambientUsed = isSectionUsedAnywhere(
-                      c.consignment,
-                      "ambient"
-                    );
-                    const chillUsed = isSectionUsedAnywhere(
-                      c.consignment,
-                      "chill"
-                    );
+                  {summaryRows.length === 0 && (
+                    <tr>
+                      <td colSpan={separateFreezer ? 5 : 4} className="empty-text">
+                        {i18n.t("summary.noMatches")}
+                      </td>
+                    </tr>
+                  )}
+                  {summaryRows.map((row) => {
+                    if (row.kind === "subtotal") {
+                      return (
+                        <tr key={`subtotal-${row.shipment}`} className="subtotal-row">
+                          <td>{row.shipment}</td>
+                          <td>
+                            {i18n.t("summary.subtotal", { count: row.count })}
+                          </td>
+                          <td>{i18n.formatNumber(row.totals.ambient)}</td>
+                          <td>{i18n.formatNumber(row.totals.chill)}</td>
+                          {separateFreezer && <td>{i18n.formatNumber(row.totals.freezer)}</td>}
+                        </tr>
+                      );
+                    }
+
+                    const c = row.summary;
+                    const ambientUsed = isSectionUsedAnywhere(c, "ambient");
+                    const chillUsed = isSectionUsedAnywhere(c, "chill");
+                    const freezerUsed = isSectionUsedAnywhere(c, "freezer");
 
                     return (
                       <tr key={c.id}>
                         <td>{c.shipment}</td>
                         <td className="consignment-cell">
                           {c.consignment}
-                          {(ambientUsed || chillUsed) && (
+                          {(ambientUsed || chillUsed || freezerUsed) && (
                             <span className="assigned-badge">✓</span>
                           )}
                         </td>
 
-                        <td
-                          className={`tote ${getColorClass(
-                            c.ambientTotes
-                          )} ${ambientUsed ? "assigned" : ""}`}
-                          draggable
-                          onDragStart={() =>
-                            handleDragStart(c.consignment, "ambient", c.ambientTotes)
-                          }
-                          title="Drag ambient section to a route"
-                          style={{ cursor: "grab" }}
-                        >
-                          {c.ambientTotes}
-                          {ambientUsed && <span className="tick-mark">✓</span>}
-                        </td>
-
-                        <td
-                          className={`tote ${getColorClass(
-                            c.chillTotes
-                          )} ${chillUsed ? "assigned" : ""}`}
-                          draggable
-                          onDragStart={() =>
-                            handleDragStart(c.consignment, "chill", c.chillTotes)
-                          }
-                          title="Drag chill section to a route"
-                          style={{ cursor: "grab" }}
-                        >
-                          {c.chillTotes}
-                          {chillUsed && <span className="tick-mark">✓</span>}
-                        </td>
+                        {renderSectionCell(c, "ambient", ambientUsed)}
+                        {renderSectionCell(c, "chill", chillUsed)}
+                        {separateFreezer && renderSectionCell(c, "freezer", freezerUsed)}
                       </tr>
                     );
                   })}
@@ -456,152 +1253,530 @@ const App = () => {
               <div className="right-columns">
                 <div className="panel routes-panel">
                   <h3>
-                    Routes{" "}
+                    {i18n.t("routes.title")}{" "}
                     {routesNeeded > 0
-                      ? `(needed: ${routesNeeded})`
-                      : "(no consolidation routes needed)"}
+                      ? i18n.t("routes.needed", { count: routesNeeded })
+                      : i18n.t("routes.noneNeeded")}
                   </h3>
-                  {routesNeeded === 0 ? (
+                  {routesNeeded === 0 && routes.length === 0 ? (
                     <p className="empty-text">
-                      Total consignments ≤ 9. No additional consolidation routes are required.
+                      {i18n.t("routes.noneRequired", { count: config.maxConsignments })}
                     </p>
                   ) : (
                     <>
+                      <div className="routes-actions">
+                        <button
+                          className="btn btn-secondary"
+                          onClick={handleApplySuggestions}
+                          disabled={suggestions.length === 0 || boardLocked}
+                        >
+                          {i18n.t("routes.applySuggestions")}
+                        </button>
+                        <button
+                          className="btn btn-secondary"
+                          onClick={handleAddRoute}
+                          disabled={boardLocked}
+                        >
+                          {i18n.t("routes.addRoute")}
+                        </button>
+                        <button
+                          className="btn btn-secondary"
+                          onClick={handleUndo}
+                          disabled={!canUndo(routeHistory) || boardLocked}
+                          title={i18n.t("routes.undoHint")}
+                        >
+                          {i18n.t("routes.undo")}
+                        </button>
+                        <button
+                          className="btn btn-secondary"
+                          onClick={handleRedo}
+                          disabled={!canRedo(routeHistory) || boardLocked}
+                          title={i18n.t("routes.redoHint")}
+                        >
+                          {i18n.t("routes.redo")}
+                        </button>
+                      </div>
+                      {boardLocked && <p className="board-locked-note">{lockedMessage()}</p>}
+                      <p className="selection-status" aria-live="polite">
+                        {selectedSection && (
+                          <>
+                            {i18n.t("routes.selected")}{" "}
+                            <strong>{labelSection(selectedSection)}</strong>{" "}
+                            {i18n.t("routes.selectedDetail", {
+                              zone: i18n.zone(selectedSection.type),
+                              amount: i18n.totes(selectedSection.totes),
+                            })}{" "}
+                            <button
+                              className="link-btn"
+                              onClick={() => setSelectedSection(null)}
+                            >
+                              {i18n.t("common.cancel")}
+                            </button>
+                          </>
+                        )}
+                      </p>
+                      {applyWarning && (
+                        <p className="warning-banner">⚠ {applyWarning}</p>
+                      )}
+                      {dropError && <p className="error-banner">✕ {dropError}</p>}
+                      {validation.issues.length > 0 && (
+                        <div className="board-issues">
+                          <strong>
+                            {i18n.t("routes.issues", { count: validation.issues.length })}
+                          </strong>
+                          <ul>
+                            {validation.issues.map((issue, idx) => (
+                              <li key={idx}>
+                                {describeSlot(issue.routeId, issue.subRouteId)}:{" "}
+                                {describeIssue(issue)}
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
                       <p className="grouping-subtitle">
-                        Each route has 2 sub‑routes. Drag one section into <strong>From</strong> and one or more into <strong>To</strong>.
+                        {i18n.t("routes.help", { count: config.sourcesPerRoute })}
                       </p>
                       <div className="routes-column">
-                        {routes.map((route) => (
-                          <div key={route.id} className="route-card">
-                            <div className="route-header">Route {route.id}</div>
-                            <div className="route-subroutes">
-                              {route.subRoutes.map((sr) => (
-                                <div key={sr.id} className="subroute-card">
-                                  <div className="subroute-title">
-                                    Sub‑route {sr.id}
-                                  </div>
-                                  <div className="from-to-row">
-                                    <div
-                                      className="subroute-slot from-slot"
-                                      onDrop={() =>
-                                        handleDropOnFrom(route.id, sr.id)
-                                      }
-                                      onDragOver={handleDragOver}
-                                    >
-                                      <div className="slot-label">From</div>
-                                      {sr.from ? (
-                                        <div className="slot-item from">
-                                          <span>
-                                            <strong>{sr.from.totes}</strong> Totes - {sr.from.consignmentId} (
-                                            {sr.from.type})
-                                          </span>
-                                          <button
-                                            className="remove-btn"
-                                            onClick={() =>
-                                              handleRemoveFromSubRoute(
-                                                route.id,
-                                                sr.id,
-                                                sr.from.consignmentId,
-                                                sr.from.type,
-                                                "from"
-                                              )
-                                            }
-                                            title="Remove from"
-                                          >
-                                            ✕
-                                          </button>
-                                        </div>
-                                      ) : (
-                                        <div className="slot-empty">
-                                          Drop a section here
-                                        </div>
-                                      )}
-                                    </div>
-
-                                    <div className="from-to-arrow">─────&gt;</div>
-
+                        {routes.map((route, routeIdx) => {
+                          const totals = getRouteTotals(route);
+                          return (
+                            <div key={route.id} className="route-card">
+                              <div className="route-header">
+                                <input
+                                  key={`name-${route.name ?? ""}`}
+                                  className="route-name"
+                                  defaultValue={route.name ?? ""}
+                                  placeholder={i18n.routeLabels.route(route.id)}
+                                  onBlur={handleRenameRoute(route)}
+                                  onKeyDown={blurOnEnter}
+                                  disabled={boardLocked}
+                                  aria-label={i18n.t("routes.routeNameAria", {
+                                    id: String(route.id),
+                                  })}
+                                />
+                                <span
+                                  className={`route-totals ${totals.over ? "over" : ""}`}
+                                  title={i18n.t("routes.totalsHint")}
+                                >
+                                  {totals.capacity !== null
+                                    ? i18n.t("routes.totalsOf", {
+                                        loaded: totals.totes,
+                                        capacity: totals.capacity,
+                                      })
+                                    : i18n.t("routes.totals", { loaded: totals.totes })}
+                                </span>
+                                <label className="route-capacity">
+                                  {i18n.t("routes.vehicle")}
+                                  <input
+                                    key={`capacity-${route.capacity ?? ""}`}
+                                    type="number"
+                                    min="1"
+                                    defaultValue={route.capacity ?? ""}
+                                    placeholder="—"
+                                    onBlur={handleRouteCapacityChange(route)}
+                                    onKeyDown={blurOnEnter}
+                                    disabled={boardLocked}
+                                    aria-label={i18n.t("routes.vehicleAria", {
+                                      route: routeLabel(route),
+                                    })}
+                                  />
+                                </label>
+                                <div className="route-tools">
+                                  <button
+                                    className="icon-btn"
+                                    onClick={() => handleMoveRoute(route.id, -1)}
+                                    disabled={routeIdx === 0 || boardLocked}
+                                    aria-label={i18n.t("routes.moveUpAria", {
+                                      route: routeLabel(route),
+                                    })}
+                                    title={i18n.t("routes.moveUp")}
+                                  >
+                                    ↑
+                                  </button>
+                                  <button
+                                    className="icon-btn"
+                                    onClick={() => handleMoveRoute(route.id, 1)}
+                                    disabled={routeIdx === routes.length - 1 || boardLocked}
+                                    aria-label={i18n.t("routes.moveDownAria", {
+                                      route: routeLabel(route),
+                                    })}
+                                    title={i18n.t("routes.moveDown")}
+                                  >
+                                    ↓
+                                  </button>
+                                  <button
+                                    className="icon-btn"
+                                    onClick={() => handleAddSubRoute(route.id)}
+                                    disabled={boardLocked}
+                                    aria-label={i18n.t("routes.addSubRouteAria", {
+                                      route: routeLabel(route),
+                                    })}
+                                    title={i18n.t("routes.addSubRouteHint")}
+                                  >
+                                    {i18n.t("routes.addSubRoute")}
+                                  </button>
+                                  <button
+                                    className="icon-btn"
+                                    onClick={() => handleRemoveRoute(route.id)}
+                                    disabled={boardLocked}
+                                    aria-label={i18n.t("routes.removeRouteAria", {
+                                      route: routeLabel(route),
+                                    })}
+                                    title={i18n.t("routes.removeRoute")}
+                                  >
+                                    ✕
+                                  </button>
+                                </div>
+                              </div>
+                              <div className="route-subroutes">
+                                {route.subRoutes.map((sr) => {
+                                  const subValidation = getSubRouteValidation(
+                                    validation,
+                                    route.id,
+                                    sr.id
+                                  );
+                                  return (
                                     <div
-                                      className="subroute-slot to-slot"
-                                      onDrop={() =>
-                                        handleDropOnTo(route.id, sr.id)
-                                      }
-                                      onDragOver={handleDragOver}
+                                      key={sr.id}
+                                      className={`subroute-card ${
+                                        subValidation.issues.length > 0 ? "has-issues" : ""
+                                      }`}
                                     >
-                                      <div className="slot-label">To</div>
-                                      {sr.tos.length === 0 ? (
-                                        <div className="slot-empty">
-                                          Drop sections here (multiple allowed)
-                                        </div>
-                                      ) : (
-                                        <ul className="slot-list">
-                                          {sr.tos.map((t, idx) => (
-                                            <li
-                                              key={`${t.consignmentId}-${t.type}-${idx}`}
-                                              className={`slot-item ${t.type}`}
+                                      <div className="subroute-title">
+                                        <input
+                                          key={`name-${sr.name ?? ""}`}
+                                          className="subroute-name"
+                                          defaultValue={sr.name ?? ""}
+                                          placeholder={i18n.routeLabels.subRoute(sr.id)}
+                                          onBlur={handleRenameSubRoute(route, sr)}
+                                          onKeyDown={blurOnEnter}
+                                          disabled={boardLocked}
+                                          aria-label={i18n.t("routes.subRouteNameAria", {
+                                            id: String(sr.id),
+                                            route: routeLabel(route),
+                                          })}
+                                        />
+                                        <button
+                                          className="icon-btn"
+                                          onClick={() => handleRemoveSubRoute(route.id, sr.id)}
+                                          disabled={boardLocked}
+                                          aria-label={i18n.t("routes.removeSubRouteAria", {
+                                            subRoute: subRouteLabel(sr),
+                                            route: routeLabel(route),
+                                          })}
+                                          title={i18n.t("routes.removeSubRoute")}
+                                        >
+                                          ✕
+                                        </button>
+                                      </div>
+                                      <div className="from-to-row">
+                                        <div
+                                          className="subroute-slot from-slot"
+                                          onDrop={() =>
+                                            handleDropOnFrom(route.id, sr.id)
+                                          }
+                                          onDragOver={handleDragOver}
+                                          role="group"
+                                          aria-label={i18n.t("routes.fromSlotAria", {
+                                            route: routeLabel(route),
+                                            subRoute: subRouteLabel(sr),
+                                          })}
+                                        >
+                                          <div className="slot-label">{i18n.t("routes.from")}</div>
+                                          {selectedSection && (
+                                            <button
+                                              className="assign-btn"
+                                              onClick={() =>
+                                                handleAssignSelected(route.id, sr.id, "from")
+                                              }
+                                              aria-label={i18n.t("routes.placeAria", {
+                                                item: labelSection(selectedSection),
+                                                zone: i18n.zone(selectedSection.type),
+                                                route: routeLabel(route),
+                                                subRoute: subRouteLabel(sr),
+                                              })}
+                                            >
+                                              {i18n.t("routes.placeHere")}
+                                            </button>
+                                          )}
+                                          {sr.from ? (
+                                            <div
+                                              className={`slot-item from ${staleClass(sr.from)}`}
+                                              title={staleTitle(sr.from)}
                                             >
                                               <span>
-                                                <strong>{t.totes}</strong> Totes - {t.consignmentId} ({t.type})
+                                                <strong>{i18n.formatNumber(sr.from.totes)}</strong>{" "}
+                                                {i18n.t("routes.slotItem", {
+                                                  item: labelSection(sr.from),
+                                                  zone: i18n.zone(sr.from.type),
+                                                })}
                                               </span>
                                               <button
                                                 className="remove-btn"
+                                                disabled={boardLocked}
                                                 onClick={() =>
                                                   handleRemoveFromSubRoute(
                                                     route.id,
                                                     sr.id,
-                                                    t.consignmentId,
-                                                    t.type,
-                                                    "to"
+                                                    sr.from.sectionId,
+                                                    "from"
                                                   )
                                                 }
-                                                title="Remove to"
+                                                title={i18n.t("routes.removeFrom")}
+                                                aria-label={i18n.t("routes.removeFromAria", {
+                                                  item: labelSection(sr.from),
+                                                  zone: i18n.zone(sr.from.type),
+                                                })}
                                               >
                                                 ✕
                                               </button>
+                                            </div>
+                                          ) : (
+                                            <div className="slot-empty">
+                                              {i18n.t("routes.dropFrom")}
+                                            </div>
+                                          )}
+                                        </div>
+
+                                        <div className="from-to-arrow">─────&gt;</div>
+
+                                        <div
+                                          className="subroute-slot to-slot"
+                                          onDrop={() =>
+                                            handleDropOnTo(route.id, sr.id)
+                                          }
+                                          onDragOver={handleDragOver}
+                                          role="group"
+                                          aria-label={i18n.t("routes.toSlotAria", {
+                                            route: routeLabel(route),
+                                            subRoute: subRouteLabel(sr),
+                                          })}
+                                        >
+                                          <div className="slot-label">{i18n.t("routes.to")}</div>
+                                          {selectedSection && (
+                                            <button
+                                              className="assign-btn"
+                                              onClick={() =>
+                                                handleAssignSelected(route.id, sr.id, "to")
+                                              }
+                                              aria-label={i18n.t("routes.addAria", {
+                                                item: labelSection(selectedSection),
+                                                zone: i18n.zone(selectedSection.type),
+                                                route: routeLabel(route),
+                                                subRoute: subRouteLabel(sr),
+                                              })}
+                                            >
+                                              {i18n.t("routes.addHere")}
+                                            </button>
+                                          )}
+                                          {sr.tos.length === 0 ? (
+                                            <div className="slot-empty">
+                                              {i18n.t("routes.dropTo")}
+                                            </div>
+                                          ) : (
+                                            <ul className="slot-list">
+                                              {sr.tos.map((t, idx) => (
+                                                <li
+                                                  key={`${t.sectionId}-${idx}`}
+                                                  className={`slot-item ${t.type} ${staleClass(t)}`}
+                                                  title={staleTitle(t)}
+                                                >
+                                                  <span>
+                                                    <strong>{i18n.formatNumber(t.totes)}</strong>{" "}
+                                                    {i18n.t("routes.slotItem", {
+                                                      item: labelSection(t),
+                                                      zone: i18n.zone(t.type),
+                                                    })}
+                                                    {t.qty !== undefined && (
+                                                      <span className="qty-badge">+{t.qty}</span>
+                                                    )}
+                                                    {sr.from && subValidation.projections[idx] && (
+                                                      <span
+                                                        className={`projected ${
+                                                          subValidation.projections[idx].over
+                                                            ? "over"
+                                                            : ""
+                                                        }`}
+                                                        title={i18n.t("routes.projectedHint")}
+                                                      >
+                                                        → {subValidation.projections[idx].projected}/
+                                                        {config.sectionCapacity}
+                                                      </span>
+                                                    )}
+                                                  </span>
+                                                  <button
+                                                    className="remove-btn"
+                                                    disabled={boardLocked}
+                                                    onClick={() =>
+                                                      handleRemoveFromSubRoute(
+                                                        route.id,
+                                                        sr.id,
+                                                        t.sectionId,
+                                                        "to"
+                                                      )
+                                                    }
+                                                    title={i18n.t("routes.removeTo")}
+                                                    aria-label={i18n.t("routes.removeToAria", {
+                                                      item: labelSection(t),
+                                                      zone: i18n.zone(t.type),
+                                                    })}
+                                                  >
+                                                    ✕
+                                                  </button>
+                                                </li>
+                                              ))}
+                                            </ul>
+                                          )}
+                                        </div>
+                                      </div>
+                                      {subValidation.issues.length > 0 && (
+                                        <ul className="subroute-issues">
+                                          {subValidation.issues.map((issue, idx) => (
+                                            <li key={idx} className={`issue-${issue.kind}`}>
+                                              {describeIssue(issue)}
                                             </li>
                                           ))}
                                         </ul>
                                       )}
                                     </div>
-                                  </div>
-                                </div>
-                              ))}
+                                  );
+                                })}
+                              </div>
                             </div>
-                          </div>
-                        ))}
+                          );
+                        })}
                       </div>
                     </>
                   )}
                 </div>
 
                 <div className="panel small-panel">
-                  <h3>Consolidation Suggestions</h3>
-                  {suggestions.length === 0 ? (
-                    <p className="empty-text">
-                      No consolidation suggestions.
+                  <h3>{i18n.t("suggestions.title")}</h3>
+                  {routesNeeded > 0 && (
+                    <PlanComparison
+                      plans={comparedPlans}
+                      activeStrategy={config.strategy}
+                      planning={planning}
+                      onSelectStrategy={handleStrategyChange}
+                      i18n={i18n}
+                    />
+                  )}
+                  {elimination && routesNeeded > 0 && (
+                    <p
+                      className={`elimination-summary ${
+                        elimination.meetsTarget ? "ok" : "short"
+                      }`}
+                    >
+                      {i18n.t("suggestions.consignments")}{" "}
+                      <strong>{i18n.formatNumber(elimination.before)}</strong> →{" "}
+                      <strong>{i18n.formatNumber(elimination.after)}</strong>{" "}
+                      {i18n.t("suggestions.target", { count: elimination.target })}{" "}
+                      {elimination.meetsTarget ? "✓" : "✕"}
+                      {elimination.eliminated.length > 0 && (
+                        <span className="cons-meta">
+                          {i18n.t("suggestions.emptied", {
+                            list: elimination.eliminated.join(", "),
+                          })}
+                        </span>
+                      )}
+                      {elimination.blocked.length > 0 && (
+                        <span className="cons-meta">
+                          {i18n.t("suggestions.blocked", {
+                            list: elimination.blocked.join(", "),
+                          })}
+                        </span>
+                      )}
+                    </p>
+                  )}
+                  {allowCrossShipment && (
+                    <p className="warning-banner">
+                      ⚠ {i18n.t("suggestions.crossShipmentWarning")}
                     </p>
+                  )}
+                  {shipmentBreakdown.length > 1 && (
+                    <table className="shipment-breakdown">
+                      <thead>
+                        <tr>
+                          <th>{i18n.t("common.shipment")}</th>
+                          <th>{i18n.t("common.consignments")}</th>
+                          <th>{i18n.t("common.routes")}</th>
+                          <th>{i18n.t("suggestions.unplacedTotes")}</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {shipmentBreakdown.map((b) => (
+                          <tr key={b.shipment}>
+                            <td>{b.shipment}</td>
+                            <td>{i18n.formatNumber(b.consignments)}</td>
+                            <td>{i18n.formatNumber(b.routesNeeded)}</td>
+                            <td className={b.unplacedQty > 0 ? "unplaced-count" : ""}>
+                              {i18n.formatNumber(b.unplacedQty)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                  {suggestions.length === 0 ? (
+                    <p className="empty-text">{i18n.t("suggestions.none")}</p>
                   ) : (
                     <table className="suggestion-table">
                       <thead>
                         <tr>
-                          <th>Move From</th>
-                          <th>To (Available Sections)</th>
+                          <th>{i18n.t("suggestions.moveFrom")}</th>
+                          <th>{i18n.t("suggestions.toAvailable")}</th>
                         </tr>
                       </thead>
                       <tbody>
                         {suggestions.map((s, idx) => (
-                          <tr key={idx}>
-                            <td className="from-cell">
+                          <tr key={idx} className={s.unplaceable ? "unplaceable" : ""}>
+                            <td
+                              className="from-cell"
+                              title={describeMessage(i18n, s.why, s.reason)}
+                            >
                               <div className="cons-name">{s.sourceConsignment}</div>
+                              {s.shipment && (
+                                <div className="cons-meta">
+                                  {i18n.t("suggestions.inShipment", { shipment: s.shipment })}
+                                </div>
+                              )}
                               <div className="cons-meta">
-                                {s.sourceType} • <strong>{s.totalQty}</strong> totes
+                                {i18n.zone(s.sourceType)} • <strong>{i18n.totes(s.totalQty)}</strong>
                               </div>
+                              {s.unplaceable && (
+                                <div className="unplaceable-note">
+                                  {i18n.t("suggestions.unplaceable", {
+                                    amount: i18n.totes(s.unplacedQty),
+                                    zone: i18n.zone(s.sourceType),
+                                  })}
+                                </div>
+                              )}
                             </td>
                             <td className="to-cell">
                               {s.moves.map((m, mIdx) => (
-                                <div key={mIdx} className="move-item">
+                                <div
+                                  key={mIdx}
+                                  className={`move-item ${m.crossShipment ? "cross-shipment" : ""}`}
+                                  title={describeMessage(i18n, m.why, m.reason)}
+                                >
                                   <span className="arrow">↳</span>
-                                  <span className="qty-badge">{m.qty}</span>
-                                  <span> to <strong>{m.toConsignment}</strong> ({m.toType})</span>
+                                  <span className="qty-badge">{i18n.formatNumber(m.qty)}</span>
+                                  <span>
+                                    {" "}
+                                    {i18n.t("suggestions.to")} <strong>{m.toConsignment}</strong> (
+                                    {i18n.zone(m.toType)})
+                                  </span>
+                                  {m.crossShipment && (
+                                    <span
+                                      className="cross-shipment-flag"
+                                      title={i18n.t("suggestions.crossShipmentHint", {
+                                        shipment: m.toShipment,
+                                      })}
+                                    >
+                                      ⚠ {m.toShipment}
+                                    </span>
+                                  )}
                                 </div>
                               ))}
                             </td>
@@ -616,6 +1791,16 @@ const App = () => {
           </div>
         )}
       </div>
+
+      <PrintSheet
+        moves={moveList}
+        title={
+          session ? i18n.t("print.titleNamed", { name: session.name }) : i18n.t("print.title")
+        }
+        source={hasBoardMoves(routes) ? "routes" : "suggestions"}
+        review={review}
+        i18n={i18n}
+      />
     </div>
   );
 };
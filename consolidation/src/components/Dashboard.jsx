@@ -0,0 +1,261 @@
+import React from "react";
+import {
+  buildFillHistogram,
+  buildUtilisation,
+  summariseDashboard,
+  totesByShipment,
+} from "../engine/index.js";
+
+const TYPE_COLOURS = { ambient: "#f59e0b", chill: "#3b82f6", freezer: "#8b5cf6" };
+const BEFORE_COLOUR = "#cbd5e1";
+
+const CHART_WIDTH = 460;
+const LABEL_WIDTH = 90;
+
+const Legend = ({ types, i18n }) => (
+  <div className="chart-legend">
+    {types.map((type) => (
+      <span key={type}>
+        <svg width="10" height="10" aria-hidden="true">
+          <rect width="10" height="10" fill={TYPE_COLOURS[type]} />
+        </svg>{" "}
+        {i18n.zone(type)}
+      </span>
+    ))}
+  </div>
+);
+
+// Grouped bars: one group per fill band, one bar per temperature.
+const FillHistogram = ({ histogram, i18n }) => {
+  const { types, bins } = histogram;
+  const height = 180;
+  const plotHeight = height - 30;
+  const max = Math.max(1, ...bins.flatMap((b) => types.map((t) => b.counts[t])));
+  const groupWidth = CHART_WIDTH / bins.length;
+  const barWidth = (groupWidth - 6) / types.length;
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${height}`}
+      className="chart"
+      role="img"
+      aria-label={i18n.t("dashboard.fillAria")}
+    >
+      <line x1="0" y1={plotHeight} x2={CHART_WIDTH} y2={plotHeight} stroke="#94a3b8" />
+      {bins.map((bin, binIdx) => (
+        <g key={bin.label} transform={`translate(${binIdx * groupWidth + 3}, 0)`}>
+          {types.map((type, typeIdx) => {
+            const count = bin.counts[type];
+            const barHeight = (count / max) * (plotHeight - 14);
+            return (
+              <rect
+                key={type}
+                x={typeIdx * barWidth}
+                y={plotHeight - barHeight}
+                width={barWidth - 1}
+                height={barHeight}
+                fill={TYPE_COLOURS[type]}
+              >
+                <title>
+                  {i18n.t("dashboard.fillBar", { zone: i18n.zone(type), band: bin.label, count })}
+                </title>
+              </rect>
+            );
+          })}
+          <text x={(groupWidth - 6) / 2} y={height - 12} textAnchor="middle" fontSize="9">
+            {bin.label}
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+// Horizontal stacked bars: one per shipment, split by temperature.
+const ShipmentTotes = ({ shipments, types, i18n }) => {
+  const rowHeight = 22;
+  const height = shipments.length * rowHeight + 4;
+  const max = Math.max(1, ...shipments.map((s) => s.total));
+  const scale = (CHART_WIDTH - LABEL_WIDTH - 40) / max;
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${height}`}
+      className="chart"
+      role="img"
+      aria-label={i18n.t("dashboard.shipmentAria")}
+    >
+      {shipments.map((s, idx) => {
+        let x = LABEL_WIDTH;
+        const y = idx * rowHeight + 2;
+        return (
+          <g key={s.shipment}>
+            <text x={LABEL_WIDTH - 6} y={y + 13} textAnchor="end" fontSize="11">
+              {s.shipment}
+            </text>
+            {types.map((type) => {
+              const width = s.byType[type] * scale;
+              const rect = (
+                <rect
+                  key={type}
+                  x={x}
+                  y={y}
+                  width={width}
+                  height={rowHeight - 6}
+                  fill={TYPE_COLOURS[type]}
+                >
+                  <title>
+                    {i18n.t("dashboard.shipmentBar", {
+                      shipment: s.shipment,
+                      zone: i18n.zone(type),
+                      amount: i18n.totes(s.byType[type]),
+                    })}
+                  </title>
+                </rect>
+              );
+              x += width;
+              return rect;
+            })}
+            <text x={x + 4} y={y + 13} fontSize="11">
+              {i18n.formatNumber(s.total)}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+// Per consignment section: a grey bar for now, a coloured bar for after the
+// plan, against a line at section capacity.
+const UtilisationBars = ({ utilisation, labelConsignment, i18n }) => {
+  const rowHeight = 18;
+  const rows = utilisation.flatMap((c) =>
+    c.sections.map((section, idx) => ({ ...section, consignment: c, first: idx === 0 }))
+  );
+  const height = rows.length * rowHeight + 4;
+  const maxShare = Math.max(1, ...rows.map((r) => Math.max(r.beforeShare, r.afterShare)));
+  const scale = (CHART_WIDTH - LABEL_WIDTH - 10) / maxShare;
+  const capacityX = LABEL_WIDTH + scale;
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${height}`}
+      className="chart"
+      role="img"
+      aria-label={i18n.t("dashboard.utilisationAria")}
+    >
+      {rows.map((row, idx) => {
+        const y = idx * rowHeight + 2;
+        const label = labelConsignment(row.consignment.shipment, row.consignment.consignment);
+        return (
+          <g key={`${row.consignment.id}-${row.type}`}>
+            {row.first && (
+              <text x={LABEL_WIDTH - 6} y={y + 11} textAnchor="end" fontSize="10">
+                {label}
+              </text>
+            )}
+            <rect
+              x={LABEL_WIDTH}
+              y={y}
+              width={row.beforeShare * scale}
+              height={6}
+              fill={BEFORE_COLOUR}
+            >
+              <title>
+                {i18n.t("dashboard.utilisationNow", {
+                  consignment: label,
+                  zone: i18n.zone(row.type),
+                  amount: i18n.totes(row.before),
+                })}
+              </title>
+            </rect>
+            <rect
+              x={LABEL_WIDTH}
+              y={y + 7}
+              width={row.afterShare * scale}
+              height={6}
+              fill={TYPE_COLOURS[row.type]}
+            >
+              <title>
+                {i18n.t("dashboard.utilisationAfter", {
+                  consignment: label,
+                  zone: i18n.zone(row.type),
+                  amount: i18n.totes(row.after),
+                })}
+              </title>
+            </rect>
+          </g>
+        );
+      })}
+      <line x1={capacityX} y1="0" x2={capacityX} y2={height} stroke="#dc2626" strokeDasharray="3 3">
+        <title>{i18n.t("dashboard.capacity")}</title>
+      </line>
+    </svg>
+  );
+};
+
+// Charts and headline numbers for the loaded data and the current plan.
+const Dashboard = ({ summaries, moves, suggestions, config, labelConsignment, i18n }) => {
+  const kpis = summariseDashboard(summaries, moves, suggestions, config);
+  const histogram = buildFillHistogram(summaries, config);
+  const shipments = totesByShipment(summaries, config);
+  const utilisation = buildUtilisation(summaries, moves, config);
+
+  const tiles = [
+    {
+      label: i18n.t("dashboard.consignments"),
+      value: `${i18n.formatNumber(kpis.consignmentsBefore)} → ${i18n.formatNumber(
+        kpis.consignmentsAfter
+      )}`,
+    },
+    { label: i18n.t("dashboard.totesMoved"), value: i18n.formatNumber(kpis.totesMoved) },
+    { label: i18n.t("dashboard.splitMoves"), value: i18n.formatNumber(kpis.splitMoves) },
+    {
+      label: i18n.t("dashboard.unplaced"),
+      value: i18n.formatNumber(kpis.unplacedQty),
+      warn: kpis.unplacedQty > 0,
+    },
+  ];
+
+  return (
+    <div className="dashboard">
+      <div className="kpi-row">
+        {tiles.map((tile) => (
+          <div key={tile.label} className={`kpi-tile ${tile.warn ? "warn" : ""}`}>
+            <span className="kpi-value">{tile.value}</span>
+            <span className="kpi-label">{tile.label}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="dashboard-charts">
+        <section className="dashboard-chart">
+          <h3>{i18n.t("dashboard.fillTitle")}</h3>
+          <Legend types={histogram.types} i18n={i18n} />
+          <FillHistogram histogram={histogram} i18n={i18n} />
+        </section>
+
+        <section className="dashboard-chart">
+          <h3>{i18n.t("dashboard.shipmentTitle")}</h3>
+          <Legend types={histogram.types} i18n={i18n} />
+          <ShipmentTotes shipments={shipments} types={histogram.types} i18n={i18n} />
+        </section>
+
+        <section className="dashboard-chart dashboard-chart-wide">
+          <h3>{i18n.t("dashboard.utilisationTitle")}</h3>
+          <p className="cons-meta">
+            {i18n.t("dashboard.utilisationNote", { amount: i18n.totes(config.sectionCapacity) })}
+          </p>
+          <UtilisationBars
+            utilisation={utilisation}
+            labelConsignment={labelConsignment}
+            i18n={i18n}
+          />
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default Dashboard;
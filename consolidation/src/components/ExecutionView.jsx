@@ -0,0 +1,184 @@
+import React, { useState } from "react";
+import {
+  getSectionTypes,
+  groupMovesByRoute,
+  moveKey,
+  summariseRouteProgress,
+} from "../engine/index.js";
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : 0);
+
+// Floor view for ticking off moves on a tablet: big touch targets, progress per
+// route, and consignment totes as they stand after what has really moved.
+const ExecutionView = ({ moves, summaries, liveSummaries, config, onSetStatus, i18n }) => {
+  const [shortDraft, setShortDraft] = useState(null); // { key, value } while entering a short qty
+  const routes = groupMovesByRoute(moves);
+  const progress = summariseRouteProgress(moves);
+
+  const startShort = (move) =>
+    setShortDraft({ key: moveKey(move), value: String(move.actualQty ?? "") });
+
+  const saveShort = (move) => {
+    const qty = Number(shortDraft.value);
+    if (!Number.isInteger(qty) || qty < 0 || qty > move.qty) return;
+    onSetStatus(move, "short", qty);
+    setShortDraft(null);
+  };
+
+  const types = getSectionTypes(config);
+
+  if (moves.length === 0) {
+    return <p className="empty-text">{i18n.t("execution.empty")}</p>;
+  }
+
+  return (
+    <div className="execution-view">
+      {routes.map((route) => {
+        const routeProgress = progress.find((p) => p.route === route.route);
+        return (
+          <section key={route.route} className="execution-route">
+            <header className="execution-route-header">
+              <h3>{routeProgress.routeName}</h3>
+              <span>
+                {i18n.t("execution.routeProgress", {
+                  finished: routeProgress.finished,
+                  moves: routeProgress.moves,
+                  moved: routeProgress.movedQty,
+                  planned: routeProgress.plannedQty,
+                })}
+                {routeProgress.short > 0 &&
+                  i18n.t("execution.routeShort", { count: routeProgress.short })}
+              </span>
+            </header>
+            <div
+              className="progress-bar"
+              role="progressbar"
+              aria-label={i18n.t("execution.progressAria", { route: routeProgress.routeName })}
+              aria-valuemin={0}
+              aria-valuemax={routeProgress.moves}
+              aria-valuenow={routeProgress.finished}
+            >
+              <div style={{ width: `${percent(routeProgress.finished, routeProgress.moves)}%` }} />
+            </div>
+
+            {route.subRoutes.flatMap((sr) =>
+              sr.moves.map((move, idx) => {
+                const key = moveKey(move);
+                const editingShort = shortDraft?.key === key;
+                return (
+                  <div key={`${sr.subRoute}-${idx}`} className={`execution-move status-${move.status}`}>
+                    <div className="execution-move-text">
+                      <strong>
+                        {move.fromConsignment} → {move.toConsignment}
+                      </strong>
+                      <span>
+                        {i18n.t("execution.moveDetail", {
+                          subRoute: move.subRouteName,
+                          zone: i18n.zone(move.temperature),
+                          amount: i18n.totes(move.qty),
+                        })}
+                        {move.status === "short" &&
+                          i18n.t("execution.movedShort", { count: move.actualQty })}
+                      </span>
+                      <span className="execution-status">
+                        {i18n.t(`moveStatus.${move.status}`)}
+                      </span>
+                    </div>
+
+                    {editingShort ? (
+                      <div className="execution-actions">
+                        <input
+                          type="number"
+                          min="0"
+                          max={move.qty}
+                          inputMode="numeric"
+                          value={shortDraft.value}
+                          onChange={(e) => setShortDraft({ key, value: e.target.value })}
+                          aria-label={i18n.t("execution.actualAria", {
+                            from: move.fromConsignment,
+                            to: move.toConsignment,
+                          })}
+                          autoFocus
+                        />
+                        <button className="btn" onClick={() => saveShort(move)}>
+                          {i18n.t("execution.save")}
+                        </button>
+                        <button className="btn btn-secondary" onClick={() => setShortDraft(null)}>
+                          {i18n.t("common.cancel")}
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="execution-actions">
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => onSetStatus(move, "inProgress")}
+                          disabled={move.status === "inProgress"}
+                        >
+                          {i18n.t("execution.start")}
+                        </button>
+                        <button
+                          className="btn"
+                          onClick={() => onSetStatus(move, "done")}
+                          disabled={move.status === "done"}
+                        >
+                          {i18n.t("execution.done")}
+                        </button>
+                        <button className="btn btn-secondary" onClick={() => startShort(move)}>
+                          {i18n.t("execution.short")}
+                        </button>
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => onSetStatus(move, "pending")}
+                          disabled={move.status === "pending"}
+                        >
+                          {i18n.t("execution.reset")}
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                );
+              })
+            )}
+          </section>
+        );
+      })}
+
+      <section className="execution-route">
+        <h3>{i18n.t("execution.liveTitle")}</h3>
+        <table>
+          <thead>
+            <tr>
+              <th>{i18n.t("common.shipment")}</th>
+              <th>{i18n.t("common.consignment")}</th>
+              {types.map((type) => (
+                <th key={type}>{i18n.zone(type)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {liveSummaries.map((c, idx) => (
+              <tr key={c.id}>
+                <td>{c.shipment}</td>
+                <td>{c.consignment}</td>
+                {types.map((type) => {
+                  const before = summaries[idx][`${type}Totes`];
+                  const now = c[`${type}Totes`];
+                  return (
+                    <td key={type} className={now !== before ? "changed" : ""}>
+                      {i18n.formatNumber(now)}
+                      {now !== before && (
+                        <span className="was">{i18n.t("execution.was", { count: before })}</span>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    </div>
+  );
+};
+
+export default ExecutionView;
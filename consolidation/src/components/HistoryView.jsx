@@ -0,0 +1,287 @@
+import React, { useState } from "react";
+import {
+  archiveDates,
+  archiveMetrics,
+  archiveShipments,
+  buildTrends,
+  filterArchives,
+} from "../engine/index.js";
+import { describeEntry } from "../i18n/index.js";
+import { deleteArchive, listArchives } from "../storage/archives.js";
+
+const CHART_WIDTH = 460;
+const CHART_HEIGHT = 150;
+const BAR_COLOUR = "#6366f1";
+const WARN_COLOUR = "#dc2626";
+
+// One bar per day for a single trend measure, oldest day on the left.
+const TrendBars = ({ trends, measure, label, i18n, colour = BAR_COLOUR }) => {
+  const plotHeight = CHART_HEIGHT - 30;
+  const max = Math.max(1, ...trends.map((day) => day[measure]));
+  const slot = CHART_WIDTH / Math.max(trends.length, 1);
+  const barWidth = Math.min(slot - 6, 48);
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      className="chart"
+      role="img"
+      aria-label={i18n.t("history.perDay", { label })}
+    >
+      <line x1="0" y1={plotHeight} x2={CHART_WIDTH} y2={plotHeight} stroke="#94a3b8" />
+      {trends.map((day, idx) => {
+        const value = day[measure];
+        const barHeight = (value / max) * (plotHeight - 14);
+        const x = idx * slot + (slot - barWidth) / 2;
+        return (
+          <g key={day.date}>
+            <rect
+              x={x}
+              y={plotHeight - barHeight}
+              width={barWidth}
+              height={barHeight}
+              fill={colour}
+            >
+              <title>
+                {i18n.t("history.bar", {
+                  date: i18n.formatDay(day.date),
+                  value,
+                  count: day.plans,
+                })}
+              </title>
+            </rect>
+            <text
+              x={x + barWidth / 2}
+              y={plotHeight - barHeight - 3}
+              textAnchor="middle"
+              fontSize="9"
+            >
+              {i18n.formatNumber(value)}
+            </text>
+            <text x={x + barWidth / 2} y={CHART_HEIGHT - 12} textAnchor="middle" fontSize="9">
+              {i18n.formatDay(day.date, true)}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+// What one archived plan looked like: its settings, suggestions and moves.
+const ArchiveDetail = ({ entry, i18n }) => {
+  const { config } = entry;
+  return (
+    <div className="archive-detail">
+      <p className="cons-meta">
+        {i18n.t("history.settings", {
+          strategy: i18n.t(`strategies.${config.strategy}`),
+          max: config.maxConsignments,
+          amount: i18n.totes(config.sectionCapacity),
+        })}
+        {config.allowCrossShipment ? i18n.t("history.crossShipment") : ""}
+      </p>
+      <p className="cons-meta">
+        {i18n.t("history.contents", {
+          consignments: entry.consignments.length,
+          suggestions: entry.suggestions.length,
+          routes: entry.routes.filter((r) => r.subRoutes.some((sr) => sr.from)).length,
+        })}
+      </p>
+      {/* Plans archived before sign-off was recorded have no review. */}
+      {entry.review && (
+        <>
+          <p className="cons-meta">{i18n.t(`review.states.${entry.review.state}`)}</p>
+          {entry.review.trail.length > 0 && (
+            <ol className="review-trail">
+              {entry.review.trail.map((item, idx) => (
+                <li key={idx}>
+                  <span className="review-time">{i18n.formatDateTime(item.at)}</span>{" "}
+                  {describeEntry(i18n, item)}
+                </li>
+              ))}
+            </ol>
+          )}
+        </>
+      )}
+      {entry.moves.length === 0 ? (
+        <p className="empty-text">{i18n.t("history.noMoves")}</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>{i18n.t("history.route")}</th>
+              <th>{i18n.t("history.from")}</th>
+              <th>{i18n.t("history.to")}</th>
+              <th>{i18n.t("common.temperature")}</th>
+              <th>{i18n.t("history.qty")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entry.moves.map((m, idx) => (
+              <tr key={idx}>
+                <td>
+                  {m.routeName} / {m.subRouteName}
+                </td>
+                <td>{m.fromConsignment}</td>
+                <td>{m.toConsignment}</td>
+                <td>{i18n.zone(m.temperature)}</td>
+                <td>{i18n.formatNumber(m.qty)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+// Finalised plans archived in this browser, browsable by day and shipment,
+// with day-by-day trends built from the archived snapshots.
+const HistoryView = ({ i18n }) => {
+  const [archives, setArchives] = useState(listArchives);
+  const [date, setDate] = useState("");
+  const [shipment, setShipment] = useState("");
+  const [openId, setOpenId] = useState(null);
+
+  const shown = filterArchives(archives, { date, shipment });
+  const trends = buildTrends(archives, shipment || null);
+
+  const handleDelete = (entry) => {
+    if (!window.confirm(i18n.t("history.confirmDelete", { name: entry.name }))) return;
+    setArchives(deleteArchive(entry.id));
+  };
+
+  if (archives.length === 0) {
+    return (
+      <div className="dashboard">
+        <p className="empty-text">{i18n.t("history.empty")}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard">
+      <div className="summary-filters">
+        <select
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          aria-label={i18n.t("history.day")}
+        >
+          <option value="">{i18n.t("history.allDays")}</option>
+          {archiveDates(archives).map((d) => (
+            <option key={d} value={d}>
+              {i18n.formatDay(d)}
+            </option>
+          ))}
+        </select>
+        <select
+          value={shipment}
+          onChange={(e) => setShipment(e.target.value)}
+          aria-label={i18n.t("common.shipment")}
+        >
+          <option value="">{i18n.t("common.allShipments")}</option>
+          {archiveShipments(archives).map((s) => (
+            <option key={s} value={s}>
+              {s}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="dashboard-charts">
+        <section className="dashboard-chart">
+          <h3>{i18n.t("history.consolidatedTitle")}</h3>
+          <TrendBars
+            trends={trends}
+            measure="consignmentsConsolidated"
+            label={i18n.t("history.consolidated")}
+            i18n={i18n}
+          />
+        </section>
+        <section className="dashboard-chart">
+          <h3>{i18n.t("history.avgMovedTitle")}</h3>
+          <TrendBars
+            trends={trends}
+            measure="avgTotesMoved"
+            label={i18n.t("history.avgMoved")}
+            i18n={i18n}
+          />
+        </section>
+        <section className="dashboard-chart">
+          <h3>{i18n.t("history.unplacedTitle")}</h3>
+          <TrendBars
+            trends={trends}
+            measure="unplacedQty"
+            label={i18n.t("history.unplaced")}
+            i18n={i18n}
+            colour={WARN_COLOUR}
+          />
+        </section>
+      </div>
+
+      <section className="dashboard-chart dashboard-chart-wide">
+        <h3>{i18n.t("history.archivedPlans")}</h3>
+        {shown.length === 0 ? (
+          <p className="empty-text">{i18n.t("history.noMatches")}</p>
+        ) : (
+          <table>
+            <thead>
+              <tr>
+                <th>{i18n.t("common.file")}</th>
+                <th>{i18n.t("history.archived")}</th>
+                <th>{i18n.t("history.shipments")}</th>
+                <th>{i18n.t("common.consignments")}</th>
+                <th>{i18n.t("history.totesMoved")}</th>
+                <th>{i18n.t("history.unplacedShort")}</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map((entry) => {
+                const metrics = archiveMetrics(entry, shipment || null);
+                const isOpen = openId === entry.id;
+                return (
+                  <React.Fragment key={entry.id}>
+                    <tr className={isOpen ? "current-session" : ""}>
+                      <td>{entry.name}</td>
+                      <td>{i18n.formatDateTime(entry.archivedAt)}</td>
+                      <td>{entry.shipments.join(", ")}</td>
+                      <td>
+                        {i18n.formatNumber(metrics.consignmentsBefore)} →{" "}
+                        {i18n.formatNumber(metrics.consignmentsAfter)}
+                      </td>
+                      <td>{i18n.formatNumber(metrics.totesMoved)}</td>
+                      <td>{i18n.formatNumber(metrics.unplacedQty)}</td>
+                      <td className="session-actions">
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => setOpenId(isOpen ? null : entry.id)}
+                          aria-expanded={isOpen}
+                        >
+                          {i18n.t(isOpen ? "history.hide" : "history.details")}
+                        </button>
+                        <button className="btn btn-secondary" onClick={() => handleDelete(entry)}>
+                          {i18n.t("common.delete")}
+                        </button>
+                      </td>
+                    </tr>
+                    {isOpen && (
+                      <tr>
+                        <td colSpan={7}>
+                          <ArchiveDetail entry={entry} i18n={i18n} />
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default HistoryView;
@@ -0,0 +1,127 @@
+import React from "react";
+import { IMPORT_FIELDS, mergeImports, missingRequiredFields } from "../engine/index.js";
+import { describeMessage } from "../i18n/index.js";
+
+const MAX_LISTED = 8;
+
+const formatLine = (i18n, { file, line }) =>
+  file ? i18n.t("import.fileLine", { file, line }) : i18n.t("import.line", { line });
+
+// A capped list of report entries, so a badly mangled file doesn't flood the screen.
+const ReportList = ({ title, items, render, i18n }) => {
+  if (items.length === 0) return null;
+  return (
+    <div className="import-report-section">
+      <h4>
+        {title} ({items.length})
+      </h4>
+      <ul>
+        {items.slice(0, MAX_LISTED).map((item, idx) => (
+          <li key={idx}>{render(item)}</li>
+        ))}
+        {items.length > MAX_LISTED && (
+          <li>{i18n.t("common.andMore", { count: items.length - MAX_LISTED })}</li>
+        )}
+      </ul>
+    </div>
+  );
+};
+
+// The step between choosing files and planning: confirm which column feeds each
+// field, then review what the import would skip or misread before committing.
+const ImportPanel = ({ files, onMappingChange, onConfirm, onCancel, i18n }) => {
+  const { rows, report } = mergeImports(files);
+  // Two picked files can share a name, so they are told apart by position; the
+  // list is fixed for the life of the pending import.
+  const missing = files
+    .map((file, idx) => ({ idx, name: file.name, fields: missingRequiredFields(file.mapping) }))
+    .filter((f) => f.fields.length > 0);
+
+  return (
+    <div className="import-panel">
+      <h3>
+        {files.length === 1
+          ? i18n.t("import.title", { name: files[0].name })
+          : i18n.t("import.titleFiles", { count: files.length })}
+      </h3>
+
+      {files.map((file, fileIdx) => (
+        <div className="import-mapping" key={fileIdx}>
+          <h4>
+            {i18n.t("import.fileRows", { name: file.name, count: file.rows.length })}
+          </h4>
+          <div className="import-mapping-fields">
+            {IMPORT_FIELDS.map((field) => (
+              <label key={field.key}>
+                {field.header}
+                {field.required && " *"}
+                <select
+                  value={file.mapping[field.key] ?? ""}
+                  onChange={(e) => onMappingChange(fileIdx, field.key, e.target.value || null)}
+                >
+                  <option value="">{i18n.t("import.notInFile")}</option>
+                  {file.headers.map((header) => (
+                    <option key={header} value={header}>
+                      {header}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <div className="import-report">
+        <p>
+          {i18n.t("import.willImport", { count: report.accepted })}
+          {report.skipped.length > 0 &&
+            i18n.t("import.skippedCount", { count: report.skipped.length })}
+          .
+        </p>
+        {missing.map((f) => (
+          <p className="warning-banner" key={f.idx}>
+            {i18n.t("import.chooseColumn", { name: f.name, fields: f.fields.join(", ") })}
+          </p>
+        ))}
+        <ReportList
+          title={i18n.t("import.skipped")}
+          items={report.skipped}
+          render={(s) => `${formatLine(i18n, s)}: ${describeMessage(i18n, s, s.reason)}`}
+          i18n={i18n}
+        />
+        <ReportList
+          title={i18n.t("import.malformed")}
+          items={report.malformed}
+          render={(m) => `${formatLine(i18n, m)}: ${m.column} "${m.value}"`}
+          i18n={i18n}
+        />
+        <ReportList
+          title={i18n.t("import.duplicates")}
+          items={report.duplicates}
+          render={(d) =>
+            `${d.shipment ? `${d.shipment} / ` : ""}${d.consignment}: ${d.lines
+              .map((line) => formatLine(i18n, line))
+              .join(", ")}`
+          }
+          i18n={i18n}
+        />
+      </div>
+
+      <div className="import-actions">
+        <button
+          className="btn"
+          onClick={() => onConfirm(rows)}
+          disabled={missing.length > 0 || report.accepted === 0}
+        >
+          {i18n.t("import.confirm", { count: report.accepted })}
+        </button>
+        <button className="btn btn-secondary" onClick={onCancel}>
+          {i18n.t("common.cancel")}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ImportPanel;
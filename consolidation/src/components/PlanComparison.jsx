@@ -0,0 +1,58 @@
+import React from "react";
+import { STRATEGY_LABELS } from "../engine/index.js";
+
+const METRICS = [
+  { key: "totesMoved", label: "comparison.totesMoved" },
+  { key: "splitMoves", label: "comparison.splitMoves" },
+  { key: "unplacedQty", label: "comparison.unplaced" },
+];
+
+// Side-by-side stats for each strategy's plan; clicking a column makes it the active plan.
+const PlanComparison = ({ plans, activeStrategy, planning, onSelectStrategy, i18n }) => {
+  const strategies = Object.keys(STRATEGY_LABELS);
+
+  return (
+    <div className="plan-comparison">
+      <table>
+        <thead>
+          <tr>
+            <th>{i18n.t(planning ? "comparison.planning" : "comparison.plan")}</th>
+            {strategies.map((strategy) => (
+              <th
+                key={strategy}
+                className={strategy === activeStrategy ? "active-strategy" : ""}
+              >
+                <button
+                  className="strategy-btn"
+                  onClick={() => onSelectStrategy(strategy)}
+                  aria-pressed={strategy === activeStrategy}
+                >
+                  {i18n.t(`strategies.${strategy}`)}
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {METRICS.map((metric) => (
+            <tr key={metric.key}>
+              <td>{i18n.t(metric.label)}</td>
+              {strategies.map((strategy) => (
+                <td
+                  key={strategy}
+                  className={strategy === activeStrategy ? "active-strategy" : ""}
+                >
+                  {plans?.[strategy]
+                    ? i18n.formatNumber(plans[strategy].stats[metric.key])
+                    : "–"}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default PlanComparison;
@@ -0,0 +1,74 @@
+import React from "react";
+import { groupMovesByRoute } from "../engine/index.js";
+import { describeEntry } from "../i18n/index.js";
+
+// Move sheet for the floor. Only visible when printing (see the print styles in App.css).
+const PrintSheet = ({ moves, title, source, review, i18n }) => {
+  const routes = groupMovesByRoute(moves);
+
+  return (
+    <div className="print-sheet">
+      <h1>{title}</h1>
+      <p className="print-meta">
+        {i18n.t(source === "routes" ? "print.fromBoard" : "print.fromSuggestions")} ·{" "}
+        {i18n.t("print.printed", { time: i18n.formatDateTime(new Date()) })}
+        {review && ` · ${i18n.t(`review.states.${review.state}`)}`}
+      </p>
+      {review?.trail.map((entry, idx) => (
+        <p key={idx} className="print-meta">
+          {i18n.t("print.trailEntry", {
+            time: i18n.formatDateTime(entry.at),
+            entry: describeEntry(i18n, entry),
+          })}
+        </p>
+      ))}
+      {moves.some((m) => m.fromInProgress || m.toInProgress) && (
+        <p className="print-meta">{i18n.t("print.stillPickingNote")}</p>
+      )}
+      {routes.length === 0 && <p>{i18n.t("print.noMoves")}</p>}
+      {routes.map((route) => (
+        <section key={route.route} className="print-route">
+          <h2>{route.subRoutes[0].moves[0].routeName}</h2>
+          <table>
+            <thead>
+              <tr>
+                <th>{i18n.t("print.subRoute")}</th>
+                <th>{i18n.t("print.from")}</th>
+                <th>{i18n.t("print.to")}</th>
+                <th>{i18n.t("common.temperature")}</th>
+                <th>{i18n.t("print.qty")}</th>
+                <th>{i18n.t("print.done")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {route.subRoutes.flatMap((sr) =>
+                sr.moves.map((move, idx) => (
+                  <tr key={`${sr.subRoute}-${idx}`}>
+                    <td>{idx === 0 ? sr.moves[0].subRouteName : ""}</td>
+                    <td>
+                      {move.fromConsignment}
+                      {move.fromInProgress && (
+                        <em className="print-note"> {i18n.t("print.stillPicking")}</em>
+                      )}
+                    </td>
+                    <td>
+                      {move.toConsignment}
+                      {move.toInProgress && (
+                        <em className="print-note"> {i18n.t("print.stillPicking")}</em>
+                      )}
+                    </td>
+                    <td>{i18n.zone(move.temperature)}</td>
+                    <td>{i18n.formatNumber(move.qty)}</td>
+                    <td className="tick-box">☐</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default PrintSheet;
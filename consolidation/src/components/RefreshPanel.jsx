@@ -0,0 +1,122 @@
+import React from "react";
+import { hasDataChanges } from "../engine/index.js";
+import { describeMessage } from "../i18n/index.js";
+
+const MAX_LISTED = 8;
+
+const CappedList = ({ title, items, render, i18n }) => {
+  if (items.length === 0) return null;
+  return (
+    <div className="import-report-section">
+      <h4>
+        {title} ({items.length})
+      </h4>
+      <ul>
+        {items.slice(0, MAX_LISTED).map((item, idx) => (
+          <li key={idx}>{render(item)}</li>
+        ))}
+        {items.length > MAX_LISTED && (
+          <li>{i18n.t("common.andMore", { count: items.length - MAX_LISTED })}</li>
+        )}
+      </ul>
+    </div>
+  );
+};
+
+const formatDelta = (change) => {
+  const delta = change.after - change.before;
+  return `${delta > 0 ? "+" : ""}${delta}`;
+};
+
+// Shown after a newer export is imported into an open plan: what changed in
+// the data, what on the current board and suggestions it breaks, and the
+// choice between keeping the board or re-planning from scratch.
+const RefreshPanel = ({
+  name,
+  review,
+  labelConsignment,
+  describeSlot,
+  onKeepEdits,
+  onAcceptPlan,
+  onCancel,
+  i18n,
+}) => {
+  const { diff, staleSections, capacityIssues, staleSuggestions } = review;
+  const label = (c) => labelConsignment(c.shipment, c.consignment);
+  const describe = (problem) => describeMessage(i18n, problem, problem.message);
+
+  return (
+    <div className="import-panel refresh-panel">
+      <h3>{i18n.t("refresh.title", { name })}</h3>
+
+      {!hasDataChanges(diff) && <p>{i18n.t("refresh.unchanged")}</p>}
+
+      <div className="import-report">
+        <CappedList
+          title={i18n.t("refresh.added")}
+          items={diff.added}
+          render={(c) =>
+            i18n.t("refresh.inShipment", { consignment: c.consignment, shipment: c.shipment })
+          }
+          i18n={i18n}
+        />
+        <CappedList
+          title={i18n.t("refresh.removed")}
+          items={diff.removed}
+          render={(c) =>
+            i18n.t("refresh.inShipment", { consignment: c.consignment, shipment: c.shipment })
+          }
+          i18n={i18n}
+        />
+        <CappedList
+          title={i18n.t("refresh.changed")}
+          items={diff.changed}
+          render={(c) =>
+            `${label(c)} ${i18n.zone(c.type)}: ${c.before} → ${c.after} (${formatDelta(c)})`
+          }
+          i18n={i18n}
+        />
+        <CappedList
+          title={i18n.t("refresh.staleSections")}
+          items={staleSections}
+          render={(s) => {
+            const slot = describeSlot(s.routeId, s.subRouteId);
+            return `${slot} (${i18n.t(`routes.${s.role}`)}): ${describe(s)}`;
+          }}
+          i18n={i18n}
+        />
+        <CappedList
+          title={i18n.t("refresh.capacity")}
+          items={capacityIssues}
+          render={(i) => `${describeSlot(i.routeId, i.subRouteId)}: ${describe(i)}`}
+          i18n={i18n}
+        />
+        <CappedList
+          title={i18n.t("refresh.staleSuggestions")}
+          items={staleSuggestions}
+          render={(s) =>
+            `${labelConsignment(s.shipment, s.sourceConsignment)} (${i18n.zone(
+              s.sourceType
+            )}): ${s.problems.map(describe).join("; ")}`
+          }
+          i18n={i18n}
+        />
+      </div>
+
+      <div className="import-actions">
+        <button className="btn" onClick={onKeepEdits}>
+          {i18n.t("refresh.keepBoard")}
+        </button>
+        <button className="btn btn-secondary" onClick={onAcceptPlan}>
+          {i18n.t("refresh.acceptPlan")}
+        </button>
+        <button className="btn btn-secondary" onClick={onCancel}>
+          {i18n.t("common.cancel")}
+        </button>
+      </div>
+      <p className="cons-meta">{i18n.t("refresh.note")}</p>
+    </div>
+  );
+};
+
+export default RefreshPanel;
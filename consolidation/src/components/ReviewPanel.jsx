@@ -0,0 +1,80 @@
+import React, { useState } from "react";
+import { availableActions, isOwnSubmission } from "../engine/index.js";
+import { describeEntry } from "../i18n/index.js";
+import { loadPlannerName, savePlannerName } from "../storage/planner.js";
+
+// Where the plan stands in review, the actions open to it, and the audit trail.
+const ReviewPanel = ({ review, onAction, i18n }) => {
+  const [plannerName, setPlannerName] = useState(loadPlannerName);
+  const [note, setNote] = useState("");
+  const [error, setError] = useState(null);
+
+  const handleNameChange = (e) => {
+    setPlannerName(e.target.value);
+    savePlannerName(e.target.value);
+  };
+
+  const handleAction = (action) => {
+    if (!plannerName.trim()) {
+      setError(i18n.t("review.needName"));
+      return;
+    }
+    if (action === "approve" && isOwnSubmission(review, plannerName)) {
+      setError(i18n.t("review.ownApproval"));
+      return;
+    }
+    try {
+      onAction(action, plannerName, note);
+      setNote("");
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="review-panel">
+      <div className="review-controls">
+        <span className={`plan-state plan-state-${review.state}`}>
+          {i18n.t(`review.states.${review.state}`)}
+        </span>
+        <input
+          type="text"
+          value={plannerName}
+          onChange={handleNameChange}
+          placeholder={i18n.t("review.yourName")}
+          aria-label={i18n.t("review.plannerName")}
+        />
+        <input
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder={i18n.t("review.note")}
+          aria-label={i18n.t("review.noteLabel")}
+        />
+        {availableActions(review).map((action) => (
+          <button
+            key={action}
+            className={`btn ${action === "approve" || action === "submit" ? "" : "btn-secondary"}`}
+            onClick={() => handleAction(action)}
+          >
+            {i18n.t(`review.actions.${action}`)}
+          </button>
+        ))}
+        {error && <span className="review-error">{error}</span>}
+      </div>
+      {review.trail.length > 0 && (
+        <ol className="review-trail">
+          {review.trail.map((entry, idx) => (
+            <li key={idx}>
+              <span className="review-time">{i18n.formatDateTime(entry.at)}</span>{" "}
+              {describeEntry(i18n, entry)}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default ReviewPanel;
@@ -0,0 +1,199 @@
+import React, { useState } from "react";
+import { addScenario, removeScenario, STRATEGY_LABELS, updateScenario } from "../engine/index.js";
+import { describeMessage } from "../i18n/index.js";
+import { runScenariosInWorker } from "../workers/planClient.js";
+
+// The current settings, always shown first so every what-if has a baseline.
+const CURRENT = { id: "current", overrides: {} };
+
+const METRICS = [
+  { key: "routesNeeded", label: "scenarios.routes" },
+  { key: "totesMoved", label: "scenarios.totesMoved" },
+  { key: "splitMoves", label: "scenarios.splitMoves" },
+  { key: "unplacedQty", label: "scenarios.unplaced" },
+];
+
+// Empty inputs follow the current settings; anything else is kept as typed
+// so the engine can say why it won't plan it.
+const readNumber = (text) => (text.trim() === "" ? null : Number(text));
+
+// "4 consignments · Optimal search", or "Current settings" when nothing is changed.
+const describe = (i18n, { overrides }) => {
+  const parts = [];
+  if ("maxConsignments" in overrides) {
+    parts.push(i18n.t("scenarios.describeCap", { count: overrides.maxConsignments }));
+  }
+  if ("sectionCapacity" in overrides) {
+    parts.push(i18n.t("scenarios.describeCapacity", { count: overrides.sectionCapacity }));
+  }
+  if ("strategy" in overrides) parts.push(i18n.t(`strategies.${overrides.strategy}`));
+  return parts.length > 0 ? parts.join(" · ") : i18n.t("scenarios.current");
+};
+
+// What-if variants of the consignment cap, section capacity and strategy,
+// planned against the loaded data and compared in one table.
+const ScenarioPanel = ({
+  rows,
+  config,
+  sectionRules,
+  scenarios,
+  onScenariosChange,
+  onPromote,
+  i18n,
+}) => {
+  const [results, setResults] = useState(null); // { inputs, byId } from the last run
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const inputs = { rows, config, sectionRules, scenarios };
+  const stale =
+    results && Object.keys(inputs).some((key) => results.inputs[key] !== inputs[key]);
+
+  const handleRun = () => {
+    setRunning(true);
+    setError(null);
+    runScenariosInWorker(rows, config, [CURRENT, ...scenarios], sectionRules)
+      .then((list) => setResults({ inputs, byId: new Map(list.map((r) => [r.id, r])) }))
+      .catch((err) => setError(err.message))
+      .finally(() => setRunning(false));
+  };
+
+  const handleChange = (id, key, value) =>
+    onScenariosChange(updateScenario(scenarios, id, key, value));
+
+  const renderResult = (scenario) => {
+    const result = results?.byId.get(scenario.id);
+    if (!result) {
+      return (
+        <td colSpan={METRICS.length} className="empty-text">
+          {i18n.t("scenarios.notRun")}
+        </td>
+      );
+    }
+    if (result.problem) {
+      return (
+        <td colSpan={METRICS.length} className="error-text">
+          {i18n.t("scenarios.cannotPlan", {
+            problem: describeMessage(i18n, result.problem, result.problem.message),
+          })}
+        </td>
+      );
+    }
+    return METRICS.map((metric) => (
+      <td key={metric.key} className={stale ? "stale-result" : ""}>
+        {i18n.formatNumber(result[metric.key])}
+      </td>
+    ));
+  };
+
+  return (
+    <div className="settings-panel scenario-panel">
+      <table className="plan-comparison">
+        <thead>
+          <tr>
+            <th>{i18n.t("scenarios.scenario")}</th>
+            <th>{i18n.t("scenarios.maxConsignments")}</th>
+            <th>{i18n.t("scenarios.sectionCapacity")}</th>
+            <th>{i18n.t("scenarios.strategy")}</th>
+            {METRICS.map((metric) => (
+              <th key={metric.key}>{i18n.t(metric.label)}</th>
+            ))}
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          <tr className="active-strategy">
+            <td>{i18n.t("scenarios.current")}</td>
+            <td>{i18n.formatNumber(config.maxConsignments)}</td>
+            <td>{i18n.formatNumber(config.sectionCapacity)}</td>
+            <td>{i18n.t(`strategies.${config.strategy}`)}</td>
+            {renderResult(CURRENT)}
+            <td />
+          </tr>
+          {scenarios.map((scenario) => {
+            const { overrides } = scenario;
+            const result = results?.byId.get(scenario.id);
+            return (
+              <tr key={scenario.id}>
+                <td>{describe(i18n, scenario)}</td>
+                <td>
+                  <input
+                    type="number"
+                    min="1"
+                    value={overrides.maxConsignments ?? ""}
+                    placeholder={String(config.maxConsignments)}
+                    onChange={(e) =>
+                      handleChange(scenario.id, "maxConsignments", readNumber(e.target.value))
+                    }
+                    aria-label={i18n.t("scenarios.maxConsignments")}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    min="1"
+                    value={overrides.sectionCapacity ?? ""}
+                    placeholder={String(config.sectionCapacity)}
+                    onChange={(e) =>
+                      handleChange(scenario.id, "sectionCapacity", readNumber(e.target.value))
+                    }
+                    aria-label={i18n.t("scenarios.sectionCapacity")}
+                  />
+                </td>
+                <td>
+                  <select
+                    value={overrides.strategy ?? ""}
+                    onChange={(e) => handleChange(scenario.id, "strategy", e.target.value)}
+                    aria-label={i18n.t("scenarios.strategy")}
+                  >
+                    <option value="">{i18n.t("scenarios.currentStrategy")}</option>
+                    {Object.keys(STRATEGY_LABELS).map((value) => (
+                      <option key={value} value={value}>
+                        {i18n.t(`strategies.${value}`)}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                {renderResult(scenario)}
+                <td className="session-actions">
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => onPromote(scenario)}
+                    disabled={!result || Boolean(result.problem) || stale}
+                    title={i18n.t("scenarios.makeActiveHint")}
+                  >
+                    {i18n.t("scenarios.makeActive")}
+                  </button>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => onScenariosChange(removeScenario(scenarios, scenario.id))}
+                  >
+                    {i18n.t("scenarios.remove")}
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="settings-profiles">
+        <button
+          className="btn btn-secondary"
+          onClick={() => onScenariosChange(addScenario(scenarios))}
+        >
+          {i18n.t("scenarios.add")}
+        </button>
+        <button className="btn" onClick={handleRun} disabled={running || rows.length === 0}>
+          {i18n.t(running ? "scenarios.running" : "scenarios.run")}
+        </button>
+        {stale && !running && (
+          <span className="cons-meta">{i18n.t("scenarios.stale")}</span>
+        )}
+        {error && <span className="error-text">{error}</span>}
+      </div>
+    </div>
+  );
+};
+
+export default ScenarioPanel;
@@ -0,0 +1,63 @@
+import React, { useState } from "react";
+import { deleteSession, duplicateSession, listSessions } from "../storage/sessions.js";
+
+// Past uploads saved in this browser, newest first. Opening one passes only its
+// id, since the list can be older than what autosave has stored since.
+const SessionsPanel = ({ currentSessionId, onOpenSession, onSessionDeleted, i18n }) => {
+  const [sessions, setSessions] = useState(listSessions);
+
+  const handleDuplicate = (id) => {
+    duplicateSession(id);
+    setSessions(listSessions());
+  };
+
+  const handleDelete = (session) => {
+    if (!window.confirm(i18n.t("sessions.confirmDelete", { name: session.name }))) return;
+    setSessions(deleteSession(session.id));
+    onSessionDeleted(session.id);
+  };
+
+  return (
+    <div className="sessions-panel">
+      {sessions.length === 0 ? (
+        <p className="empty-text">{i18n.t("sessions.empty")}</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>{i18n.t("common.file")}</th>
+              <th>{i18n.t("sessions.started")}</th>
+              <th>{i18n.t("sessions.lastSaved")}</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {sessions.map((session) => (
+              <tr
+                key={session.id}
+                className={session.id === currentSessionId ? "current-session" : ""}
+              >
+                <td>{session.name}</td>
+                <td>{i18n.formatDateTime(session.createdAt)}</td>
+                <td>{i18n.formatDateTime(session.updatedAt)}</td>
+                <td className="session-actions">
+                  <button className="btn btn-secondary" onClick={() => onOpenSession(session.id)}>
+                    {i18n.t("sessions.open")}
+                  </button>
+                  <button className="btn btn-secondary" onClick={() => handleDuplicate(session.id)}>
+                    {i18n.t("sessions.duplicate")}
+                  </button>
+                  <button className="btn btn-secondary" onClick={() => handleDelete(session)}>
+                    {i18n.t("common.delete")}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default SessionsPanel;
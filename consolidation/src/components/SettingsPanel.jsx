@@ -0,0 +1,203 @@
+import React, { useState } from "react";
+import { LOCALES } from "../i18n/index.js";
+import {
+  deleteSiteProfile,
+  loadActiveProfileName,
+  loadSiteProfiles,
+  saveActiveProfileName,
+  saveSiteProfile,
+} from "../storage/siteProfiles.js";
+
+const NUMBER_FIELDS = [
+  "maxConsignments",
+  "sectionCapacity",
+  "sourcesPerRoute",
+  "orangeFrom",
+  "redFrom",
+];
+
+const ZONE_FIELDS = ["ambient", "chill", "freezer"];
+
+// Red must start above orange, or no cell is ever orange.
+const BAND_FIELDS = ["orangeFrom", "redFrom"];
+
+// A whole number of at least 1, or null while the text isn't one.
+const readNumber = (text) => {
+  const value = parseInt(text, 10);
+  return Number.isNaN(value) || value < 1 ? null : value;
+};
+
+// "tote/totes", shown as the placeholder for a unit the site hasn't renamed.
+const unitPlaceholder = ({ one, other }) => `${one}/${other}`;
+
+const SettingsPanel = ({ config, onConfigChange, i18n }) => {
+  const [profiles, setProfiles] = useState(loadSiteProfiles);
+  const [activeName, setActiveName] = useState(loadActiveProfileName);
+  const [profileName, setProfileName] = useState(activeName ?? "");
+  const [drafts, setDrafts] = useState({}); // Raw input text while a number is being typed
+
+  // The bands as typed, so an out-of-order pair is reported before it is applied.
+  const bandValue = (key) => readNumber(drafts[key]) ?? config[key];
+  const bandsOutOfOrder = bandValue("redFrom") <= bandValue("orangeFrom");
+
+  const handleNumberChange = (key) => (e) => {
+    const text = e.target.value;
+    setDrafts((prev) => ({ ...prev, [key]: text }));
+    const value = readNumber(text);
+    if (value === null) return;
+    const next = { ...config, [key]: value };
+    if (BAND_FIELDS.includes(key)) {
+      // A band held back for being out of order goes in with the one that fixes it.
+      const other = BAND_FIELDS.find((field) => field !== key);
+      next[other] = readNumber(drafts[other]) ?? config[other];
+      if (next.redFrom <= next.orangeFrom) return;
+      setDrafts((prev) => {
+        const rest = { ...prev };
+        delete rest[other];
+        return rest;
+      });
+    }
+    onConfigChange(next);
+  };
+
+  const handleNumberBlur = (key) => () => {
+    // An out-of-order band stays as typed, with its error, until it is fixed.
+    if (BAND_FIELDS.includes(key) && bandsOutOfOrder) return;
+    setDrafts((prev) => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+  };
+
+  const handleTextChange = (key) => (e) => onConfigChange({ ...config, [key]: e.target.value });
+
+  const defaults = LOCALES[i18n.locale].messages;
+
+  const handleSelectProfile = (e) => {
+    const name = e.target.value;
+    setActiveName(name || null);
+    setProfileName(name);
+    saveActiveProfileName(name || null);
+    if (name && profiles[name]) {
+      onConfigChange(profiles[name]);
+    }
+  };
+
+  const handleSaveProfile = () => {
+    const name = profileName.trim();
+    if (!name) return;
+    setProfiles(saveSiteProfile(name, config));
+    setActiveName(name);
+    saveActiveProfileName(name);
+  };
+
+  const handleDeleteProfile = () => {
+    if (!activeName) return;
+    setProfiles(deleteSiteProfile(activeName));
+    setActiveName(null);
+    setProfileName("");
+  };
+
+  return (
+    <div className="settings-panel">
+      <div className="settings-profiles">
+        <label>
+          {i18n.t("settings.profile")}
+          <select value={activeName ?? ""} onChange={handleSelectProfile}>
+            <option value="">{i18n.t("settings.unsaved")}</option>
+            {Object.keys(profiles).map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <input
+          type="text"
+          placeholder={i18n.t("settings.profileName")}
+          value={profileName}
+          onChange={(e) => setProfileName(e.target.value)}
+        />
+        <button className="btn btn-secondary" onClick={handleSaveProfile}>
+          {i18n.t("settings.saveProfile")}
+        </button>
+        <button
+          className="btn btn-secondary"
+          onClick={handleDeleteProfile}
+          disabled={!activeName}
+        >
+          {i18n.t("common.delete")}
+        </button>
+      </div>
+
+      <div className="settings-fields">
+        {NUMBER_FIELDS.map((key) => (
+          <label key={key} title={i18n.t(`settings.${key}Hint`)}>
+            {i18n.t(`settings.${key}`)}
+            <input
+              type="number"
+              min="1"
+              value={drafts[key] ?? config[key]}
+              onChange={handleNumberChange(key)}
+              onBlur={handleNumberBlur(key)}
+              aria-invalid={BAND_FIELDS.includes(key) && bandsOutOfOrder}
+            />
+          </label>
+        ))}
+      </div>
+      {bandsOutOfOrder && (
+        <p className="settings-error">
+          {i18n.t("settings.bandsOutOfOrder", {
+            red: bandValue("redFrom"),
+            orange: bandValue("orangeFrom"),
+          })}
+        </p>
+      )}
+
+      <div className="settings-fields" title={i18n.t("settings.labelsHint")}>
+        <label>
+          {i18n.t("settings.language")}
+          <select value={i18n.locale} onChange={handleTextChange("locale")}>
+            {Object.entries(LOCALES).map(([code, locale]) => (
+              <option key={code} value={code}>
+                {locale.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        {ZONE_FIELDS.map((type) => (
+          <label key={type}>
+            {i18n.t("settings.zoneLabel", { zone: defaults.zones[type] })}
+            <input
+              type="text"
+              value={config[`${type}Label`] ?? ""}
+              placeholder={defaults.zones[type]}
+              onChange={handleTextChange(`${type}Label`)}
+            />
+          </label>
+        ))}
+        <label>
+          {i18n.t("settings.toteUnit")}
+          <input
+            type="text"
+            value={config.toteUnit ?? ""}
+            placeholder={unitPlaceholder(defaults.units.tote)}
+            onChange={handleTextChange("toteUnit")}
+          />
+        </label>
+        <label>
+          {i18n.t("settings.sectionUnit")}
+          <input
+            type="text"
+            value={config.sectionUnit ?? ""}
+            placeholder={unitPlaceholder(defaults.units.section)}
+            onChange={handleTextChange("sectionUnit")}
+          />
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPanel;
@@ -0,0 +1,101 @@
+import { describe, expect, it } from "vitest";
+import {
+  archiveDates,
+  archiveMetrics,
+  archiveShipments,
+  buildArchiveEntry,
+  buildTrends,
+  filterArchives,
+} from "../archive.js";
+import { parseCsvText } from "../csv.js";
+import { buildMoveList } from "../exportPlan.js";
+import { planConsolidation } from "../plan.js";
+import { applyReviewAction, createReview } from "../review.js";
+import overflow from "./fixtures/overflow.csv?raw";
+import twoShipments from "./fixtures/two-shipments.csv?raw";
+
+const archive = (csv, config, iso) => {
+  const plan = planConsolidation(parseCsvText(csv), config);
+  return buildArchiveEntry(
+    {
+      name: `${iso}.csv`,
+      config,
+      consignments: plan.consignmentSummaries,
+      routes: [],
+      suggestions: plan.suggestions,
+      moves: buildMoveList([], plan.suggestions, config, plan.consignmentSummaries),
+    },
+    new Date(iso)
+  );
+};
+
+const monday = archive(overflow, { maxConsignments: 8 }, "2026-10-19T09:00:00");
+const mondayLate = archive(twoShipments, {}, "2026-10-19T15:00:00");
+const tuesday = archive(overflow, { maxConsignments: 9 }, "2026-10-20T09:00:00");
+const archives = [monday, mondayLate, tuesday];
+
+describe("buildArchiveEntry", () => {
+  it("dates the snapshot and lists its shipments", () => {
+    expect(monday.date).toBe("2026-10-19");
+    expect(mondayLate.shipments).toEqual(["S1", "S2"]);
+  });
+
+  it("keeps the plan's review state and trail", () => {
+    expect(monday.review).toEqual(createReview());
+    let review = applyReviewAction(createReview(), "submit", "Priya");
+    review = applyReviewAction(review, "approve", "Sam", "checked with the floor");
+    const entry = buildArchiveEntry({ ...monday, review });
+    expect(entry.review.state).toBe("approved");
+    expect(entry.review.trail.map((e) => e.by)).toEqual(["Priya", "Sam"]);
+  });
+});
+
+describe("browsing archives", () => {
+  it("filters by day and shipment, newest first", () => {
+    expect(filterArchives(archives, { date: "2026-10-19" })).toEqual([mondayLate, monday]);
+    expect(filterArchives(archives, { shipment: "S2" })).toEqual([mondayLate]);
+    expect(filterArchives(archives)).toEqual([tuesday, mondayLate, monday]);
+  });
+
+  it("offers the days and shipments there are archives for", () => {
+    expect(archiveDates(archives)).toEqual(["2026-10-20", "2026-10-19"]);
+    expect(archiveShipments(archives)).toContain("S2");
+  });
+});
+
+describe("archiveMetrics", () => {
+  it("reads the headline numbers back from the snapshot", () => {
+    expect(archiveMetrics(monday)).toMatchObject({
+      consignmentsBefore: 10,
+      consignmentsAfter: 8,
+      totesMoved: 17,
+    });
+  });
+
+  it("narrows the numbers to one shipment", () => {
+    const all = archiveMetrics(mondayLate);
+    const s1 = archiveMetrics(mondayLate, "S1");
+    const s2 = archiveMetrics(mondayLate, "S2");
+    expect(s1.totesMoved + s2.totesMoved).toBe(all.totesMoved);
+    expect(s1.consignmentsBefore + s2.consignmentsBefore).toBe(all.consignmentsBefore);
+  });
+});
+
+describe("buildTrends", () => {
+  it("adds up each day's plans, oldest day first", () => {
+    const trends = buildTrends(archives);
+    expect(trends.map((d) => [d.date, d.plans])).toEqual([
+      ["2026-10-19", 2],
+      ["2026-10-20", 1],
+    ]);
+    const [mon, tue] = trends;
+    const mondayMoved = archiveMetrics(monday).totesMoved + archiveMetrics(mondayLate).totesMoved;
+    expect(mon.totesMoved).toBe(mondayMoved);
+    expect(mon.avgTotesMoved).toBe(mondayMoved / 2);
+    expect(tue.consignmentsConsolidated).toBe(1);
+  });
+
+  it("follows one shipment across days", () => {
+    expect(buildTrends(archives, "S2").map((d) => d.date)).toEqual(["2026-10-19"]);
+  });
+});
@@ -0,0 +1,17 @@
+import { describe, expect, it } from "vitest";
+import { changesPlan, resolveConfig } from "../config.js";
+
+describe("changesPlan", () => {
+  const config = resolveConfig({});
+
+  it("ignores labels, units, language and colours", () => {
+    const relabelled = { ...config, locale: "fr", chillLabel: "froid", toteUnit: "bac", redFrom: 25 };
+    expect(changesPlan(config, relabelled)).toBe(false);
+  });
+
+  it("spots a setting the engine plans with", () => {
+    expect(changesPlan(config, { ...config, sectionCapacity: 38 })).toBe(true);
+    expect(changesPlan({}, { separateFreezer: true })).toBe(true);
+    expect(changesPlan({}, { ...config })).toBe(false);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import { groupSectionsByConsignment } from "../consignments.js";
+import { parseCsvText } from "../csv.js";
+import { planConsolidation } from "../plan.js";
+import splitConsignment from "./fixtures/split-consignment.csv?raw";
+
+const plan = (csv, config) => planConsolidation(parseCsvText(csv), config);
+
+describe("groupSectionsByConsignment", () => {
+  it("groups sections into consignments, smallest total first", () => {
+    const groups = groupSectionsByConsignment([
+      { id: "a", consignment: "C01", totes: 2 },
+      { id: "b", consignment: "C02", totes: 5 },
+      { id: "c", consignment: "C01", totes: 30 },
+      { id: "d", consignment: "C02", totes: 1 },
+    ]);
+    expect(groups.map((g) => [g.consignment, g.totes, g.sections.length])).toEqual([
+      ["C02", 6, 2],
+      ["C01", 32, 2],
+    ]);
+  });
+});
+
+describe("whole-consignment consolidation", () => {
+  it.each(["greedy", "optimal"])("%s picks the smallest consignment, not the smallest section", (strategy) => {
+    const { suggestions } = plan(splitConsignment, { strategy });
+    expect(suggestions.map((s) => [s.sourceConsignment, s.sourceType])).toEqual([
+      ["C03", "ambient"],
+    ]);
+  });
+
+  it.each(["greedy", "optimal"])("%s moves every section of a source consignment", (strategy) => {
+    const { suggestions, elimination } = plan(splitConsignment, {
+      strategy,
+      maxConsignments: 8,
+    });
+    const c02 = suggestions.filter((s) => s.sourceConsignment === "C02");
+    expect(c02.map((s) => s.sourceType).sort()).toEqual(["ambient", "chill"]);
+    expect(elimination).toEqual({
+      before: 10,
+      after: 8,
+      target: 8,
+      eliminated: ["C02", "C03"],
+      blocked: [],
+      meetsTarget: true,
+    });
+  });
+
+  it("reports consignments that cannot be fully emptied", () => {
+    const { elimination } = plan(splitConsignment, { sectionCapacity: 5 });
+    expect(elimination).toMatchObject({
+      before: 10,
+      after: 10,
+      target: 9,
+      eliminated: [],
+      blocked: ["C03"],
+      meetsTarget: false,
+    });
+  });
+
+  it("meets the target trivially when no routes are needed", () => {
+    const { elimination } = plan(splitConsignment, { maxConsignments: 12 });
+    expect(elimination).toMatchObject({ before: 10, after: 10, target: 10, meetsTarget: true });
+  });
+});
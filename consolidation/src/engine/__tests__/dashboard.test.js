@@ -0,0 +1,70 @@
+import { describe, expect, it } from "vitest";
+import { parseCsvText } from "../csv.js";
+import {
+  buildFillHistogram,
+  buildUtilisation,
+  summariseDashboard,
+  totesByShipment,
+} from "../dashboard.js";
+import { buildMoveList } from "../exportPlan.js";
+import { planConsolidation } from "../plan.js";
+import { createRoutes } from "../routes.js";
+import overflow from "./fixtures/overflow.csv?raw";
+import twoShipments from "./fixtures/two-shipments.csv?raw";
+
+const plan = (csv, config) => planConsolidation(parseCsvText(csv), config);
+
+describe("buildFillHistogram", () => {
+  it("counts sections per fill band and temperature, with an overflow band", () => {
+    const summaries = [
+      { consignment: "C01", ambientTotes: 3, chillTotes: 0 },
+      { consignment: "C02", ambientTotes: 5, chillTotes: 12 },
+      { consignment: "C03", ambientTotes: 44, chillTotes: 40 },
+    ];
+    const { types, bins } = buildFillHistogram(summaries, { sectionCapacity: 40 }, 10);
+    expect(types).toEqual(["ambient", "chill"]);
+    expect(bins.map((b) => [b.label, b.counts.ambient, b.counts.chill])).toEqual([
+      ["1–10", 2, 0],
+      ["11–20", 0, 1],
+      ["21–30", 0, 0],
+      ["31–40", 0, 1],
+      [">40", 1, 0],
+    ]);
+  });
+});
+
+describe("totesByShipment", () => {
+  it("totals totes per shipment", () => {
+    const { consignmentSummaries } = plan(twoShipments);
+    expect(totesByShipment(consignmentSummaries).map((s) => [s.shipment, s.total])).toEqual([
+      ["S1", 161],
+      ["S2", 69],
+    ]);
+  });
+});
+
+describe("dashboard under the current plan", () => {
+  const config = { maxConsignments: 8 };
+  const { consignmentSummaries, suggestions, routesNeeded } = plan(overflow, config);
+  const moves = buildMoveList(createRoutes(routesNeeded, config), suggestions, config, consignmentSummaries);
+
+  it("shows each section before and after the moves", () => {
+    const utilisation = buildUtilisation(consignmentSummaries, moves, config);
+    const c02 = utilisation.find((c) => c.consignment === "C02");
+    const c03 = utilisation.find((c) => c.consignment === "C03");
+    expect(c02.sections).toEqual([
+      { type: "ambient", before: 5, after: 0, beforeShare: 0.125, afterShare: 0 },
+    ]);
+    expect(c03.sections[0]).toMatchObject({ before: 35, after: 40, afterShare: 1 });
+  });
+
+  it("sums up the headline numbers", () => {
+    expect(summariseDashboard(consignmentSummaries, moves, suggestions, config)).toEqual({
+      consignmentsBefore: 10,
+      consignmentsAfter: 8,
+      totesMoved: 17,
+      splitMoves: 2,
+      unplacedQty: 0,
+    });
+  });
+});
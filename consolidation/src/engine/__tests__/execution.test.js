@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import {
+  applyExecutionToSummaries,
+  getMoveStatus,
+  setMoveStatus,
+  summariseRouteProgress,
+  withExecution,
+} from "../execution.js";
+
+const moves = [
+  { route: 1, routeName: "Van 1", fromSectionId: "S1::C01::ambient", toSectionId: "S1::C05::ambient", temperature: "ambient", qty: 8 },
+  { route: 1, routeName: "Van 1", fromSectionId: "S1::C01::chill", toSectionId: "S1::C06::chill", temperature: "chill", qty: 4 },
+  { route: 2, routeName: "Route 2", fromSectionId: "S1::C02::ambient", toSectionId: "S1::C06::ambient", temperature: "ambient", qty: 10 },
+];
+
+describe("setMoveStatus", () => {
+  it("defaults every move to pending", () => {
+    expect(getMoveStatus({}, moves[0])).toEqual({ status: "pending", actualQty: null });
+  });
+
+  it("records done and short moves and clears them when set back to pending", () => {
+    let execution = setMoveStatus({}, moves[0], "done");
+    execution = setMoveStatus(execution, moves[1], "short", 3);
+    expect(getMoveStatus(execution, moves[1])).toEqual({ status: "short", actualQty: 3 });
+
+    execution = setMoveStatus(execution, moves[0], "pending");
+    expect(Object.keys(execution)).toHaveLength(1);
+  });
+
+  it("rejects unknown statuses", () => {
+    expect(() => setMoveStatus({}, moves[0], "lost")).toThrow("Unknown move status");
+  });
+});
+
+describe("execution summaries", () => {
+  let execution = setMoveStatus({}, moves[0], "done");
+  execution = setMoveStatus(execution, moves[1], "short", 3);
+  execution = setMoveStatus(execution, moves[2], "inProgress");
+  const tracked = withExecution(moves, execution);
+
+  it("reports progress per route from actual quantities", () => {
+    expect(summariseRouteProgress(tracked)).toEqual([
+      { route: 1, routeName: "Van 1", moves: 2, finished: 2, short: 1, plannedQty: 12, movedQty: 11 },
+      { route: 2, routeName: "Route 2", moves: 1, finished: 0, short: 0, plannedQty: 10, movedQty: 0 },
+    ]);
+  });
+
+  it("moves actual totes between consignments in the summary", () => {
+    const summaries = [
+      { shipment: "S1", consignment: "C01", ambientTotes: 8, chillTotes: 4 },
+      { shipment: "S1", consignment: "C05", ambientTotes: 20, chillTotes: 0 },
+      { shipment: "S1", consignment: "C06", ambientTotes: 5, chillTotes: 10 },
+      { shipment: "S2", consignment: "C05", ambientTotes: 11, chillTotes: 0 },
+    ];
+    expect(applyExecutionToSummaries(summaries, tracked)).toEqual([
+      { shipment: "S1", consignment: "C01", ambientTotes: 0, chillTotes: 1 },
+      { shipment: "S1", consignment: "C05", ambientTotes: 28, chillTotes: 0 },
+      { shipment: "S1", consignment: "C06", ambientTotes: 5, chillTotes: 13 },
+      { shipment: "S2", consignment: "C05", ambientTotes: 11, chillTotes: 0 },
+    ]);
+    expect(summaries[0].ambientTotes).toBe(8);
+  });
+});
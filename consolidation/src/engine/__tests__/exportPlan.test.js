@@ -0,0 +1,170 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_CONFIG } from "../config.js";
+import {
+  buildMoveList,
+  buildPlanJson,
+  groupMovesByRoute,
+  movesToCsv,
+  parsePlanJson,
+} from "../exportPlan.js";
+import { createRoutes, makeBoardSection, placeSection } from "../routes.js";
+
+const suggestions = [
+  {
+    shipment: "S1",
+    sourceSectionId: "S1::C01::chill",
+    sourceConsignment: "C01",
+    sourceType: "chill",
+    totalQty: 3,
+    moves: [
+      {
+        toSectionId: "S1::C05::chill",
+        toShipment: "S1",
+        toConsignment: "C05",
+        toType: "chill",
+        qty: 3,
+      },
+    ],
+    unplacedQty: 0,
+  },
+  {
+    shipment: "S1",
+    sourceSectionId: "S1::C01::ambient",
+    sourceConsignment: "C01",
+    sourceType: "ambient",
+    totalQty: 9,
+    moves: [
+      {
+        toSectionId: "S1::C06::ambient",
+        toShipment: "S1",
+        toConsignment: "C06",
+        toType: "ambient",
+        qty: 7,
+      },
+      { toConsignment: "NO AVAILABLE SECTION", toType: "N/A", qty: 2 },
+    ],
+    unplacedQty: 2,
+  },
+];
+
+const boardWithMoves = () => {
+  let routes = createRoutes(1);
+  routes = placeSection(routes, makeBoardSection("S1", "C02", "ambient", 12), 1, 1, "from");
+  routes = placeSection(routes, makeBoardSection("S1", "C07", "ambient", 35), 1, 1, "to");
+  routes = placeSection(routes, makeBoardSection("S1", "C08", "ambient", 10), 1, 1, "to");
+  return routes;
+};
+
+// A move as listed when no section on it is still being picked.
+const listedMove = (route, subRoute, fromConsignment, toConsignment, temperature, qty) => ({
+  route,
+  subRoute,
+  routeName: `Route ${route}`,
+  subRouteName: `Sub-route ${subRoute}`,
+  fromSectionId: `S1::${fromConsignment}::${temperature}`,
+  toSectionId: `S1::${toConsignment}::${temperature}`,
+  shipment: "S1",
+  toShipment: "S1",
+  fromConsignment,
+  toConsignment,
+  temperature,
+  qty,
+  fromInProgress: false,
+  toInProgress: false,
+});
+
+describe("buildMoveList", () => {
+  it("lists the route board's moves with the quantity each To receives", () => {
+    expect(buildMoveList(boardWithMoves(), suggestions)).toEqual([
+      listedMove(1, 1, "C02", "C07", "ambient", 5),
+      listedMove(1, 1, "C02", "C08", "ambient", 7),
+    ]);
+  });
+
+  it("falls back to the suggestions when the board is empty", () => {
+    expect(buildMoveList(createRoutes(1), suggestions)).toEqual([
+      listedMove(1, 1, "C01", "C05", "chill", 3),
+      listedMove(1, 2, "C01", "C06", "ambient", 7),
+    ]);
+  });
+
+  it("flags moves whose From or To section is still being picked", () => {
+    const summaries = [
+      { shipment: "S1", consignment: "C02", progress: { ambient: { completed: 8, expected: 12 } } },
+      { shipment: "S1", consignment: "C07", progress: { ambient: { completed: 35, expected: 35 } } },
+    ];
+    const [first] = buildMoveList(boardWithMoves(), suggestions, DEFAULT_CONFIG, summaries);
+    expect(first).toMatchObject({ fromInProgress: true, toInProgress: false });
+  });
+});
+
+describe("groupMovesByRoute", () => {
+  it("nests moves under their route and sub-route", () => {
+    const grouped = groupMovesByRoute(buildMoveList(createRoutes(1), suggestions));
+    expect(grouped.map((r) => [r.route, r.subRoutes.map((sr) => sr.moves.length)])).toEqual([
+      [1, [1, 1]],
+    ]);
+  });
+});
+
+describe("movesToCsv", () => {
+  it("writes Title Case headers like the WMS export", () => {
+    const csv = movesToCsv(buildMoveList(createRoutes(1), suggestions));
+    expect(csv.split("\r\n")).toEqual([
+      "Route,Sub-route,Shipment,From Consignment,To Shipment,To Consignment,Temperature,Totes",
+      "1,1,S1,C01,S1,C05,chill,3",
+      "1,2,S1,C01,S1,C06,ambient,7",
+    ]);
+  });
+
+  it("writes the header row for a plan with no moves", () => {
+    expect(movesToCsv([])).toBe(
+      "Route,Sub-route,Shipment,From Consignment,To Shipment,To Consignment,Temperature,Totes"
+    );
+  });
+});
+
+describe("plan JSON", () => {
+  const plan = {
+    name: "wave1.csv",
+    rows: [{ Consignment: "C01" }],
+    config: { ...DEFAULT_CONFIG, sectionCapacity: 45 },
+    routes: boardWithMoves(),
+    execution: { "S1::C02::ambient>S1::C07::ambient": { status: "short", actualQty: 4 } },
+    sectionRules: { "S1::C08::ambient": "locked" },
+    review: {
+      state: "submitted",
+      trail: [
+        {
+          action: "submit",
+          from: "draft",
+          to: "submitted",
+          by: "Priya",
+          at: "2026-10-19T05:45:00.000Z",
+          note: "",
+        },
+      ],
+    },
+  };
+
+  it("round-trips rows, settings, the board, execution progress, section rules and review", () => {
+    const json = buildPlanJson(plan, new Date("2026-10-19T06:00:00Z"));
+    expect(JSON.parse(json).exportedAt).toBe("2026-10-19T06:00:00.000Z");
+    expect(parsePlanJson(json)).toEqual(plan);
+  });
+
+  it("opens plan files from before sign-off as drafts", () => {
+    const { review, ...older } = plan;
+    expect(review.state).toBe("submitted");
+    const json = JSON.stringify({ ...older, format: "consolidation-plan", version: 1 });
+    expect(parsePlanJson(json).review).toEqual({ state: "draft", trail: [] });
+  });
+
+  it("rejects files that are not plan exports", () => {
+    expect(() => parsePlanJson("not json")).toThrow("not valid JSON");
+    expect(() => parsePlanJson('{"rows": []}')).toThrow("not a consolidation plan");
+    expect(() =>
+      parsePlanJson('{"format": "consolidation-plan", "version": 99, "rows": [], "routes": []}')
+    ).toThrow("newer than this tool supports");
+  });
+});
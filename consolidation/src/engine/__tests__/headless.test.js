@@ -0,0 +1,89 @@
+import { describe, expect, it } from "vitest";
+import {
+  importTexts,
+  parseConfigOverrides,
+  planFromTexts,
+  RESULT_FORMAT,
+  resultToCsv,
+  resultToJson,
+} from "../headless.js";
+import overflow from "./fixtures/overflow.csv?raw";
+import renamedHeaders from "./fixtures/renamed-headers.tsv?raw";
+
+describe("importTexts", () => {
+  it("maps renamed columns the same way the import step does", () => {
+    const { rows, report } = importTexts([{ name: "wave.tsv", text: renamedHeaders }]);
+    expect(report.accepted).toBeGreaterThan(0);
+    expect(Object.keys(rows[0])).toContain("Completed Totes - Ambient");
+  });
+
+  it("refuses a file with no consignment column", () => {
+    expect(() => importTexts([{ name: "bad.csv", text: "Shipment,Totes\nS1,4\n" }])).toThrow(
+      "bad.csv has no column for Consignment."
+    );
+  });
+});
+
+describe("planFromTexts", () => {
+  const result = planFromTexts([{ name: "overflow.csv", text: overflow }], { maxConsignments: 8 });
+
+  it("plans with the given settings and lists the suggested moves", () => {
+    expect(result.config.maxConsignments).toBe(8);
+    expect(result.plan.routesNeeded).toBe(2);
+    expect(result.moves.map((m) => [m.fromConsignment, m.toConsignment, m.qty])).toEqual([
+      ["C02", "C03", 5],
+      ["C01", "C04", 5],
+      ["C01", "C05", 5],
+      ["C01", "C06", 2],
+    ]);
+  });
+
+  it("writes JSON for scripts and CSV for the floor", () => {
+    const json = JSON.parse(resultToJson(result));
+    expect(json.format).toBe(RESULT_FORMAT);
+    expect(json.stats.totesMoved).toBe(17);
+    expect(resultToCsv(result).split("\r\n")[0]).toBe(
+      "Route,Sub-route,Shipment,From Consignment,To Shipment,To Consignment,Temperature,Totes"
+    );
+  });
+});
+
+describe("parseConfigOverrides", () => {
+  it("reads strings by the type of each setting", () => {
+    expect(
+      parseConfigOverrides({ maxConsignments: "8", allowCrossShipment: "true", strategy: "optimal" })
+    ).toEqual({ maxConsignments: 8, allowCrossShipment: true, strategy: "optimal" });
+  });
+
+  it("rejects unknown settings and unreadable values", () => {
+    expect(() => parseConfigOverrides({ maxCons: "8" })).toThrow('Unknown setting "maxCons".');
+    expect(() => parseConfigOverrides({ sectionCapacity: "lots" })).toThrow("must be a number");
+    expect(() => parseConfigOverrides({ separateFreezer: "yes" })).toThrow("must be true or false");
+    expect(() => parseConfigOverrides({ ambientLabel: ["dry"] })).toThrow("must be a single value");
+  });
+
+  it("reads a settings file's typed values and range-checks counts", () => {
+    expect(parseConfigOverrides({ sectionCapacity: 45, separateFreezer: true })).toEqual({
+      sectionCapacity: 45,
+      separateFreezer: true,
+    });
+    expect(() => parseConfigOverrides({ maxConsignments: "0" })).toThrow(
+      'Setting "maxConsignments" must be a whole number of at least 1, got "0".'
+    );
+    expect(() => parseConfigOverrides({ sectionCapacity: -5 })).toThrow("at least 1");
+    expect(() => parseConfigOverrides({ sourcesPerRoute: 1.5 })).toThrow("whole number");
+  });
+
+  it("rejects values outside a setting's choices", () => {
+    expect(() => parseConfigOverrides({ strategy: "fastest" })).toThrow(
+      'Setting "strategy" must be one of greedy, optimal, got "fastest".'
+    );
+    expect(() => parseConfigOverrides({ toteBasis: "picked" })).toThrow("must be one of");
+    const locales = { locale: ["en", "fr"] };
+    expect(() => parseConfigOverrides({ locale: "xx" }, locales)).toThrow("must be one of en, fr");
+    expect(parseConfigOverrides({ locale: "fr", toteBasis: "completed" }, locales)).toEqual({
+      locale: "fr",
+      toteBasis: "completed",
+    });
+  });
+});
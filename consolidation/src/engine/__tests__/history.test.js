@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import {
+  canRedo,
+  canUndo,
+  createHistory,
+  HISTORY_LIMIT,
+  mapHistory,
+  pushHistory,
+  redoHistory,
+  undoHistory,
+} from "../history.js";
+
+describe("history", () => {
+  it("undoes and redoes edits in order", () => {
+    let history = createHistory("a");
+    history = pushHistory(history, "b");
+    history = pushHistory(history, "c");
+
+    history = undoHistory(history);
+    expect(history.present).toBe("b");
+    history = undoHistory(history);
+    expect(history.present).toBe("a");
+    expect(canUndo(history)).toBe(false);
+
+    history = redoHistory(history);
+    expect(history.present).toBe("b");
+    expect(canRedo(history)).toBe(true);
+  });
+
+  it("drops the redo stack on a new edit", () => {
+    let history = pushHistory(createHistory("a"), "b");
+    history = pushHistory(undoHistory(history), "c");
+    expect(history.present).toBe("c");
+    expect(canRedo(history)).toBe(false);
+    expect(undoHistory(history).present).toBe("a");
+  });
+
+  it("ignores no-op edits and empty undo/redo", () => {
+    const history = createHistory("a");
+    expect(pushHistory(history, "a")).toBe(history);
+    expect(undoHistory(history)).toBe(history);
+    expect(redoHistory(history)).toBe(history);
+  });
+
+  it("carries every past and future state through an update", () => {
+    let history = pushHistory(pushHistory(createHistory(1), 2), 3);
+    history = mapHistory(undoHistory(history), (n) => n * 10);
+    expect(history).toEqual({ past: [10], present: 20, future: [30] });
+  });
+
+  it("keeps at most HISTORY_LIMIT steps", () => {
+    let history = createHistory(0);
+    for (let i = 1; i <= HISTORY_LIMIT + 5; i += 1) {
+      history = pushHistory(history, i);
+    }
+    expect(history.past).toHaveLength(HISTORY_LIMIT);
+    expect(history.past[0]).toBe(5);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, expect, it } from "vitest";
+import {
+  applyColumnMapping,
+  detectColumnMapping,
+  isValidToteValue,
+  mergeImports,
+  missingRequiredFields,
+  parseDelimitedText,
+  validateImportRows,
+} from "../importer.js";
+import renamedHeaders from "./fixtures/renamed-headers.tsv?raw";
+import semicolon from "./fixtures/semicolon.csv?raw";
+import twoShipments from "./fixtures/two-shipments.csv?raw";
+
+describe("parseDelimitedText", () => {
+  it("detects tab and semicolon delimiters", () => {
+    expect(parseDelimitedText(renamedHeaders).delimiter).toBe("\t");
+    expect(parseDelimitedText(semicolon).delimiter).toBe(";");
+    expect(parseDelimitedText(semicolon).rows[0]["Consignment"]).toBe("C12");
+  });
+
+  it("numbers rows by their line in the file, past blank lines and quoted line breaks", () => {
+    const text = 'Consignment,Note\r\nC01,ok\r\n\r\nC02,"two\r\nlines"\r\n\r\nC03,\r\n';
+    const { rows, lines } = parseDelimitedText(text);
+    expect(rows.map((r) => r["Consignment"])).toEqual(["C01", "C02", "C03"]);
+    expect(lines).toEqual([2, 4, 7]);
+  });
+});
+
+describe("detectColumnMapping", () => {
+  it("maps the standard export headers to themselves", () => {
+    const { headers } = parseDelimitedText(twoShipments);
+    expect(detectColumnMapping(headers)).toEqual({
+      shipment: "Shipment",
+      consignment: "Consignment",
+      ambient: "Completed Totes - Ambient",
+      chilled: "Completed Totes - Chilled",
+      freezer: "Completed Totes - Freezer",
+    });
+  });
+
+  it("recognises renamed headers", () => {
+    const { headers } = parseDelimitedText(renamedHeaders);
+    expect(detectColumnMapping(headers)).toEqual({
+      shipment: "Wave ID",
+      consignment: "Cons No",
+      ambient: "Ambient Totes",
+      chilled: "Chilled Totes",
+      freezer: "Frozen",
+    });
+  });
+
+  it("leaves unknown fields unmapped and reports missing required ones", () => {
+    const mapping = detectColumnMapping(["Order", "Ambient"]);
+    expect(mapping.consignment).toBeNull();
+    expect(mapping.ambient).toBe("Ambient");
+    expect(missingRequiredFields(mapping)).toEqual(["Consignment"]);
+  });
+});
+
+describe("applyColumnMapping", () => {
+  it("rewrites rows to the standard headers", () => {
+    const rows = applyColumnMapping([{ Cons: "C01", Amb: "4" }], {
+      consignment: "Cons",
+      ambient: "Amb",
+    });
+    expect(rows).toEqual([
+      {
+        Shipment: "",
+        Consignment: "C01",
+        "Completed Totes - Ambient": "4",
+        "Completed Totes - Chilled": "",
+        "Completed Totes - Freezer": "",
+      },
+    ]);
+  });
+});
+
+describe("isValidToteValue", () => {
+  it("accepts blanks, counts and completed/expected", () => {
+    expect(["", " ", undefined, "12", "3/5", " 3 / 5 "].every(isValidToteValue)).toBe(true);
+    expect(["seven", "3/", "-2", "1.5"].some(isValidToteValue)).toBe(false);
+  });
+});
+
+describe("validateImportRows", () => {
+  const { headers, rows } = parseDelimitedText(renamedHeaders);
+  const report = validateImportRows(applyColumnMapping(rows, detectColumnMapping(headers)));
+
+  it("counts accepted rows and lists skipped ones by line", () => {
+    expect(report.accepted).toBe(3);
+    expect(report.skipped).toEqual([
+      { file: null, line: 4, code: "noConsignment", reason: "No consignment" },
+    ]);
+  });
+
+  it("flags tote values that cannot be read", () => {
+    expect(report.malformed).toEqual([
+      { file: null, line: 5, column: "Completed Totes - Ambient", value: "seven" },
+    ]);
+  });
+});
+
+describe("mergeImports", () => {
+  it("combines files and reports duplicates across them", () => {
+    const files = [twoShipments, semicolon].map((text, idx) => {
+      const { headers, rows, lines } = parseDelimitedText(text);
+      return { name: `file${idx + 1}`, rows, lines, mapping: detectColumnMapping(headers) };
+    });
+    const { rows, report } = mergeImports(files);
+    const first = parseDelimitedText(twoShipments).rows.length;
+
+    expect(rows).toHaveLength(first + 2);
+    expect(report.files).toEqual([
+      { name: "file1", rows: first },
+      { name: "file2", rows: 2 },
+    ]);
+    expect(report.duplicates).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({
+          shipment: "S2",
+          consignment: "C09",
+          lines: expect.arrayContaining([{ file: "file2", line: 3 }]),
+        }),
+      ])
+    );
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, expect, it } from "vitest";
+import { parseCsvText } from "../csv.js";
+import { generateOptimalSuggestions } from "../optimal.js";
+import { comparePlans, planConsolidation } from "../plan.js";
+import { summarisePlan } from "../stats.js";
+import { NO_AVAILABLE_SECTION } from "../suggestions.js";
+import mixedTemperature from "./fixtures/mixed-temperature.csv?raw";
+import sharedTarget from "./fixtures/shared-target.csv?raw";
+import twoShipments from "./fixtures/two-shipments.csv?raw";
+
+const plan = (csv, config) => planConsolidation(parseCsvText(csv), config);
+
+// Small seeded generator so the random sites are the same on every run.
+const seededRandom = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+// Twenty consignments spread over three shipments with random tote counts.
+const randomSite = (seed) => {
+  const random = seededRandom(seed);
+  const totes = () => (random() < 0.3 ? "" : String(Math.floor(random() * 36) + 1));
+  return Array.from({ length: 20 }, (_, i) => ({
+    Shipment: `S${(i % 3) + 1}`,
+    Consignment: `C${String(i + 1).padStart(2, "0")}`,
+    "Completed Totes - Ambient": totes(),
+    "Completed Totes - Chilled": totes(),
+    "Completed Totes - Freezer": totes(),
+  }));
+};
+
+describe("generateOptimalSuggestions", () => {
+  it("returns nothing when no routes are needed", () => {
+    expect(generateOptimalSuggestions({}, 0)).toEqual([]);
+  });
+
+  it("lets two sources share a target instead of splitting", () => {
+    const { suggestions, stats } = plan(sharedTarget, { strategy: "optimal", maxConsignments: 8 });
+    expect(suggestions.map((s) => s.moves)).toMatchObject([
+      [{ toConsignment: "C03", qty: 5, newTotal: 34 }],
+      [{ toConsignment: "C03", qty: 6, newTotal: 40 }],
+    ]);
+    expect(stats).toEqual({ sources: 2, totesMoved: 11, splitMoves: 0, unplacedQty: 0 });
+  });
+
+  it("never fills a target past section capacity", () => {
+    const { suggestions } = plan(sharedTarget, {
+      strategy: "optimal",
+      maxConsignments: 8,
+      sectionCapacity: 38,
+    });
+    suggestions.forEach((s) =>
+      s.moves
+        .filter((m) => m.toConsignment !== NO_AVAILABLE_SECTION)
+        .forEach((m) => expect(m.newTotal).toBeLessThanOrEqual(38))
+    );
+  });
+
+  it("keeps to the same temperature and shipment rules as the greedy engine", () => {
+    const frozen = plan(mixedTemperature, { strategy: "optimal", separateFreezer: true });
+    frozen.suggestions.forEach((s) =>
+      s.moves
+        .filter((m) => m.toConsignment !== NO_AVAILABLE_SECTION)
+        .forEach((m) => expect(m.toType).toBe(s.sourceType))
+    );
+    // The lone freezer section has nowhere to go, so the search leaves it alone.
+    expect(frozen.suggestions.some((s) => s.sourceType === "freezer")).toBe(false);
+    expect(frozen.stats.unplacedQty).toBe(0);
+    plan(twoShipments, { strategy: "optimal" }).suggestions.forEach((s) =>
+      s.moves.forEach((m) => expect(m.crossShipment ?? false).toBe(false))
+    );
+  });
+});
+
+describe("comparePlans", () => {
+  it("empties at least as many consignments with the optimal search as with greedy", () => {
+    for (let seed = 1; seed <= 40; seed++) {
+      const plans = comparePlans(randomSite(seed), { maxConsignments: 12 });
+      expect(plans.optimal.elimination.eliminated.length).toBeGreaterThanOrEqual(
+        plans.greedy.elimination.eliminated.length
+      );
+    }
+  });
+
+  it("runs every strategy on the same data", () => {
+    const plans = comparePlans(parseCsvText(sharedTarget), { maxConsignments: 8 });
+    expect(Object.keys(plans)).toEqual(["greedy", "optimal"]);
+    expect(plans.greedy.stats.splitMoves).toBeGreaterThan(0);
+    expect(plans.optimal.stats.splitMoves).toBe(0);
+    expect(plans.optimal.stats.totesMoved).toBe(plans.greedy.stats.totesMoved);
+  });
+});
+
+describe("summarisePlan", () => {
+  it("counts placed totes, extra targets per source and unplaced totes", () => {
+    const suggestions = [
+      {
+        moves: [
+          { toConsignment: "C01", qty: 3 },
+          { toConsignment: "C02", qty: 2 },
+          { toConsignment: NO_AVAILABLE_SECTION, qty: 4 },
+        ],
+        unplacedQty: 4,
+      },
+      { moves: [{ toConsignment: "C03", qty: 6 }], unplacedQty: 0 },
+    ];
+    expect(summarisePlan(suggestions)).toEqual({
+      sources: 2,
+      totesMoved: 11,
+      splitMoves: 1,
+      unplacedQty: 4,
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, expect, it } from "vitest";
+import { parseCsvText } from "../csv.js";
+import { planConsolidation } from "../plan.js";
+import {
+  diffConsignments,
+  findStaleRouteSections,
+  findStaleSuggestions,
+  hasDataChanges,
+  reviewRefresh,
+} from "../refresh.js";
+import { createRoutes, makeBoardSection, placeSection } from "../routes.js";
+import eleven from "./fixtures/eleven-consignments.csv?raw";
+import refreshed from "./fixtures/eleven-consignments-refreshed.csv?raw";
+
+const plan = (csv, config) => planConsolidation(parseCsvText(csv), config);
+const before = plan(eleven);
+const after = plan(refreshed);
+
+describe("diffConsignments", () => {
+  it("lists added and removed consignments and changed sections", () => {
+    const diff = diffConsignments(before.consignmentSummaries, after.consignmentSummaries);
+    expect(diff.added.map((c) => c.consignment)).toEqual(["C12"]);
+    expect(diff.removed.map((c) => c.consignment)).toEqual(["C05"]);
+    expect(diff.changed).toEqual([
+      { sectionId: "S1::C01::ambient", shipment: "S1", consignment: "C01", type: "ambient", before: 3, after: 4 },
+      { sectionId: "S1::C10::ambient", shipment: "S1", consignment: "C10", type: "ambient", before: 30, after: 36 },
+    ]);
+    expect(hasDataChanges(diff)).toBe(true);
+  });
+
+  it("reports nothing for identical data", () => {
+    const diff = diffConsignments(before.consignmentSummaries, before.consignmentSummaries);
+    expect(hasDataChanges(diff)).toBe(false);
+  });
+});
+
+describe("findStaleSuggestions", () => {
+  it("flags sources that changed and targets pushed past capacity", () => {
+    const stale = findStaleSuggestions(
+      before.suggestions,
+      before.consignmentSummaries,
+      after.consignmentSummaries
+    );
+    expect(stale.map((s) => [s.sourceSectionId, s.problems])).toEqual([
+      [
+        "S1::C01::ambient",
+        [
+          {
+            kind: "changed",
+            code: "sourceChanged",
+            params: { consignment: "C01", zone: "ambient", count: 4, was: 3 },
+            message: "C01 (ambient) now holds 4 totes, not 3",
+          },
+        ],
+      ],
+      [
+        "S1::C02::ambient",
+        [
+          {
+            kind: "capacity",
+            code: "overCapacity",
+            params: { consignment: "C10", zone: "ambient", projected: 42, capacity: 40 },
+            message: "C10 (ambient) would hold 42/40 totes",
+          },
+        ],
+      ],
+    ]);
+  });
+});
+
+describe("findStaleRouteSections", () => {
+  it("flags sections whose consignment has gone or that now hold nothing", () => {
+    const summaries = [
+      { id: "S1::C01", shipment: "S1", consignment: "C01", ambientTotes: 0, chillTotes: 4 },
+    ];
+    let routes = placeSection(createRoutes(1), makeBoardSection("S1", "C01", "ambient", 3), 1, 1, "from");
+    routes = placeSection(routes, makeBoardSection("S1", "C05", "ambient", 15), 1, 1, "to");
+    routes = placeSection(routes, makeBoardSection("S1", "C01", "chill", 4), 1, 2, "from");
+    expect(findStaleRouteSections(routes, summaries).map((s) => [s.sectionId, s.role, s.kind])).toEqual([
+      ["S1::C01::ambient", "from", "empty"],
+      ["S1::C05::ambient", "to", "removed"],
+    ]);
+  });
+});
+
+describe("reviewRefresh", () => {
+  it("checks the kept board against the new counts", () => {
+    let routes = placeSection(createRoutes(1), makeBoardSection("S1", "C02", "ambient", 6), 1, 1, "from");
+    routes = placeSection(routes, makeBoardSection("S1", "C10", "ambient", 30), 1, 1, "to");
+    routes = placeSection(routes, makeBoardSection("S1", "C05", "ambient", 15), 1, 2, "from");
+
+    const review = reviewRefresh({
+      before: before.consignmentSummaries,
+      after: after.consignmentSummaries,
+      routes,
+      suggestions: before.suggestions,
+    });
+    expect(review.staleSections.map((s) => s.sectionId)).toEqual(["S1::C05::ambient"]);
+    expect(review.capacityIssues.map((i) => i.message)).toEqual([
+      "C10 (ambient) would hold 42/40 totes",
+    ]);
+    expect(review.staleSuggestions).toHaveLength(2);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import {
+  applyReviewAction,
+  availableActions,
+  createReview,
+  isBoardLocked,
+  isOwnSubmission,
+  resolveReview,
+} from "../review.js";
+
+const monday = new Date("2026-10-19T06:00:00Z");
+const later = new Date("2026-10-19T07:30:00Z");
+
+describe("plan review", () => {
+  it("moves a plan from draft through approval to executed", () => {
+    let review = createReview();
+    expect(availableActions(review)).toEqual(["submit"]);
+    review = applyReviewAction(review, "submit", "Priya", "", monday);
+    expect(availableActions(review)).toEqual(["approve", "return"]);
+    review = applyReviewAction(review, "approve", " Sam ", "Checked cages", later);
+    review = applyReviewAction(review, "execute", "Sam", "", later);
+    expect(review.state).toBe("executed");
+    expect(review.trail.map((e) => [e.from, e.to, e.by])).toEqual([
+      ["draft", "submitted", "Priya"],
+      ["submitted", "approved", "Sam"],
+      ["approved", "executed", "Sam"],
+    ]);
+    expect(review.trail[1]).toMatchObject({ at: later.toISOString(), note: "Checked cages" });
+  });
+
+  it("locks the board once approved, until reopened", () => {
+    const submitted = applyReviewAction(createReview(), "submit", "Priya", "", monday);
+    const approved = applyReviewAction(submitted, "approve", "Sam", "", later);
+    expect(isBoardLocked(submitted)).toBe(false);
+    expect(isBoardLocked(approved)).toBe(true);
+    const reopened = applyReviewAction(approved, "reopen", "Priya", "Late cage", later);
+    expect(isBoardLocked(reopened)).toBe(false);
+    expect(reopened.trail).toHaveLength(3);
+  });
+
+  it("refuses transitions the plan's state does not allow", () => {
+    expect(() => applyReviewAction(createReview(), "approve", "Sam")).toThrow(
+      "Cannot approve a plan that is draft."
+    );
+    expect(() => applyReviewAction(createReview(), "ship", "Sam")).toThrow(
+      'Unknown review action "ship".'
+    );
+  });
+
+  it("needs a name for every transition", () => {
+    expect(() => applyReviewAction(createReview(), "submit", "  ")).toThrow(
+      "Enter your name before changing the plan's status."
+    );
+  });
+
+  it("refuses approval from the planner who submitted the plan", () => {
+    const submitted = applyReviewAction(createReview(), "submit", "Priya", "", monday);
+    expect(isOwnSubmission(submitted, " priya ")).toBe(true);
+    expect(() => applyReviewAction(submitted, "approve", "priya")).toThrow(
+      "A plan must be approved by someone other than the planner who submitted it."
+    );
+    expect(applyReviewAction(submitted, "return", "Priya").state).toBe("draft");
+    expect(applyReviewAction(submitted, "approve", "Sam").state).toBe("approved");
+  });
+
+  it("treats older saves as drafts", () => {
+    expect(resolveReview(undefined)).toEqual(createReview());
+  });
+});
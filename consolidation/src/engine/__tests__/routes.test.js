@@ -0,0 +1,262 @@
+import { describe, expect, it } from "vitest";
+import { parseCsvText } from "../csv.js";
+import { buildMoveList } from "../exportPlan.js";
+import { planConsolidation, replanBoard } from "../plan.js";
+import { applyReviewAction, createReview } from "../review.js";
+import {
+  addRoute,
+  addSubRoute,
+  applySuggestionsToRoutes,
+  createRoutes,
+  getRouteLabel,
+  getRouteTotals,
+  getSectionTotes,
+  isSameBoard,
+  makeBoardSection,
+  moveRoute,
+  placeSection,
+  reconcileRoutes,
+  removeFromSubRoute,
+  removeRoute,
+  removeSubRoute,
+  renameRoute,
+  setRouteCapacity,
+} from "../routes.js";
+import { validateRoutes } from "../validation.js";
+import splitConsignment from "./fixtures/split-consignment.csv?raw";
+import unplaceable from "./fixtures/unplaceable.csv?raw";
+
+describe("createRoutes", () => {
+  it("creates one sub-route per section emptied by a route", () => {
+    expect(createRoutes(2).map((r) => r.subRoutes.length)).toEqual([2, 2]);
+    expect(createRoutes(1, { sourcesPerRoute: 3 })[0].subRoutes).toEqual([
+      { id: 1, from: null, tos: [] },
+      { id: 2, from: null, tos: [] },
+      { id: 3, from: null, tos: [] },
+    ]);
+  });
+});
+
+describe("getSectionTotes", () => {
+  const summaries = [
+    { id: "S1::C01", shipment: "S1", consignment: "C01", ambientTotes: 12, chillTotes: 4 },
+    { id: "S2::C01", shipment: "S2", consignment: "C01", ambientTotes: 3, chillTotes: 9 },
+  ];
+
+  it("reads a consignment's totes for one temperature", () => {
+    expect(getSectionTotes(summaries, "S1", "C01", "chill")).toBe(4);
+    expect(getSectionTotes(summaries, "S2", "C01", "chill")).toBe(9);
+    expect(getSectionTotes(summaries, "S1", "C02", "chill")).toBe(0);
+  });
+});
+
+describe("applySuggestionsToRoutes", () => {
+  const config = { maxConsignments: 8 };
+  const { suggestions, consignmentSummaries, routesNeeded } = planConsolidation(
+    parseCsvText(splitConsignment),
+    config
+  );
+
+  it("gives each source consignment a route and each section a sub-route", () => {
+    const { routes, overflow } = applySuggestionsToRoutes(
+      createRoutes(routesNeeded, config),
+      suggestions,
+      consignmentSummaries
+    );
+    expect(overflow).toEqual([]);
+    expect(routes[0].subRoutes.map((sr) => sr.from)).toEqual([
+      { ...makeBoardSection("S1", "C02", "chill", 1), qty: 1 },
+      { ...makeBoardSection("S1", "C02", "ambient", 5), qty: 5 },
+    ]);
+    expect(routes[1].subRoutes[0].from).toEqual({
+      ...makeBoardSection("S1", "C03", "ambient", 4),
+      qty: 4,
+    });
+    expect(routes[1].subRoutes[1]).toEqual({ id: 2, from: null, tos: [] });
+    expect(routes[0].subRoutes[0].tos).toEqual([
+      { ...makeBoardSection("S1", "C01", "chill", 30), qty: 1 },
+    ]);
+  });
+
+  it("replaces whatever was on the board", () => {
+    const board = createRoutes(routesNeeded, config);
+    board[1].subRoutes[1].from = makeBoardSection("S1", "C09", "ambient", 20);
+    const { routes } = applySuggestionsToRoutes(board, suggestions, consignmentSummaries);
+    expect(routes[1].subRoutes[1].from).toBeNull();
+    expect(board[1].subRoutes[1].from).not.toBeNull();
+  });
+
+  it("returns suggestions that do not fit the board as overflow", () => {
+    const { routes, overflow } = applySuggestionsToRoutes(
+      createRoutes(1, { sourcesPerRoute: 1 }),
+      suggestions,
+      consignmentSummaries
+    );
+    expect(routes[0].subRoutes[0].from.consignmentId).toBe("C02");
+    expect(overflow.map((s) => [s.sourceConsignment, s.sourceType])).toEqual([
+      ["C03", "ambient"],
+      ["C02", "ambient"],
+    ]);
+  });
+
+  it("leaves totes with nowhere to go in the From instead of overfilling a To", () => {
+    const config = { sectionCapacity: 40 };
+    const plan = planConsolidation(parseCsvText(unplaceable), config);
+    const [suggestion] = plan.suggestions;
+    expect(suggestion).toMatchObject({ sourceConsignment: "C01", unplacedQty: 12 });
+
+    const { routes } = applySuggestionsToRoutes(
+      createRoutes(plan.routesNeeded, config),
+      plan.suggestions,
+      plan.consignmentSummaries
+    );
+    expect(routes[0].subRoutes[0].from.totes).toBe(18);
+    expect(validateRoutes(routes, config).issues).toEqual([]);
+    const moves = buildMoveList(routes, plan.suggestions, config);
+    expect(moves.every((m) => m.qty === 2)).toBe(true);
+    expect(moves.reduce((sum, m) => sum + m.qty, 0)).toBe(18);
+  });
+
+  it("keeps the From at its placed totes when the board is re-planned", () => {
+    const rows = parseCsvText(unplaceable);
+    const config = { sectionCapacity: 40 };
+    const plan = planConsolidation(rows, config);
+    const { routes } = applySuggestionsToRoutes(
+      createRoutes(plan.routesNeeded, config),
+      plan.suggestions,
+      plan.consignmentSummaries
+    );
+    const next = replanBoard(rows, config, routes, { topUp: true });
+    expect(next.routes[0].subRoutes[0].from.totes).toBe(18);
+    expect(getRouteTotals(next.routes[0]).totes).toBe(18);
+    expect(next.routes[0].subRoutes[0].tos).toEqual(routes[0].subRoutes[0].tos);
+  });
+});
+
+describe("placeSection", () => {
+  const c01 = makeBoardSection("S1", "C01", "ambient", 5);
+
+  it("moves a section out of any slot it already occupies", () => {
+    let routes = placeSection(createRoutes(1), c01, 1, 1, "from");
+    routes = placeSection(routes, c01, 1, 2, "to");
+    expect(routes[0].subRoutes[0].from).toBeNull();
+    expect(routes[0].subRoutes[1].tos).toEqual([c01]);
+  });
+
+  it("removes a section from one slot only", () => {
+    let routes = placeSection(createRoutes(1), c01, 1, 2, "to");
+    routes = removeFromSubRoute(routes, 1, 2, c01.sectionId, "to");
+    expect(routes).toEqual(createRoutes(1));
+  });
+
+  it("tells apart consignments that share a number across shipments", () => {
+    const otherC01 = makeBoardSection("S2", "C01", "ambient", 9);
+    let routes = placeSection(createRoutes(1), c01, 1, 1, "from");
+    routes = placeSection(routes, otherC01, 1, 2, "from");
+    expect(routes[0].subRoutes.map((sr) => sr.from)).toEqual([c01, otherC01]);
+
+    routes = removeFromSubRoute(routes, 1, 2, otherC01.sectionId, "from");
+    expect(routes[0].subRoutes[0].from).toEqual(c01);
+  });
+});
+
+describe("route structure", () => {
+  it("adds routes and sub-routes with fresh ids", () => {
+    let routes = removeRoute(createRoutes(2), 1);
+    routes = addRoute(routes, { sourcesPerRoute: 1 });
+    expect(routes.map((r) => r.id)).toEqual([2, 3]);
+    expect(routes[1].subRoutes).toHaveLength(1);
+
+    routes = addSubRoute(removeSubRoute(routes, 2, 1), 2);
+    expect(routes[0].subRoutes.map((sr) => sr.id)).toEqual([2, 3]);
+  });
+
+  it("names routes and falls back to the id when the name is blank", () => {
+    const routes = renameRoute(createRoutes(1), 1, "Van 3 / Door 4");
+    expect(getRouteLabel(routes[0])).toBe("Van 3 / Door 4");
+    expect(getRouteLabel(renameRoute(routes, 1, "  ")[0])).toBe("Route 1");
+  });
+
+  it("reorders routes within the board", () => {
+    const routes = createRoutes(3);
+    expect(moveRoute(routes, 3, -1).map((r) => r.id)).toEqual([1, 3, 2]);
+    expect(moveRoute(routes, 1, -1)).toBe(routes);
+  });
+
+  it("totals a route's From totes against its vehicle capacity", () => {
+    let routes = setRouteCapacity(createRoutes(1), 1, 20);
+    routes = placeSection(routes, makeBoardSection("S1", "C01", "ambient", 12), 1, 1, "from");
+    routes = placeSection(routes, makeBoardSection("S1", "C01", "chill", 9), 1, 2, "from");
+    expect(getRouteTotals(routes[0])).toEqual({ totes: 21, capacity: 20, over: true });
+    expect(getRouteTotals(setRouteCapacity(routes, 1, null)[0]).over).toBe(false);
+  });
+});
+
+describe("reconcileRoutes", () => {
+  const summaries = [
+    { id: "S1::C01", shipment: "S1", consignment: "C01", ambientTotes: 14, chillTotes: 3, freezerTotes: 0 },
+    { id: "S1::C02", shipment: "S1", consignment: "C02", ambientTotes: 30, chillTotes: 0, freezerTotes: 0 },
+  ];
+
+  it("keeps the board's edits and refreshes tote counts", () => {
+    let routes = renameRoute(createRoutes(1), 1, "Dock 2");
+    routes = placeSection(routes, makeBoardSection("S1", "C01", "ambient", 10), 1, 1, "from");
+    routes = placeSection(routes, makeBoardSection("S1", "C02", "ambient", 25), 1, 1, "to");
+
+    const [route] = reconcileRoutes(routes, summaries, 1);
+    expect(route.name).toBe("Dock 2");
+    expect(route.subRoutes[0].from.totes).toBe(14);
+    expect(route.subRoutes[0].tos[0].totes).toBe(30);
+  });
+
+  it("drops freezer sections once freezer is merged into chill, and tops up routes", () => {
+    const routes = placeSection(
+      createRoutes(1, { separateFreezer: true }),
+      makeBoardSection("S1", "C01", "freezer", 2),
+      1,
+      1,
+      "from"
+    );
+    const reconciled = reconcileRoutes(routes, summaries, 2, { separateFreezer: false });
+    expect(reconciled[0].subRoutes[0].from).toBeNull();
+    expect(reconciled.map((r) => r.id)).toEqual([1, 2]);
+  });
+
+  it("gives sections on older saved boards an id", () => {
+    const legacy = createRoutes(1);
+    legacy[0].subRoutes[0].from = { consignmentId: "C02", type: "ambient", totes: 25 };
+    const [route] = reconcileRoutes(legacy, summaries, 1);
+    expect(route.subRoutes[0].from).toEqual(makeBoardSection("S1", "C02", "ambient", 30));
+  });
+});
+
+describe("replanBoard", () => {
+  const rows = parseCsvText(splitConsignment);
+  const config = { maxConsignments: 8 };
+  const { suggestions, consignmentSummaries, routesNeeded } = planConsolidation(rows, config);
+  const { routes } = applySuggestionsToRoutes(
+    createRoutes(routesNeeded, config),
+    suggestions,
+    consignmentSummaries
+  );
+
+  it("keeps the board and tops it up for the new settings", () => {
+    const next = replanBoard(rows, { maxConsignments: 6 }, routes, { topUp: true });
+    expect(next.routes.length).toBe(next.plan.routesNeeded);
+    expect(next.routes[0].subRoutes).toEqual(routes[0].subRoutes);
+  });
+
+  it("leaves the board as it was when the re-plan changes nothing on it", () => {
+    const next = replanBoard(rows, config, routes, { topUp: true });
+    const carried = reconcileRoutes(routes, next.plan.consignmentSummaries, 0);
+    expect(isSameBoard(next.routes, carried)).toBe(true);
+    expect(isSameBoard(next.routes, createRoutes(next.routes.length))).toBe(false);
+  });
+
+  it("leaves an approved plan unchanged after a config change", () => {
+    let review = applyReviewAction(createReview(), "submit", "Priya");
+    review = applyReviewAction(review, "approve", "Sam");
+    expect(replanBoard(rows, { maxConsignments: 6 }, routes, { topUp: true, review })).toBeNull();
+    expect(replanBoard(rows, config, routes, { review: createReview() })).not.toBeNull();
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { parseCsvText } from "../csv.js";
+import { planConsolidation } from "../plan.js";
+import {
+  addScenario,
+  removeScenario,
+  runScenarios,
+  scenarioConfig,
+  updateScenario,
+} from "../scenarios.js";
+import overflow from "./fixtures/overflow.csv?raw";
+
+const rows = parseCsvText(overflow);
+const config = { maxConsignments: 9 };
+
+describe("editing scenarios", () => {
+  it("adds, updates and removes scenarios by id", () => {
+    let scenarios = addScenario(addScenario([]), { maxConsignments: 8 });
+    expect(scenarios.map((s) => s.id)).toEqual([1, 2]);
+    scenarios = updateScenario(scenarios, 1, "sectionCapacity", 45);
+    scenarios = updateScenario(scenarios, 2, "maxConsignments", "");
+    expect(scenarios.map((s) => s.overrides)).toEqual([{ sectionCapacity: 45 }, {}]);
+    expect(addScenario(removeScenario(scenarios, 1)).map((s) => s.id)).toEqual([2, 3]);
+  });
+
+  it("only changes the settings a what-if is about", () => {
+    expect(() => updateScenario([{ id: 1, overrides: {} }], 1, "redFrom", 10)).toThrow(
+      'Scenarios cannot change "redFrom".'
+    );
+  });
+});
+
+describe("runScenarios", () => {
+  const scenarios = [
+    { id: 1, overrides: {} },
+    { id: 2, overrides: { maxConsignments: 8 } },
+    { id: 3, overrides: { maxConsignments: 8, sectionCapacity: 45 } },
+    { id: 4, overrides: { sectionCapacity: 0 } },
+  ];
+  const [current, eightVans, biggerCages, broken] = runScenarios(rows, config, scenarios);
+
+  it("plans each scenario the way the active plan would be planned", () => {
+    expect(current.plan).toEqual(planConsolidation(rows, scenarioConfig(config, scenarios[0])));
+    expect(eightVans.config).toMatchObject({ maxConsignments: 8, sectionCapacity: 40 });
+  });
+
+  it("reports the numbers the comparison table shows", () => {
+    expect(current).toMatchObject({ routesNeeded: 1, totesMoved: 5 });
+    expect(eightVans).toMatchObject({ routesNeeded: 2, totesMoved: 17, splitMoves: 2 });
+    expect(biggerCages.routesNeeded).toBe(2);
+    expect(biggerCages.splitMoves).toBeLessThanOrEqual(eightVans.splitMoves);
+  });
+
+  it("flags a scenario it cannot plan instead of failing the rest", () => {
+    expect(broken).toEqual({
+      id: 4,
+      problem: {
+        code: "notWholeNumber",
+        params: { setting: "sectionCapacity" },
+        message: "sectionCapacity must be a whole number above 0",
+      },
+    });
+  });
+});
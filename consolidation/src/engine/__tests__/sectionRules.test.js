@@ -0,0 +1,25 @@
+import { describe, expect, it } from "vitest";
+import { ordinal } from "../explain.js";
+import { cycleSectionRule, getSectionRule, setSectionRule } from "../sectionRules.js";
+
+describe("section rules", () => {
+  it("cycles a section through locked, excluded and back to none", () => {
+    let rules = cycleSectionRule({}, "S1::C01::ambient");
+    expect(getSectionRule(rules, "S1::C01::ambient")).toBe("locked");
+    rules = cycleSectionRule(rules, "S1::C01::ambient");
+    expect(rules).toEqual({ "S1::C01::ambient": "excluded" });
+    expect(cycleSectionRule(rules, "S1::C01::ambient")).toEqual({});
+  });
+
+  it("rejects unknown rules", () => {
+    expect(() => setSectionRule({}, "S1::C01::ambient", "sealed")).toThrow('Unknown section rule "sealed".');
+  });
+});
+
+describe("ordinal", () => {
+  it("names ranks the way a planner would say them", () => {
+    expect([1, 2, 3, 4, 11, 12, 13, 21, 22, 103].map(ordinal)).toEqual([
+      "1st", "2nd", "3rd", "4th", "11th", "12th", "13th", "21st", "22nd", "103rd",
+    ]);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, expect, it } from "vitest";
+import { parseCsvText } from "../csv.js";
+import {
+  buildConsignmentsAndSections,
+  filterConsignmentRows,
+  getSectionTypes,
+  isTypeInProgress,
+  sectionKey,
+} from "../sections.js";
+import duplicateIds from "./fixtures/duplicate-ids.csv?raw";
+import toteStrings from "./fixtures/tote-strings.csv?raw";
+
+describe("filterConsignmentRows", () => {
+  it("drops rows with a missing or blank consignment", () => {
+    const rows = filterConsignmentRows(parseCsvText(toteStrings));
+    expect(rows.map((r) => r["Consignment"])).toEqual(["C01", "C02", "C01"]);
+  });
+});
+
+describe("buildConsignmentsAndSections", () => {
+  const data = filterConsignmentRows(parseCsvText(toteStrings));
+  const { consignmentSummaries, sectionsByShipment } = buildConsignmentsAndSections(data);
+
+  it("aggregates totes per shipment and consignment", () => {
+    expect(consignmentSummaries).toMatchObject([
+      { id: "S1::C01", shipment: "S1", consignment: "C01", ambientTotes: 40, chillTotes: 6, freezerTotes: 0 },
+      { id: "S1::C02", shipment: "S1", consignment: "C02", ambientTotes: 12, chillTotes: 0, freezerTotes: 0 },
+    ]);
+  });
+
+  it("merges chilled and freezer into a single chill section", () => {
+    const chill = sectionsByShipment.S1.filter((s) => s.type === "chill");
+    expect(chill).toEqual([
+      {
+        sectionId: "S1::C01::chill",
+        consignment: "C01",
+        type: "chill",
+        totes: 6,
+        completed: 3,
+        expected: 6,
+        inProgress: true,
+        awaitingPicks: false,
+        rule: null,
+      },
+    ]);
+  });
+
+  it("keeps freezer as its own section when separateFreezer is set", () => {
+    const separate = buildConsignmentsAndSections(data, { separateFreezer: true });
+    expect(separate.consignmentSummaries[0]).toMatchObject({ chillTotes: 5, freezerTotes: 1 });
+    expect(separate.sectionsByShipment.S1.filter((s) => s.type !== "ambient")).toMatchObject([
+      { sectionId: "S1::C01::chill", consignment: "C01", type: "chill", totes: 5, inProgress: true },
+      { sectionId: "S1::C01::freezer", consignment: "C01", type: "freezer", totes: 1, inProgress: false },
+    ]);
+  });
+
+  it("builds one section per consignment and temperature, skipping empty ones", () => {
+    expect(sectionsByShipment.S1.map((s) => [s.sectionId, s.totes])).toEqual([
+      ["S1::C01::ambient", 40],
+      ["S1::C01::chill", 6],
+      ["S1::C02::ambient", 12],
+    ]);
+  });
+
+  it("keeps completed and expected totes per consignment and temperature", () => {
+    expect(consignmentSummaries[0].progress).toEqual({
+      ambient: { completed: 10, expected: 40 },
+      chill: { completed: 3, expected: 6 },
+      freezer: { completed: 0, expected: 0 },
+    });
+    expect(isTypeInProgress(consignmentSummaries[0], "ambient")).toBe(true);
+    expect(isTypeInProgress(consignmentSummaries[1], "ambient")).toBe(false);
+  });
+
+  it("plans on completed totes only when toteBasis is completed", () => {
+    const completed = buildConsignmentsAndSections(data, { toteBasis: "completed" });
+    expect(completed.consignmentSummaries[0]).toMatchObject({ ambientTotes: 10, chillTotes: 3 });
+    expect(completed.sectionsByShipment.S1.map((s) => [s.sectionId, s.totes])).toEqual([
+      ["S1::C01::ambient", 10],
+      ["S1::C01::chill", 3],
+      ["S1::C02::ambient", 12],
+    ]);
+    expect(completed.sectionsByShipment.S1.map((s) => s.awaitingPicks)).toEqual([
+      true,
+      true,
+      false,
+    ]);
+  });
+});
+
+describe("consignment numbers shared across shipments", () => {
+  const { consignmentSummaries, sectionsByShipment } = buildConsignmentsAndSections(
+    parseCsvText(duplicateIds)
+  );
+
+  it("keeps them as separate consignments and sections", () => {
+    expect(consignmentSummaries.map((c) => [c.id, c.ambientTotes])).toEqual([
+      ["S1::C01", 5],
+      ["S2::C01", 20],
+      ["S2::C02", 8],
+    ]);
+    expect(sectionsByShipment.S1.map((s) => s.sectionId)).toEqual(["S1::C01::ambient"]);
+    expect(sectionsByShipment.S2.map((s) => s.sectionId)).toEqual([
+      "S2::C01::ambient",
+      "S2::C02::ambient",
+      "S2::C02::chill",
+    ]);
+  });
+
+  it("builds ids from shipment, consignment and temperature", () => {
+    expect(sectionKey("S2", "C01", "chill")).toBe("S2::C01::chill");
+  });
+});
+
+describe("getSectionTypes", () => {
+  it("adds freezer only when it is planned separately", () => {
+    expect(getSectionTypes()).toEqual(["ambient", "chill"]);
+    expect(getSectionTypes({ separateFreezer: true })).toEqual(["ambient", "chill", "freezer"]);
+  });
+});
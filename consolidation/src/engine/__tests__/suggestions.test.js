@@ -0,0 +1,259 @@
+import { describe, expect, it } from "vitest";
+import { parseCsvText } from "../csv.js";
+import { planConsolidation } from "../plan.js";
+import { generateConsolidationSuggestions, NO_AVAILABLE_SECTION } from "../suggestions.js";
+import eleven from "./fixtures/eleven-consignments.csv?raw";
+import noSpace from "./fixtures/no-space.csv?raw";
+import mixedCompletion from "./fixtures/mixed-completion.csv?raw";
+import mixedTemperature from "./fixtures/mixed-temperature.csv?raw";
+import overflow from "./fixtures/overflow.csv?raw";
+import twoShipments from "./fixtures/two-shipments.csv?raw";
+
+const plan = (csv, config) => planConsolidation(parseCsvText(csv), config);
+
+describe("generateConsolidationSuggestions", () => {
+  it("returns nothing when no routes are needed", () => {
+    const sections = { S1: [{ sectionId: "a", consignment: "C01", type: "ambient", totes: 5 }] };
+    expect(generateConsolidationSuggestions(sections, 0)).toEqual([]);
+  });
+
+  it("empties the smallest consignments into the tightest fit", () => {
+    const { routesNeeded, suggestions } = plan(eleven);
+    expect(routesNeeded).toBe(2);
+    expect(suggestions.map((s) => s.sourceConsignment)).toEqual(["C01", "C02"]);
+    expect(suggestions[0]).toEqual({
+      shipment: "S1",
+      sourceSectionId: "S1::C01::ambient",
+      sourceConsignment: "C01",
+      sourceType: "ambient",
+      totalQty: 3,
+      reason: "source: 1st smallest consignment (3 totes)",
+      why: { code: "source", params: { rank: 1, count: 3, skipped: "" } },
+      moves: [
+        {
+          toSectionId: "S1::C11::ambient",
+          toConsignment: "C11",
+          toType: "ambient",
+          qty: 3,
+          newTotal: 36,
+          toShipment: "S1",
+          crossShipment: false,
+          reason: "target: best fit, 4 free after move",
+          why: { code: "bestFit", params: { free: 4 } },
+        },
+      ],
+      unplaceable: false,
+      unplacedQty: 0,
+    });
+  });
+
+  it("splits a source that overflows every single target", () => {
+    const { suggestions } = plan(overflow, { maxConsignments: 8 });
+    expect(suggestions).toHaveLength(2);
+    expect(suggestions[0].moves).toMatchObject([
+      { toConsignment: "C03", toType: "ambient", qty: 5, newTotal: 40 },
+    ]);
+    expect(suggestions[1].sourceConsignment).toBe("C01");
+    expect(suggestions[1].moves.map((m) => m.qty)).toEqual([5, 5, 2]);
+    expect(suggestions[1].moves.every((m) => m.newTotal <= 40)).toBe(true);
+  });
+
+  it("falls back to NO AVAILABLE SECTION once targets run out", () => {
+    const { routesNeeded, suggestions } = plan(noSpace, { maxConsignments: 6 });
+    expect(routesNeeded).toBe(6);
+    expect(suggestions).toHaveLength(6);
+    expect(suggestions[0].moves.map((m) => m.qty)).toEqual([10, 10, 10]);
+    expect(suggestions[2].moves).toEqual([
+      {
+        toConsignment: NO_AVAILABLE_SECTION,
+        toType: "N/A",
+        qty: 30,
+        reason: "no target: all remaining ambient sections full or already used",
+        why: { code: "allFullOrUsed", params: { zone: "ambient" } },
+      },
+    ]);
+    expect(suggestions[2].unplaceable).toBe(true);
+    expect(suggestions[2].unplacedQty).toBe(30);
+  });
+
+  it("honours a custom section capacity", () => {
+    const { suggestions } = plan(noSpace, { sectionCapacity: 60 });
+    expect(suggestions[0].moves).toMatchObject([
+      { toConsignment: "C04", toType: "ambient", qty: 30, newTotal: 60 },
+    ]);
+  });
+});
+
+describe("temperature-safe suggestions", () => {
+  it("only moves totes into sections of the same temperature", () => {
+    const { suggestions } = plan(mixedTemperature);
+    suggestions.forEach((s) => {
+      s.moves
+        .filter((m) => m.toConsignment !== NO_AVAILABLE_SECTION)
+        .forEach((m) => expect(m.toType).toBe(s.sourceType));
+    });
+  });
+
+  it("flags a source as unplaceable rather than mixing temperatures", () => {
+    const sections = {
+      S1: [
+        { sectionId: "c", consignment: "C01", type: "chill", totes: 4 },
+        { sectionId: "a", consignment: "C02", type: "ambient", totes: 10 },
+      ],
+    };
+    expect(generateConsolidationSuggestions(sections, 1, { sourcesPerRoute: 1 })).toEqual([
+      {
+        shipment: "S1",
+        sourceSectionId: "c",
+        sourceConsignment: "C01",
+        sourceType: "chill",
+        totalQty: 4,
+        reason: "source: 1st smallest consignment (4 totes)",
+        why: { code: "source", params: { rank: 1, count: 4, skipped: "" } },
+        moves: [
+          {
+            toConsignment: NO_AVAILABLE_SECTION,
+            toType: "N/A",
+            qty: 4,
+            reason: "no target: no other chill sections in shipment S1",
+            why: { code: "noSectionsInShipment", params: { zone: "chill", shipment: "S1" } },
+          },
+        ],
+        unplaceable: true,
+        unplacedQty: 4,
+      },
+    ]);
+  });
+
+  it("merges freezer into chill by default", () => {
+    const { suggestions } = plan(mixedTemperature);
+    expect(suggestions[0]).toMatchObject({
+      sourceConsignment: "C01",
+      sourceType: "chill",
+      moves: [{ toConsignment: "C03", toType: "chill", qty: 2 }],
+    });
+  });
+
+  it("keeps freezer apart from chilled when asked", () => {
+    const { suggestions } = plan(mixedTemperature, { separateFreezer: true });
+    expect(suggestions[0]).toMatchObject({
+      sourceConsignment: "C01",
+      sourceType: "freezer",
+      unplaceable: true,
+      unplacedQty: 2,
+    });
+  });
+});
+
+describe("shipment boundaries", () => {
+  it("keeps moves inside the source's shipment by default", () => {
+    const { suggestions } = plan(twoShipments);
+    const moves = suggestions.flatMap((s) => s.moves.map((m) => ({ ...m, from: s.shipment })));
+    moves
+      .filter((m) => m.toConsignment !== NO_AVAILABLE_SECTION)
+      .forEach((m) => {
+        expect(m.toShipment).toBe(m.from);
+        expect(m.crossShipment).toBe(false);
+      });
+    expect(suggestions[1]).toMatchObject({
+      shipment: "S1",
+      sourceConsignment: "C02",
+      unplaceable: true,
+      unplacedQty: 1,
+    });
+  });
+
+  it("moves across shipments only when allowed, and marks those moves", () => {
+    const { suggestions } = plan(twoShipments, { allowCrossShipment: true });
+    expect(suggestions[0]).toMatchObject({
+      shipment: "S1",
+      sourceConsignment: "C01",
+      moves: [{ toConsignment: "C09", toShipment: "S2", crossShipment: true, qty: 2 }],
+    });
+  });
+
+  it("breaks routes and unplaced totes down per shipment", () => {
+    expect(plan(twoShipments, { maxConsignments: 7 }).shipmentBreakdown).toEqual([
+      {
+        shipment: "S1",
+        consignments: 6,
+        sources: 2,
+        routesNeeded: 2,
+        totesToMove: 5,
+        unplacedQty: 1,
+        crossShipmentQty: 0,
+      },
+      {
+        shipment: "S2",
+        consignments: 5,
+        sources: 2,
+        routesNeeded: 2,
+        totesToMove: 9,
+        unplacedQty: 0,
+        crossShipmentQty: 0,
+      },
+    ]);
+    const cross = plan(twoShipments, { allowCrossShipment: true }).shipmentBreakdown;
+    expect(cross[0].crossShipmentQty).toBeGreaterThan(0);
+  });
+});
+
+describe("planner locks and exclusions", () => {
+  it.each(["greedy", "optimal"])("%s never empties a consignment with a locked section", (strategy) => {
+    const { suggestions } = planConsolidation(
+      parseCsvText(eleven),
+      { strategy },
+      { "S1::C01::ambient": "locked" }
+    );
+    expect(suggestions.map((s) => s.sourceConsignment)).toEqual(["C02", "C03"]);
+    expect(suggestions[0].reason).toMatch(
+      /^source: 2nd smallest consignment \(6 totes\).*; skipped locked or excluded C01$/
+    );
+    expect(suggestions[0].why.params).toEqual({ rank: 2, count: 6, skipped: "C01" });
+  });
+
+  it.each(["greedy", "optimal"])("%s never moves totes into an excluded section", (strategy) => {
+    const { suggestions } = planConsolidation(
+      parseCsvText(eleven),
+      { strategy },
+      { "S1::C11::ambient": "excluded" }
+    );
+    const targets = suggestions.flatMap((s) => s.moves.map((m) => m.toConsignment));
+    expect(targets).not.toContain("C11");
+  });
+
+  it("explains why the target was chosen", () => {
+    const { suggestions } = plan(overflow, { maxConsignments: 8 });
+    expect(suggestions[1].moves.map((m) => m.reason)).toEqual([
+      "target: none fits all 12, most free space (5)",
+      "target: none fits all 7, most free space (5)",
+      "target: best fit, 3 free after move",
+    ]);
+  });
+});
+
+describe("planConsolidation", () => {
+  it("needs one route per consignment over the limit", () => {
+    expect(plan(overflow).routesNeeded).toBe(1);
+    expect(plan(eleven).routesNeeded).toBe(2);
+  });
+
+  it("needs no routes at or below the consignment limit", () => {
+    const { routesNeeded, suggestions } = plan(eleven, { maxConsignments: 11 });
+    expect(routesNeeded).toBe(0);
+    expect(suggestions).toEqual([]);
+  });
+});
+
+describe("consignments still being picked", () => {
+  // C01 has all its ambient totes but none of its 25 chill totes yet.
+  const config = { maxConsignments: 9, toteBasis: "completed" };
+
+  it("are never emptied on the completed basis, whichever strategy plans", () => {
+    ["greedy", "optimal"].forEach((strategy) => {
+      const { suggestions, elimination } = plan(mixedCompletion, { ...config, strategy });
+      expect(suggestions.map((s) => s.sourceConsignment)).toEqual(["C02"]);
+      expect(elimination).toMatchObject({ eliminated: ["C02"], after: 9, meetsTarget: true });
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest";
+import { parseCsvText } from "../csv.js";
+import { planConsolidation } from "../plan.js";
+import {
+  buildSummaryRows,
+  DEFAULT_SUMMARY_VIEW,
+  filterSummaries,
+  nextSort,
+} from "../summaryTable.js";
+import twoShipments from "./fixtures/two-shipments.csv?raw";
+
+const { consignmentSummaries } = planConsolidation(parseCsvText(twoShipments));
+const view = (overrides) => ({ ...DEFAULT_SUMMARY_VIEW, ...overrides });
+const names = (rows) =>
+  rows.map((r) => (r.kind === "subtotal" ? `${r.shipment} total` : r.summary.consignment));
+
+describe("filterSummaries", () => {
+  it("searches consignment and shipment, case-insensitively", () => {
+    const found = filterSummaries(consignmentSummaries, view({ search: "c1" }));
+    expect(found.map((c) => c.consignment)).toEqual(["C10", "C11"]);
+    expect(filterSummaries(consignmentSummaries, view({ search: "s2" }))).toHaveLength(5);
+  });
+
+  it("filters by shipment, assignment and colour threshold", () => {
+    const isAssigned = (c) => c.consignment === "C03";
+    const filtered = filterSummaries(
+      consignmentSummaries,
+      view({ shipment: "S1", unassignedOnly: true, overThreshold: true }),
+      { isAssigned }
+    );
+    expect(filtered.map((c) => c.consignment)).toEqual(["C04", "C05", "C06"]);
+  });
+});
+
+describe("buildSummaryRows", () => {
+  it("keeps the export's order and adds a subtotal per shipment", () => {
+    const rows = buildSummaryRows(consignmentSummaries, view({ search: "C0" }));
+    expect(names(rows)).toEqual([
+      "C01", "C02", "C03", "C04", "C05", "C06", "S1 total",
+      "C07", "C08", "C09", "S2 total",
+    ]);
+    expect(rows[6]).toEqual({
+      kind: "subtotal",
+      shipment: "S1",
+      count: 6,
+      totals: { ambient: 161, chill: 0 },
+    });
+  });
+
+  it("sorts within each shipment and leaves out subtotals for a single shipment", () => {
+    const rows = buildSummaryRows(
+      consignmentSummaries,
+      view({ shipment: "S2", sortKey: "ambient", sortDir: "desc" })
+    );
+    expect(names(rows)).toEqual(["C09", "C10", "C11", "C08", "C07"]);
+  });
+
+  it("orders the shipment groups when sorting by shipment", () => {
+    const rows = buildSummaryRows(consignmentSummaries, view({ sortKey: "shipment", sortDir: "desc" }));
+    expect(rows[0].summary.shipment).toBe("S2");
+  });
+});
+
+describe("nextSort", () => {
+  it("cycles ascending, descending, then back to export order", () => {
+    const asc = nextSort(DEFAULT_SUMMARY_VIEW, "chill");
+    const desc = nextSort(asc, "chill");
+    expect([asc.sortKey, asc.sortDir, desc.sortDir]).toEqual(["chill", "asc", "desc"]);
+    expect(nextSort(desc, "chill").sortKey).toBeNull();
+  });
+});
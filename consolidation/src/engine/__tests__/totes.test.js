@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { getColorClass, parseToteCounts, parseTotes } from "../totes.js";
+
+describe("parseTotes", () => {
+  it("reads the expected total from x/y strings", () => {
+    expect(parseTotes("0/30")).toBe(30);
+    expect(parseTotes("12/30")).toBe(30);
+  });
+
+  it("reads plain numbers", () => {
+    expect(parseTotes("12")).toBe(12);
+    expect(parseTotes(7)).toBe(7);
+  });
+
+  it("treats blanks and garbage as zero", () => {
+    expect(parseTotes("")).toBe(0);
+    expect(parseTotes(undefined)).toBe(0);
+    expect(parseTotes(null)).toBe(0);
+    expect(parseTotes("x/y")).toBe(0);
+    expect(parseTotes("abc")).toBe(0);
+  });
+});
+
+describe("parseToteCounts", () => {
+  it("keeps both halves of x/y strings", () => {
+    expect(parseToteCounts("12/30")).toEqual({ completed: 12, expected: 30 });
+    expect(parseToteCounts(" 4 / 9 ")).toEqual({ completed: 4, expected: 9 });
+  });
+
+  it("treats a plain number as fully picked", () => {
+    expect(parseToteCounts("12")).toEqual({ completed: 12, expected: 12 });
+    expect(parseToteCounts("")).toEqual({ completed: 0, expected: 0 });
+  });
+});
+
+describe("getColorClass", () => {
+  it("bands totes into green, orange and red", () => {
+    expect(getColorClass(0)).toBe("green");
+    expect(getColorClass(19)).toBe("green");
+    expect(getColorClass(20)).toBe("orange");
+    expect(getColorClass(29)).toBe("orange");
+    expect(getColorClass(30)).toBe("red");
+  });
+
+  it("uses the site's thresholds when given", () => {
+    const config = { orangeFrom: 30, redFrom: 45 };
+    expect(getColorClass(29, config)).toBe("green");
+    expect(getColorClass(44, config)).toBe("orange");
+    expect(getColorClass(45, config)).toBe("red");
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, expect, it } from "vitest";
+import { createRoutes, makeBoardSection } from "../routes.js";
+import { checkDrop, getSubRouteValidation, validateRoutes } from "../validation.js";
+
+const section = (consignmentId, type, totes, qty) => {
+  const item = makeBoardSection("S1", consignmentId, type, totes);
+  return qty === undefined ? item : { ...item, qty };
+};
+
+const board = (subRoutes) => {
+  const routes = createRoutes(1, { sourcesPerRoute: subRoutes.length });
+  subRoutes.forEach(([from, tos], idx) => {
+    routes[0].subRoutes[idx] = { ...routes[0].subRoutes[idx], from, tos };
+  });
+  return routes;
+};
+
+describe("validateRoutes", () => {
+  it("projects each To's total after the move, filling hand-dropped Tos in order", () => {
+    const routes = board([
+      [section("C01", "ambient", 25), [section("C02", "ambient", 30), section("C03", "ambient", 10)]],
+    ]);
+    const { projections, issues } = getSubRouteValidation(validateRoutes(routes), 1, 1);
+    expect(projections.map((p) => [p.consignmentId, p.qty, p.projected])).toEqual([
+      ["C02", 10, 40],
+      ["C03", 15, 25],
+    ]);
+    expect(issues).toEqual([]);
+  });
+
+  it("uses the qty carried by applied suggestions", () => {
+    const routes = board([
+      [section("C01", "ambient", 6), [section("C02", "ambient", 10, 2), section("C03", "ambient", 10, 4)]],
+    ]);
+    const { projections } = getSubRouteValidation(validateRoutes(routes), 1, 1);
+    expect(projections.map((p) => p.projected)).toEqual([12, 14]);
+  });
+
+  it("never tops up a To past the qty its suggestion planned", () => {
+    const routes = board([
+      [section("C01", "ambient", 30), [section("C02", "ambient", 38, 2), section("C03", "ambient", 38, 2)]],
+    ]);
+    const { projections, issues } = getSubRouteValidation(validateRoutes(routes), 1, 1);
+    expect(projections.map((p) => [p.qty, p.projected])).toEqual([
+      [2, 40],
+      [2, 40],
+    ]);
+    expect(issues).toEqual([]);
+  });
+
+  it("flags a To pushed past capacity, counting moves from every sub-route", () => {
+    const routes = board([
+      [section("C01", "ambient", 25), [section("C03", "ambient", 38)]],
+      [section("C02", "ambient", 5), [section("C03", "ambient", 38)]],
+    ]);
+    const { issues } = validateRoutes(routes);
+    expect(issues.map((i) => [i.subRouteId, i.kind])).toEqual([
+      [1, "capacity"],
+      [2, "capacity"],
+    ]);
+    expect(issues[0].message).toBe("C03 (ambient) would hold 68/40 totes");
+    expect(issues[0]).toMatchObject({
+      code: "overCapacity",
+      params: { consignment: "C03", zone: "ambient", projected: 68, capacity: 40 },
+    });
+  });
+
+  it("honours the configured section capacity", () => {
+    const routes = board([[section("C01", "ambient", 25), [section("C02", "ambient", 38)]]]);
+    expect(validateRoutes(routes, { sectionCapacity: 70 }).issues).toEqual([]);
+  });
+
+  it("flags temperature mismatches", () => {
+    const routes = board([[section("C01", "chill", 4), [section("C02", "ambient", 10)]]]);
+    expect(validateRoutes(routes).issues).toEqual([
+      {
+        routeId: 1,
+        subRouteId: 1,
+        kind: "temperature",
+        code: "temperature",
+        params: { consignment: "C02", zone: "ambient", fromConsignment: "C01", fromZone: "chill" },
+        message: "C02 is ambient but C01 is chill",
+      },
+    ]);
+  });
+
+  it("flags a section that is both emptied and filled", () => {
+    const routes = board([
+      [section("C01", "ambient", 4), [section("C02", "ambient", 10)]],
+      [section("C02", "ambient", 10), [section("C03", "ambient", 10)]],
+    ]);
+    expect(validateRoutes(routes).issues.map((i) => [i.subRouteId, i.kind])).toEqual([
+      [1, "fromAlsoTo"],
+      [2, "fromAlsoTo"],
+    ]);
+  });
+
+  it("does not confuse the same consignment number in another shipment", () => {
+    const routes = board([
+      [section("C01", "ambient", 4), [section("C02", "ambient", 10)]],
+      [makeBoardSection("S2", "C02", "ambient", 6), [section("C03", "ambient", 10)]],
+    ]);
+    expect(validateRoutes(routes).issues).toEqual([]);
+  });
+});
+
+describe("checkDrop", () => {
+  const routes = board([[section("C01", "ambient", 25), [section("C02", "ambient", 30)]]]);
+
+  it("blocks drops that mix temperatures", () => {
+    const result = checkDrop(routes, section("C05", "chill", 5), 1, 1, "to");
+    expect(result.blocked).toBe(true);
+    expect(result.issues.map((i) => i.kind)).toEqual(["temperature"]);
+  });
+
+  it("allows over-capacity drops but reports them", () => {
+    const result = checkDrop(routes, section("C01", "ambient", 35), 1, 1, "from");
+    expect(result.blocked).toBe(false);
+    expect(result.issues.map((i) => i.kind)).toEqual(["capacity"]);
+  });
+
+  it("reports nothing for a clean drop", () => {
+    expect(checkDrop(routes, section("C06", "ambient", 5), 1, 1, "to")).toEqual({
+      issues: [],
+      blocked: false,
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import { summariseDashboard } from "./dashboard.js";
+import { createReview } from "./review.js";
+import { getSectionTypes, sectionKey } from "./sections.js";
+
+// Finalised plans kept for comparing one day with the next. An archive entry is
+// a snapshot of what the app already holds for the open plan (consignment
+// summaries, route board, suggestions, move list, settings, review state and
+// trail), and every trend is worked out from those snapshots rather than from
+// numbers stored alongside.
+
+// Calendar day in the planner's time zone, e.g. "2026-10-19".
+export const archiveDate = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+export const buildArchiveEntry = (
+  {
+    name,
+    config,
+    consignments,
+    routes,
+    suggestions,
+    moves,
+    sectionRules = {},
+    review = createReview(),
+  },
+  now = new Date()
+) => ({
+  name,
+  archivedAt: now.toISOString(),
+  date: archiveDate(now),
+  shipments: [...new Set(consignments.map((c) => c.shipment))].sort(),
+  config,
+  sectionRules,
+  consignments,
+  routes,
+  suggestions,
+  moves,
+  review,
+});
+
+// The entry's headline numbers, optionally for one shipment only. A move counts
+// towards the shipment its source consignment belongs to.
+export const archiveMetrics = (entry, shipment = null) => {
+  if (!shipment) {
+    return summariseDashboard(entry.consignments, entry.moves, entry.suggestions, entry.config);
+  }
+  const types = getSectionTypes(entry.config);
+  const consignments = entry.consignments.filter((c) => c.shipment === shipment);
+  const sectionIds = new Set(
+    consignments.flatMap((c) => types.map((type) => sectionKey(c.shipment, c.consignment, type)))
+  );
+  return summariseDashboard(
+    consignments,
+    entry.moves.filter((m) => sectionIds.has(m.fromSectionId)),
+    entry.suggestions.filter((s) => s.shipment === shipment),
+    entry.config
+  );
+};
+
+// Entries on a day and/or holding a shipment, newest first. Empty filters match everything.
+export const filterArchives = (archives, { date = "", shipment = "" } = {}) =>
+  archives
+    .filter((a) => !date || a.date === date)
+    .filter((a) => !shipment || a.shipments.includes(shipment))
+    .slice()
+    .sort((a, b) => b.archivedAt.localeCompare(a.archivedAt));
+
+export const archiveDates = (archives) =>
+  [...new Set(archives.map((a) => a.date))].sort().reverse();
+
+export const archiveShipments = (archives) =>
+  [...new Set(archives.flatMap((a) => a.shipments))].sort();
+
+// One point per day, oldest first: consignments emptied by the plans archived
+// that day, totes moved in total and per plan, and totes left unplaced.
+export const buildTrends = (archives, shipment = null) => {
+  const byDate = new Map();
+  archives
+    .filter((a) => !shipment || a.shipments.includes(shipment))
+    .forEach((entry) => {
+      const metrics = archiveMetrics(entry, shipment);
+      const day = byDate.get(entry.date) ?? {
+        date: entry.date,
+        plans: 0,
+        consignmentsConsolidated: 0,
+        totesMoved: 0,
+        unplacedQty: 0,
+      };
+      day.plans += 1;
+      day.consignmentsConsolidated += metrics.consignmentsBefore - metrics.consignmentsAfter;
+      day.totesMoved += metrics.totesMoved;
+      day.unplacedQty += metrics.unplacedQty;
+      byDate.set(entry.date, day);
+    });
+  return [...byDate.values()]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((day) => ({ ...day, avgTotesMoved: day.totesMoved / day.plans }));
+};
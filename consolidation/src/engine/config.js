@@ -0,0 +1,42 @@
+// Site parameters that drive route counts and suggestions.
+export const DEFAULT_CONFIG = {
+  maxConsignments: 9, // consignments a site can dispatch without consolidating
+  sectionCapacity: 40, // totes a single section (cage) can hold
+  sourcesPerRoute: 2, // sub-routes per route, one per section of the consignment it empties
+  orangeFrom: 20, // summary cells turn orange at this many totes
+  redFrom: 30, // ...and red at this many
+  separateFreezer: false, // plan freezer as its own temperature instead of merging it into chill
+  allowCrossShipment: false, // let totes move into a section belonging to another shipment
+  toteBasis: "expected", // plan on "expected" totes (reserve capacity) or only "completed" ones
+  strategy: "greedy", // "greedy" (smallest-first heuristic) or "optimal" (search)
+  locale: "en", // interface language and number/date formats, see src/i18n
+  ambientLabel: "", // the site's word for each temperature zone, e.g. "dry"; empty for the locale's
+  chillLabel: "",
+  freezerLabel: "",
+  toteUnit: "", // container words as "singular/plural", e.g. "crate/crates"; empty for the locale's
+  sectionUnit: "", // e.g. "cage/cages"
+};
+
+export const resolveConfig = (config = {}) => ({ ...DEFAULT_CONFIG, ...config });
+
+// Settings that only change how the plan is shown: cell colours, language and
+// the site's words. Editing one never needs a new plan.
+export const DISPLAY_SETTINGS = [
+  "orangeFrom",
+  "redFrom",
+  "locale",
+  "ambientLabel",
+  "chillLabel",
+  "freezerLabel",
+  "toteUnit",
+  "sectionUnit",
+];
+
+// True when moving from `config` to `next` changes a setting the engine plans with.
+export const changesPlan = (config, next) => {
+  const before = resolveConfig(config);
+  const after = resolveConfig(next);
+  return Object.keys({ ...before, ...after }).some(
+    (key) => !DISPLAY_SETTINGS.includes(key) && before[key] !== after[key]
+  );
+};
@@ -0,0 +1,61 @@
+import { resolveConfig } from "./config.js";
+import { consignmentKey } from "./sections.js";
+
+// Sections grouped into whole consignments, smallest total first. A consignment
+// only stops needing a route once every one of its sections has been emptied.
+export const groupSectionsByConsignment = (allSections) => {
+  const groups = {};
+  allSections.forEach((section) => {
+    const key = consignmentKey(section.shipment, section.consignment);
+    if (!groups[key]) {
+      groups[key] = {
+        shipment: section.shipment,
+        consignment: section.consignment,
+        sections: [],
+        totes: 0,
+      };
+    }
+    groups[key].sections.push(section);
+    groups[key].totes += section.totes;
+  });
+  return Object.values(groups).sort((a, b) => a.totes - b.totes);
+};
+
+// How to name a consignment on screen: its number, plus the shipment when the
+// same number is used in more than one shipment.
+export const consignmentLabeller = (consignmentSummaries) => {
+  const shipmentsByNumber = {};
+  consignmentSummaries.forEach((c) => {
+    shipmentsByNumber[c.consignment] = (shipmentsByNumber[c.consignment] ?? 0) + 1;
+  });
+  return (shipment, consignment) =>
+    shipmentsByNumber[consignment] > 1 ? `${consignment} (${shipment})` : consignment;
+};
+
+// Which source consignments the plan fully empties, and whether that gets the
+// consignment count down to the site limit.
+export const summariseElimination = (consignmentSummaries, suggestions, config) => {
+  const { maxConsignments } = resolveConfig(config);
+  const before = new Set(consignmentSummaries.map((c) => c.id)).size;
+  const label = consignmentLabeller(consignmentSummaries);
+  const sources = {};
+
+  suggestions.forEach((s) => {
+    const key = consignmentKey(s.shipment, s.sourceConsignment);
+    sources[key] = sources[key] ?? { label: label(s.shipment, s.sourceConsignment), unplaced: 0 };
+    sources[key].unplaced += s.unplacedQty;
+  });
+
+  const eliminated = Object.values(sources).filter((s) => s.unplaced === 0).map((s) => s.label);
+  const blocked = Object.values(sources).filter((s) => s.unplaced > 0).map((s) => s.label);
+  const after = before - eliminated.length;
+
+  return {
+    before,
+    after,
+    target: Math.min(before, maxConsignments),
+    eliminated,
+    blocked,
+    meetsTarget: after <= maxConsignments,
+  };
+};
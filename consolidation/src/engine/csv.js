@@ -0,0 +1,5 @@
+import Papa from "papaparse";
+
+// Same Papa options the upload form uses, for CSV already held as a string.
+export const parseCsvText = (text) =>
+  Papa.parse(text, { header: true, skipEmptyLines: true }).data;
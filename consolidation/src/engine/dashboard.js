@@ -0,0 +1,104 @@
+import { resolveConfig } from "./config.js";
+import { applyMovesToSummaries } from "./execution.js";
+import { getSectionTypes } from "./sections.js";
+import { summarisePlan } from "./stats.js";
+
+// Numbers behind the dashboard charts, all worked out from the consignment
+// summaries and the current move list so the charts stay plain SVG.
+
+const DEFAULT_BIN_SIZE = 5;
+
+// How many sections sit in each fill band, per temperature. Bands run up to
+// section capacity; anything over capacity lands in a final overflow band.
+export const buildFillHistogram = (consignmentSummaries, config, binSize = DEFAULT_BIN_SIZE) => {
+  const { sectionCapacity } = resolveConfig(config);
+  const types = getSectionTypes(config);
+  const bins = [];
+  for (let from = 1; from <= sectionCapacity; from += binSize) {
+    const to = Math.min(from + binSize - 1, sectionCapacity);
+    bins.push({ from, to, label: `${from}–${to}`, counts: {} });
+  }
+  bins.push({ from: sectionCapacity + 1, to: Infinity, label: `>${sectionCapacity}`, counts: {} });
+  bins.forEach((bin) => types.forEach((type) => (bin.counts[type] = 0)));
+
+  consignmentSummaries.forEach((c) =>
+    types.forEach((type) => {
+      const totes = c[`${type}Totes`] ?? 0;
+      if (totes <= 0) return;
+      const bin = bins.find((b) => totes <= b.to);
+      bin.counts[type] += 1;
+    })
+  );
+  return { types, bins };
+};
+
+// Total totes per shipment, split by temperature, in the order shipments first appear.
+export const totesByShipment = (consignmentSummaries, config) => {
+  const types = getSectionTypes(config);
+  const shipments = [];
+  consignmentSummaries.forEach((c) => {
+    let entry = shipments.find((s) => s.shipment === c.shipment);
+    if (!entry) {
+      entry = { shipment: c.shipment, total: 0, byType: {} };
+      types.forEach((type) => (entry.byType[type] = 0));
+      shipments.push(entry);
+    }
+    types.forEach((type) => {
+      const totes = c[`${type}Totes`] ?? 0;
+      entry.byType[type] += totes;
+      entry.total += totes;
+    });
+  });
+  return shipments;
+};
+
+// Each consignment's sections before and after the moves, as totes and as a
+// share of section capacity. Sections empty on both sides are left out.
+export const buildUtilisation = (consignmentSummaries, moves, config) => {
+  const { sectionCapacity } = resolveConfig(config);
+  const types = getSectionTypes(config);
+  const after = applyMovesToSummaries(consignmentSummaries, moves);
+
+  return consignmentSummaries
+    .map((c, idx) => ({
+      id: c.id,
+      shipment: c.shipment,
+      consignment: c.consignment,
+      sections: types
+        .map((type) => {
+          const before = c[`${type}Totes`] ?? 0;
+          const now = after[idx][`${type}Totes`] ?? 0;
+          return {
+            type,
+            before,
+            after: now,
+            beforeShare: before / sectionCapacity,
+            afterShare: now / sectionCapacity,
+          };
+        })
+        .filter((s) => s.before > 0 || s.after > 0),
+    }))
+    .filter((c) => c.sections.length > 0);
+};
+
+const holdsTotes = (summary, types) => types.some((type) => (summary[`${type}Totes`] ?? 0) > 0);
+
+// Headline numbers for the current plan. The move list is what the floor will
+// do (the board, or the suggestions when the board is empty); unplaced totes
+// come from the suggestions, since the board has no notion of them.
+export const summariseDashboard = (consignmentSummaries, moves, suggestions, config) => {
+  const types = getSectionTypes(config);
+  const after = applyMovesToSummaries(consignmentSummaries, moves);
+  const targetsPerSource = {};
+  moves.forEach((m) => {
+    targetsPerSource[m.fromSectionId] = (targetsPerSource[m.fromSectionId] ?? 0) + 1;
+  });
+
+  return {
+    consignmentsBefore: consignmentSummaries.filter((c) => holdsTotes(c, types)).length,
+    consignmentsAfter: after.filter((c) => holdsTotes(c, types)).length,
+    totesMoved: moves.reduce((sum, m) => sum + m.qty, 0),
+    splitMoves: Object.values(targetsPerSource).reduce((sum, n) => sum + n - 1, 0),
+    unplacedQty: summarisePlan(suggestions).unplacedQty,
+  };
+};
@@ -0,0 +1,91 @@
+import { sectionKey } from "./sections.js";
+
+// What actually happened on the floor, per move. Statuses are kept in a map
+// keyed by the From and To section ids rather than on the moves themselves, so
+// they survive re-planning and apply whether the moves came from the route
+// board or straight from the suggestions.
+export const MOVE_STATUSES = ["pending", "inProgress", "done", "short"];
+
+const PENDING = { status: "pending", actualQty: null };
+
+export const moveKey = (move) => `${move.fromSectionId}>${move.toSectionId}`;
+
+export const getMoveStatus = (execution, move) => execution[moveKey(move)] ?? PENDING;
+
+// Records a move's status; "short" needs the quantity that really moved.
+// Setting a move back to pending removes its entry.
+export const setMoveStatus = (execution, move, status, actualQty = null) => {
+  if (!MOVE_STATUSES.includes(status)) {
+    throw new Error(`Unknown move status "${status}".`);
+  }
+  const key = moveKey(move);
+  if (status === "pending") {
+    const { [key]: _removed, ...rest } = execution;
+    return rest;
+  }
+  return {
+    ...execution,
+    [key]: { status, actualQty: status === "short" ? Math.max(0, actualQty ?? 0) : null },
+  };
+};
+
+// Moves with their status and actual quantity attached.
+export const withExecution = (moves, execution) =>
+  moves.map((move) => ({ ...move, ...getMoveStatus(execution, move) }));
+
+// Totes that have physically moved: all of a done move, the recorded count of a
+// short one, none of anything else.
+export const getMovedQty = (move) => {
+  if (move.status === "done") return move.qty;
+  if (move.status === "short") return move.actualQty ?? 0;
+  return 0;
+};
+
+const isFinished = (move) => move.status === "done" || move.status === "short";
+
+// Per route: moves finished out of the total, and totes moved against planned.
+export const summariseRouteProgress = (movesWithStatus) => {
+  const routes = [];
+  movesWithStatus.forEach((move) => {
+    let route = routes.find((r) => r.route === move.route);
+    if (!route) {
+      route = {
+        route: move.route,
+        routeName: move.routeName,
+        moves: 0,
+        finished: 0,
+        short: 0,
+        plannedQty: 0,
+        movedQty: 0,
+      };
+      routes.push(route);
+    }
+    route.moves += 1;
+    route.finished += isFinished(move) ? 1 : 0;
+    route.short += move.status === "short" ? 1 : 0;
+    route.plannedQty += move.qty;
+    route.movedQty += getMovedQty(move);
+  });
+  return routes;
+};
+
+// The consignment summaries with each move's totes taken out of its From
+// section and added to its To section; `qtyOf` says how many totes a move shifts.
+export const applyMovesToSummaries = (consignmentSummaries, moves, qtyOf = (move) => move.qty) => {
+  const adjusted = consignmentSummaries.map((c) => ({ ...c }));
+  const adjust = (sectionId, type, delta) => {
+    const summary = adjusted.find((c) => sectionKey(c.shipment, c.consignment, type) === sectionId);
+    if (summary) summary[`${type}Totes`] += delta;
+  };
+  moves.forEach((move) => {
+    const moved = qtyOf(move);
+    if (moved === 0) return;
+    adjust(move.fromSectionId, move.temperature, -moved);
+    adjust(move.toSectionId, move.temperature, moved);
+  });
+  return adjusted;
+};
+
+// The consignment summaries as they stand after the moves recorded so far.
+export const applyExecutionToSummaries = (consignmentSummaries, movesWithStatus) =>
+  applyMovesToSummaries(consignmentSummaries, movesWithStatus, getMovedQty);
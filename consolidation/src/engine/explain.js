@@ -0,0 +1,70 @@
+// Short, human-readable reasons attached to suggestions and their moves, so a
+// planner can see why the engine picked a source or a target. Each comes as
+// { reason, why }: the English `reason`, and `why` as a code and params for
+// the interface to translate.
+
+export const ordinal = (n) => {
+  const tens = n % 100;
+  if (tens >= 11 && tens <= 13) return `${n}th`;
+  return `${n}${{ 1: "st", 2: "nd", 3: "rd" }[n % 10] ?? "th"}`;
+};
+
+const explained = (code, params, reason) => ({ reason, why: { code, params } });
+
+// Why a consignment was chosen to be emptied. `rankedGroups` is every
+// consignment smallest first, including the ones planners have locked or
+// excluded, so those still count towards the rank and are named as skipped.
+// `bySearch` is set when the optimal search rather than the ranking picked it.
+export const explainSource = (group, rankedGroups, bySearch = false) => {
+  const rank = rankedGroups.indexOf(group);
+  const skipped = rankedGroups
+    .slice(0, rank)
+    .filter((g) => g.sections.some((s) => s.rule))
+    .map((g) => g.consignment)
+    .join(", ");
+  let code = bySearch ? "sourceBySearch" : "source";
+  let reason = `source: ${ordinal(rank + 1)} smallest consignment (${group.totes} totes)`;
+  if (bySearch) reason += ", picked by optimal search";
+  if (skipped) {
+    code += "Skipped";
+    reason += `; skipped locked or excluded ${skipped}`;
+  }
+  return explained(code, { rank: rank + 1, count: group.totes, skipped }, reason);
+};
+
+// Why a target took a source's totes: the tightest fit for all of them, the
+// most free space when none fits them all, or the optimal search's packing.
+export const explainBestFit = (free) =>
+  explained("bestFit", { free }, `target: best fit, ${free} free after move`);
+
+export const explainMostSpace = (count, space) =>
+  explained(
+    "mostSpace",
+    { count, space },
+    `target: none fits all ${count}, most free space (${space})`
+  );
+
+export const explainPacked = (free) =>
+  explained("packed", { free }, `target: packed by optimal search, ${free} free after move`);
+
+const NO_TARGET_STATES = { allFull: "full", allFullOrUsed: "full or already used" };
+
+// Why some of a source's totes have nowhere to go; `state` says what made the
+// remaining sections unusable for this strategy: "allFull" or "allFullOrUsed".
+export const explainNoTarget = (source, sameTypeSections, allowCrossShipment, state) => {
+  const zone = source.type;
+  if (sameTypeSections.length === 0) {
+    return allowCrossShipment
+      ? explained("noSections", { zone }, `no target: no other ${zone} sections`)
+      : explained(
+          "noSectionsInShipment",
+          { zone, shipment: source.shipment },
+          `no target: no other ${zone} sections in shipment ${source.shipment}`
+        );
+  }
+  return explained(
+    state,
+    { zone },
+    `no target: all remaining ${zone} sections ${NO_TARGET_STATES[state]}`
+  );
+};
@@ -0,0 +1,211 @@
+import Papa from "papaparse";
+import { resolveConfig } from "./config.js";
+import { createReview, resolveReview } from "./review.js";
+import { consignmentKey, isTypeInProgress, sectionKey } from "./sections.js";
+import { getRouteLabel, getSubRouteLabel } from "./routes.js";
+import { NO_AVAILABLE_SECTION } from "./suggestions.js";
+import { validateRoutes } from "./validation.js";
+
+export const PLAN_FORMAT = "consolidation-plan";
+export const PLAN_VERSION = 1;
+
+// True once at least one sub-route has both a From and a To.
+export const hasBoardMoves = (routes) =>
+  routes.some((r) => r.subRoutes.some((sr) => sr.from && sr.tos.length > 0));
+
+// One row per From→To move, grouped by route and sub-route. The route board is
+// used when anything has been assigned on it; otherwise the suggestions are
+// listed, one "route" per source consignment. When consignment summaries are
+// given, moves touching a section that is still being picked are flagged.
+// `labels` ({ route, subRoute }) name unnamed routes, see getRouteLabel.
+export const buildMoveList = (
+  routes,
+  suggestions,
+  config,
+  consignmentSummaries = [],
+  labels = {}
+) => {
+  const stillPicking = (sectionId, type) =>
+    isTypeInProgress(
+      consignmentSummaries.find((c) => sectionKey(c.shipment, c.consignment, type) === sectionId),
+      type
+    );
+  const withPickStatus = (move) => ({
+    ...move,
+    fromInProgress: stillPicking(move.fromSectionId, move.temperature),
+    toInProgress: stillPicking(move.toSectionId, move.temperature),
+  });
+
+  if (hasBoardMoves(routes)) {
+    const validation = validateRoutes(routes, config);
+    const moves = [];
+    routes.forEach((route) =>
+      route.subRoutes.forEach((sr) => {
+        if (!sr.from) return;
+        const { projections } = validation.bySubRoute[`${route.id}:${sr.id}`];
+        sr.tos.forEach((t, idx) => {
+          moves.push({
+            route: route.id,
+            subRoute: sr.id,
+            routeName: getRouteLabel(route, labels.route),
+            subRouteName: getSubRouteLabel(sr, labels.subRoute),
+            fromSectionId: sr.from.sectionId,
+            toSectionId: t.sectionId,
+            shipment: sr.from.shipment,
+            toShipment: t.shipment,
+            fromConsignment: sr.from.consignmentId,
+            toConsignment: t.consignmentId,
+            temperature: sr.from.type,
+            qty: projections[idx].qty,
+          });
+        });
+      })
+    );
+    return moves.map(withPickStatus);
+  }
+
+  const routeByConsignment = {};
+  const subRouteCount = {};
+  const moves = [];
+  suggestions.forEach((s) => {
+    const source = consignmentKey(s.shipment, s.sourceConsignment);
+    if (routeByConsignment[source] === undefined) {
+      routeByConsignment[source] = Object.keys(routeByConsignment).length + 1;
+    }
+    const route = routeByConsignment[source];
+    subRouteCount[route] = (subRouteCount[route] ?? 0) + 1;
+    s.moves
+      .filter((m) => m.toConsignment !== NO_AVAILABLE_SECTION)
+      .forEach((m) => {
+        moves.push({
+          route,
+          subRoute: subRouteCount[route],
+          routeName: getRouteLabel({ id: route }, labels.route),
+          subRouteName: getSubRouteLabel({ id: subRouteCount[route] }, labels.subRoute),
+          fromSectionId: s.sourceSectionId,
+          toSectionId: m.toSectionId,
+          shipment: s.shipment,
+          toShipment: m.toShipment,
+          fromConsignment: s.sourceConsignment,
+          toConsignment: m.toConsignment,
+          temperature: s.sourceType,
+          qty: m.qty,
+        });
+      });
+  });
+  return moves.map(withPickStatus);
+};
+
+// Moves grouped as [{ route, subRoutes: [{ subRoute, moves }] }] for the print sheet.
+export const groupMovesByRoute = (moves) => {
+  const routes = [];
+  moves.forEach((move) => {
+    let route = routes.find((r) => r.route === move.route);
+    if (!route) {
+      route = { route: move.route, subRoutes: [] };
+      routes.push(route);
+    }
+    let subRoute = route.subRoutes.find((sr) => sr.subRoute === move.subRoute);
+    if (!subRoute) {
+      subRoute = { subRoute: move.subRoute, moves: [] };
+      route.subRoutes.push(subRoute);
+    }
+    subRoute.moves.push(move);
+  });
+  return routes;
+};
+
+// Headers and temperature names for the move list CSV. The defaults are the
+// same Title Case headers as the WMS export the tool reads.
+export const CSV_LABELS = {
+  columns: {
+    route: "Route",
+    subRoute: "Sub-route",
+    shipment: "Shipment",
+    from: "From Consignment",
+    toShipment: "To Shipment",
+    to: "To Consignment",
+    temperature: "Temperature",
+    qty: "Totes",
+  },
+  temperature: (type) => type,
+};
+
+// The header row is written even when there are no moves; Papa ends it with a
+// line break then, which is trimmed so the output always ends the same way.
+export const movesToCsv = (moves, labels = CSV_LABELS) => {
+  const { columns, temperature } = labels;
+  const csv = Papa.unparse({
+    fields: [
+      columns.route,
+      columns.subRoute,
+      columns.shipment,
+      columns.from,
+      columns.toShipment,
+      columns.to,
+      columns.temperature,
+      columns.qty,
+    ],
+    data: moves.map((m) => [
+      m.route,
+      m.subRoute,
+      m.shipment,
+      m.fromConsignment,
+      m.toShipment,
+      m.toConsignment,
+      temperature(m.temperature),
+      m.qty,
+    ]),
+  });
+  return csv.replace(/\r\n$/, "");
+};
+
+// Everything needed to restore a plan exactly: the CSV rows, the settings, the
+// board and any execution progress.
+export const buildPlanJson = (
+  { name, rows, config, routes, execution = {}, sectionRules = {}, review = createReview() },
+  now = new Date()
+) =>
+  JSON.stringify(
+    {
+      format: PLAN_FORMAT,
+      version: PLAN_VERSION,
+      exportedAt: now.toISOString(),
+      name,
+      config,
+      rows,
+      routes,
+      execution,
+      sectionRules,
+      review,
+    },
+    null,
+    2
+  );
+
+export const parsePlanJson = (text) => {
+  let plan;
+  try {
+    plan = JSON.parse(text);
+  } catch {
+    throw new Error("Plan file is not valid JSON.");
+  }
+  if (!plan || plan.format !== PLAN_FORMAT) {
+    throw new Error("This file is not a consolidation plan export.");
+  }
+  if (plan.version > PLAN_VERSION) {
+    throw new Error(`Plan file version ${plan.version} is newer than this tool supports.`);
+  }
+  if (!Array.isArray(plan.rows) || !Array.isArray(plan.routes)) {
+    throw new Error("Plan file is missing its rows or routes.");
+  }
+  return {
+    name: plan.name ?? "Imported plan",
+    config: resolveConfig(plan.config),
+    rows: plan.rows,
+    routes: plan.routes,
+    execution: plan.execution ?? {},
+    sectionRules: plan.sectionRules ?? {},
+    review: resolveReview(plan.review),
+  };
+};
@@ -0,0 +1,115 @@
+import { DEFAULT_CONFIG, resolveConfig } from "./config.js";
+import { buildMoveList, movesToCsv } from "./exportPlan.js";
+import {
+  detectColumnMapping,
+  mergeImports,
+  missingRequiredFields,
+  parseDelimitedText,
+} from "./importer.js";
+import { planConsolidation, STRATEGIES } from "./plan.js";
+import { TOTE_BASIS_LABELS } from "./totes.js";
+
+// The upload form's pipeline without a browser, for the command line and the
+// local HTTP endpoint: the same delimiter sniffing and column guessing, the
+// same engine, and the plan shaped for scripts.
+
+export const RESULT_FORMAT = "consolidation-result";
+
+// Reads { name, text } files the way the import step does. With no one to
+// fix the mapping by hand, a file missing a required column is an error.
+export const importTexts = (files) => {
+  const parsed = files.map(({ name, text }) => {
+    const { headers, rows, lines } = parseDelimitedText(text);
+    return { name, headers, rows, lines, mapping: detectColumnMapping(headers) };
+  });
+  parsed.forEach((file) => {
+    const missing = missingRequiredFields(file.mapping);
+    if (missing.length > 0) {
+      throw new Error(`${file.name} has no column for ${missing.join(", ")}.`);
+    }
+  });
+  return mergeImports(parsed);
+};
+
+// Plans straight from file contents. The move list follows the suggestions,
+// one route per source consignment, as it would on an empty route board.
+// `routeLabels` names the routes, as for buildMoveList.
+export const planFromTexts = (files, config, sectionRules, routeLabels = {}) => {
+  const { rows, report } = importTexts(files);
+  const resolved = resolveConfig(config);
+  const plan = planConsolidation(rows, resolved, sectionRules);
+  const moves = buildMoveList(
+    [],
+    plan.suggestions,
+    resolved,
+    plan.consignmentSummaries,
+    routeLabels
+  );
+  return { config: resolved, report, plan, moves };
+};
+
+export const resultToJson = ({ config, report, plan, moves }) =>
+  JSON.stringify(
+    {
+      format: RESULT_FORMAT,
+      config,
+      importReport: report,
+      routesNeeded: plan.routesNeeded,
+      stats: plan.stats,
+      elimination: plan.elimination,
+      shipmentBreakdown: plan.shipmentBreakdown,
+      consignments: plan.consignmentSummaries,
+      suggestions: plan.suggestions,
+      moves,
+    },
+    null,
+    2
+  );
+
+// `labels` as for movesToCsv, e.g. the site's headers and zone names.
+export const resultToCsv = ({ moves }, labels) => movesToCsv(moves, labels);
+
+// Settings that only take one of a fixed set of values. The engine doesn't
+// know the interface's languages, so callers pass `choices.locale` in.
+const SETTING_CHOICES = {
+  toteBasis: Object.keys(TOTE_BASIS_LABELS),
+  strategy: Object.keys(STRATEGIES),
+};
+
+// Settings given as strings (command-line flags, query parameters) or read
+// from a JSON settings file, read by the type of each default. Unknown keys,
+// unreadable values and counts below 1 are errors, as in the settings panel.
+export const parseConfigOverrides = (entries, choices = {}) => {
+  const allowed = { ...SETTING_CHOICES, ...choices };
+  const config = {};
+  Object.entries(entries).forEach(([key, raw]) => {
+    if (!(key in DEFAULT_CONFIG)) {
+      throw new Error(`Unknown setting "${key}".`);
+    }
+    if (raw === null || typeof raw === "object") {
+      throw new Error(`Setting "${key}" must be a single value, got ${JSON.stringify(raw)}.`);
+    }
+    const kind = typeof DEFAULT_CONFIG[key];
+    const value = String(raw).trim();
+    if (kind === "number") {
+      const number = Number(value);
+      if (value === "" || !Number.isFinite(number)) {
+        throw new Error(`Setting "${key}" must be a number, got "${raw}".`);
+      }
+      if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`Setting "${key}" must be a whole number of at least 1, got "${raw}".`);
+      }
+      config[key] = number;
+    } else if (kind === "boolean") {
+      if (!["true", "false"].includes(value)) {
+        throw new Error(`Setting "${key}" must be true or false, got "${raw}".`);
+      }
+      config[key] = value === "true";
+    } else if (allowed[key] && !allowed[key].includes(value)) {
+      throw new Error(`Setting "${key}" must be one of ${allowed[key].join(", ")}, got "${raw}".`);
+    } else {
+      config[key] = value;
+    }
+  });
+  return config;
+};
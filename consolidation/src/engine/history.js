@@ -0,0 +1,44 @@
+// Undo/redo for a single value, e.g. the route board. Every edit pushes the
+// previous value onto `past`; undoing moves it back and parks the current one
+// in `future` until the next edit.
+export const HISTORY_LIMIT = 100;
+
+export const createHistory = (present) => ({ past: [], present, future: [] });
+
+export const pushHistory = (history, next) => {
+  if (next === history.present) return history;
+  return {
+    past: [...history.past, history.present].slice(-HISTORY_LIMIT),
+    present: next,
+    future: [],
+  };
+};
+
+// Every state in the history, past and future included, run through `update`.
+export const mapHistory = (history, update) => ({
+  past: history.past.map(update),
+  present: update(history.present),
+  future: history.future.map(update),
+});
+
+export const canUndo = (history) => history.past.length > 0;
+
+export const canRedo = (history) => history.future.length > 0;
+
+export const undoHistory = (history) => {
+  if (!canUndo(history)) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future],
+  };
+};
+
+export const redoHistory = (history) => {
+  if (!canRedo(history)) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1),
+  };
+};
@@ -0,0 +1,179 @@
+import Papa from "papaparse";
+
+// The columns the engine reads, by the header names of the standard WMS export.
+// Aliases are compared after normalising case, spacing and punctuation.
+export const IMPORT_FIELDS = [
+  {
+    key: "shipment",
+    header: "Shipment",
+    required: false,
+    aliases: ["shipment", "shipment id", "shipment no", "wave", "wave id"],
+  },
+  {
+    key: "consignment",
+    header: "Consignment",
+    required: true,
+    aliases: ["consignment", "consignment id", "consignment no", "consignment number", "cons"],
+  },
+  {
+    key: "ambient",
+    header: "Completed Totes - Ambient",
+    required: false,
+    aliases: ["completed totes ambient", "totes ambient", "ambient totes", "ambient"],
+  },
+  {
+    key: "chilled",
+    header: "Completed Totes - Chilled",
+    required: false,
+    aliases: ["completed totes chilled", "totes chilled", "chilled totes", "chilled", "chill"],
+  },
+  {
+    key: "freezer",
+    header: "Completed Totes - Freezer",
+    required: false,
+    aliases: ["completed totes freezer", "totes freezer", "freezer totes", "freezer", "frozen"],
+  },
+];
+
+const TOTE_HEADERS = IMPORT_FIELDS.filter((f) =>
+  ["ambient", "chilled", "freezer"].includes(f.key)
+).map((f) => f.header);
+
+const normaliseHeader = (header) =>
+  String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const countLineBreaks = (text) => (text.match(/\r\n|\r|\n/g) ?? []).length;
+
+// Parses CSV, TSV or semicolon-delimited text; Papa picks the delimiter.
+// `lines` holds the line each row starts on in the file, counting blank lines
+// and line breaks inside quoted values, which the row index alone would miss.
+export const parseDelimitedText = (text) => {
+  const rows = [];
+  const lines = [];
+  let counted = 0;
+  let line = 1;
+  const { meta } = Papa.parse(text, {
+    header: true,
+    skipEmptyLines: true,
+    step: ({ data, meta: rowMeta }) => {
+      // The cursor sits just past the row's own line break.
+      let end = rowMeta.cursor;
+      if (text[end - 1] === "\n") end -= 1;
+      if (text[end - 1] === "\r") end -= 1;
+      line += countLineBreaks(text.slice(counted, end));
+      counted = end;
+      const quotedBreaks = Object.values(data)
+        .flat()
+        .reduce((sum, value) => sum + countLineBreaks(String(value ?? "")), 0);
+      rows.push(data);
+      lines.push(line - quotedBreaks);
+    },
+  });
+  return { headers: meta.fields ?? [], rows, lines, delimiter: meta.delimiter };
+};
+
+// Best guess at which header feeds each field: exact alias matches first, then
+// headers that contain an alias. Fields with no match map to null.
+export const detectColumnMapping = (headers) => {
+  const normalised = headers.map((h) => ({ header: h, norm: normaliseHeader(h) }));
+  const taken = new Set();
+  const mapping = {};
+
+  const claim = (field, match) => {
+    const found = normalised.find((h) => !taken.has(h.header) && match(h.norm));
+    if (!found) return false;
+    taken.add(found.header);
+    mapping[field.key] = found.header;
+    return true;
+  };
+
+  IMPORT_FIELDS.forEach((field) => {
+    mapping[field.key] = null;
+    claim(field, (norm) => field.aliases.includes(norm));
+  });
+  IMPORT_FIELDS.forEach((field) => {
+    if (mapping[field.key]) return;
+    field.aliases.some((alias) => claim(field, (norm) => norm.includes(alias)));
+  });
+
+  return mapping;
+};
+
+// Rewrites rows to the standard headers so the rest of the engine reads them unchanged.
+export const applyColumnMapping = (rows, mapping) =>
+  rows.map((row) => {
+    const mapped = {};
+    IMPORT_FIELDS.forEach((field) => {
+      const source = mapping[field.key];
+      mapped[field.header] = source ? (row[source] ?? "") : "";
+    });
+    return mapped;
+  });
+
+// Blank, a whole number, or "completed/expected".
+export const isValidToteValue = (value) =>
+  value === undefined ||
+  value === null ||
+  String(value).trim() === "" ||
+  /^\s*\d+\s*(\/\s*\d+\s*)?$/.test(String(value));
+
+// What would be lost or misread on import. Each row can carry a { file, line }
+// reference; by default lines count from 2, the header being line 1.
+export const validateImportRows = (rows, lineRefs) => {
+  const refFor = (idx) => lineRefs?.[idx] ?? { file: null, line: idx + 2 };
+  const skipped = [];
+  const malformed = [];
+  const seen = {};
+  let accepted = 0;
+
+  rows.forEach((row, idx) => {
+    const ref = refFor(idx);
+    const consignment = String(row["Consignment"] ?? "").trim();
+    if (!consignment) {
+      skipped.push({ ...ref, code: "noConsignment", reason: "No consignment" });
+      return;
+    }
+    accepted += 1;
+
+    TOTE_HEADERS.forEach((header) => {
+      if (!isValidToteValue(row[header])) {
+        malformed.push({ ...ref, column: header, value: row[header] });
+      }
+    });
+
+    const shipment = row["Shipment"] ?? "";
+    const key = `${shipment}::${consignment}`;
+    seen[key] = seen[key] ?? { shipment, consignment, lines: [] };
+    seen[key].lines.push(ref);
+  });
+
+  const duplicates = Object.values(seen).filter((d) => d.lines.length > 1);
+  return { accepted, skipped, malformed, duplicates };
+};
+
+// Combines several mapped files into one set of rows and a single report, so
+// duplicates spanning files (e.g. one export per wave) are caught too. Each
+// file's `lines` from parseDelimitedText gives the line numbers reported.
+export const mergeImports = (files) => {
+  const rows = [];
+  const lineRefs = [];
+  const fileSummaries = [];
+
+  files.forEach(({ name, rows: fileRows, lines, mapping }) => {
+    const mapped = applyColumnMapping(fileRows, mapping);
+    fileSummaries.push({ name, rows: mapped.length });
+    mapped.forEach((row, idx) => {
+      rows.push(row);
+      lineRefs.push({ file: name, line: lines?.[idx] ?? idx + 2 });
+    });
+  });
+
+  return { rows, report: { files: fileSummaries, ...validateImportRows(rows, lineRefs) } };
+};
+
+// Fields marked required that have no column mapped.
+export const missingRequiredFields = (mapping) =>
+  IMPORT_FIELDS.filter((f) => f.required && !mapping[f.key]).map((f) => f.header);
@@ -0,0 +1,163 @@
+export { changesPlan, DEFAULT_CONFIG, DISPLAY_SETTINGS, resolveConfig } from "./config.js";
+export { parseCsvText } from "./csv.js";
+export { getColorClass, parseToteCounts, parseTotes, TOTE_BASIS_LABELS } from "./totes.js";
+export {
+  buildConsignmentsAndSections,
+  consignmentKey,
+  filterConsignmentRows,
+  getSectionTypes,
+  isTypeInProgress,
+  sectionKey,
+} from "./sections.js";
+export {
+  consignmentLabeller,
+  groupSectionsByConsignment,
+  summariseElimination,
+} from "./consignments.js";
+export { summariseShipments } from "./shipments.js";
+export { summarisePlan } from "./stats.js";
+export {
+  flattenSections,
+  generateConsolidationSuggestions,
+  NO_AVAILABLE_SECTION,
+} from "./suggestions.js";
+export { generateOptimalSuggestions } from "./optimal.js";
+export {
+  comparePlans,
+  countRoutesNeeded,
+  planConsolidation,
+  replanBoard,
+  STRATEGIES,
+  STRATEGY_LABELS,
+} from "./plan.js";
+export {
+  addRoute,
+  addSubRoute,
+  applySuggestionsToRoutes,
+  createRoutes,
+  getRouteLabel,
+  getRouteTotals,
+  getSectionTotes,
+  getSubRouteLabel,
+  isSameBoard,
+  makeBoardSection,
+  moveRoute,
+  placeSection,
+  reconcileRoutes,
+  removeFromSubRoute,
+  removeRoute,
+  removeSectionFromRoutes,
+  removeSubRoute,
+  renameRoute,
+  renameSubRoute,
+  setRouteCapacity,
+} from "./routes.js";
+export {
+  BLOCKING_ISSUES,
+  checkDrop,
+  getSubRouteValidation,
+  validateRoutes,
+} from "./validation.js";
+export {
+  buildMoveList,
+  buildPlanJson,
+  CSV_LABELS,
+  groupMovesByRoute,
+  hasBoardMoves,
+  movesToCsv,
+  parsePlanJson,
+  PLAN_FORMAT,
+} from "./exportPlan.js";
+export {
+  applyColumnMapping,
+  detectColumnMapping,
+  IMPORT_FIELDS,
+  isValidToteValue,
+  mergeImports,
+  missingRequiredFields,
+  parseDelimitedText,
+  validateImportRows,
+} from "./importer.js";
+export {
+  canRedo,
+  canUndo,
+  createHistory,
+  HISTORY_LIMIT,
+  mapHistory,
+  pushHistory,
+  redoHistory,
+  undoHistory,
+} from "./history.js";
+export {
+  applyExecutionToSummaries,
+  applyMovesToSummaries,
+  getMovedQty,
+  getMoveStatus,
+  MOVE_STATUSES,
+  moveKey,
+  setMoveStatus,
+  summariseRouteProgress,
+  withExecution,
+} from "./execution.js";
+export {
+  diffConsignments,
+  findStaleRouteSections,
+  findStaleSuggestions,
+  hasDataChanges,
+  reviewRefresh,
+} from "./refresh.js";
+export {
+  buildFillHistogram,
+  buildUtilisation,
+  summariseDashboard,
+  totesByShipment,
+} from "./dashboard.js";
+export {
+  buildSummaryRows,
+  DEFAULT_SUMMARY_VIEW,
+  filterSummaries,
+  nextSort,
+} from "./summaryTable.js";
+export {
+  cycleSectionRule,
+  getSectionRule,
+  SECTION_RULES,
+  setSectionRule,
+} from "./sectionRules.js";
+export {
+  importTexts,
+  parseConfigOverrides,
+  planFromTexts,
+  RESULT_FORMAT,
+  resultToCsv,
+  resultToJson,
+} from "./headless.js";
+export {
+  archiveDate,
+  archiveDates,
+  archiveMetrics,
+  archiveShipments,
+  buildArchiveEntry,
+  buildTrends,
+  filterArchives,
+} from "./archive.js";
+export {
+  addScenario,
+  removeScenario,
+  runScenarios,
+  SCENARIO_SETTINGS,
+  scenarioConfig,
+  scenarioProblem,
+  updateScenario,
+} from "./scenarios.js";
+export {
+  applyReviewAction,
+  availableActions,
+  createReview,
+  isBoardLocked,
+  isOwnSubmission,
+  lastTransition,
+  PLAN_STATES,
+  resolveReview,
+  REVIEW_ACTIONS,
+} from "./review.js";
@@ -0,0 +1,254 @@
+import { resolveConfig } from "./config.js";
+import { groupSectionsByConsignment } from "./consignments.js";
+import { explainNoTarget, explainPacked, explainSource } from "./explain.js";
+import { canEmptyConsignment, canReceiveTotes } from "./sectionRules.js";
+import { consignmentKey } from "./sections.js";
+import { summarisePlan } from "./stats.js";
+import {
+  flattenSections,
+  generateConsolidationSuggestions,
+  NO_AVAILABLE_SECTION,
+} from "./suggestions.js";
+
+// Search limits. The pool is how many consignments beyond the required count are
+// considered as sources; the other two cap work so large CSVs still finish.
+const SOURCE_POOL_EXTRA = 4;
+const MAX_EVALUATIONS = 3000;
+const MAX_PACKING_NODES = 2000;
+
+// Lexicographic plan order: most consignments fully emptied, then fewest unplaced
+// totes, then fewest totes moved, then fewest splits.
+const isBetter = (a, b) => {
+  if (!b) return true;
+  if (a.emptied !== b.emptied) return a.emptied > b.emptied;
+  if (a.unplaced !== b.unplaced) return a.unplaced < b.unplaced;
+  if (a.moved !== b.moved) return a.moved < b.moved;
+  return a.splits < b.splits;
+};
+
+// The same ranking figures for a finished set of suggestions.
+const scoreSuggestions = (suggestions) => {
+  const unplacedByConsignment = new Map();
+  suggestions.forEach((s) => {
+    const key = consignmentKey(s.shipment, s.sourceConsignment);
+    unplacedByConsignment.set(key, (unplacedByConsignment.get(key) ?? 0) + s.unplacedQty);
+  });
+  const { totesMoved, splitMoves, unplacedQty } = summarisePlan(suggestions);
+  return {
+    emptied: [...unplacedByConsignment.values()].filter((qty) => qty === 0).length,
+    unplaced: unplacedQty,
+    moved: totesMoved,
+    splits: splitMoves,
+  };
+};
+
+// Place each source into targets, allowing several sources to share a target.
+// Depth-first over whole-source placements; a source that fits nowhere whole
+// is split across the emptiest targets. `groupOf[i]` is the consignment source
+// i belongs to: packings leaving the fewest consignments with totes behind win,
+// then those with the fewest unplaced totes and splits.
+const packSources = (sources, groupOf, targets, capacity, allowCrossShipment) => {
+  const space = targets.map((t) => capacity - t.totes);
+  const eligible = sources.map((source) =>
+    targets
+      .map((_, idx) => idx)
+      .filter(
+        (idx) =>
+          targets[idx].type === source.type &&
+          (allowCrossShipment || targets[idx].shipment === source.shipment)
+      )
+  );
+  const assignment = [];
+  const leftByGroup = new Map();
+  let best = null;
+  let nodes = 0;
+
+  // Each count only grows deeper in the search, so a branch already behind the best is cut.
+  const isBehind = (blocked, unplaced, splits) => {
+    if (blocked !== best.blocked) return blocked > best.blocked;
+    if (unplaced !== best.unplaced) return unplaced > best.unplaced;
+    return splits >= best.splits;
+  };
+
+  const visit = (i, blocked, unplaced, splits) => {
+    if (best && isBehind(blocked, unplaced, splits)) return;
+    if (i === sources.length) {
+      best = { blocked, unplaced, splits, assignment: assignment.map((parts) => parts.slice()) };
+      return;
+    }
+    nodes += 1;
+    if (best && nodes > MAX_PACKING_NODES) return;
+
+    const source = sources[i];
+    const fits = eligible[i]
+      .filter((idx) => space[idx] >= source.totes)
+      .sort((a, b) => space[a] - space[b]);
+
+    if (fits.length > 0) {
+      // Targets with the same free space are interchangeable, so try each size once.
+      const triedSpace = new Set();
+      fits.forEach((idx) => {
+        if (triedSpace.has(space[idx])) return;
+        triedSpace.add(space[idx]);
+        space[idx] -= source.totes;
+        assignment[i] = [{ target: idx, qty: source.totes }];
+        visit(i + 1, blocked, unplaced, splits);
+        space[idx] += source.totes;
+      });
+      return;
+    }
+
+    const parts = [];
+    let left = source.totes;
+    eligible[i]
+      .filter((idx) => space[idx] > 0)
+      .sort((a, b) => space[b] - space[a])
+      .forEach((idx) => {
+        if (left === 0) return;
+        const qty = Math.min(left, space[idx]);
+        parts.push({ target: idx, qty });
+        space[idx] -= qty;
+        left -= qty;
+      });
+    assignment[i] = parts;
+    const groupLeft = leftByGroup.get(groupOf[i]) ?? 0;
+    const newlyBlocked = left > 0 && groupLeft === 0 ? 1 : 0;
+    leftByGroup.set(groupOf[i], groupLeft + left);
+    visit(i + 1, blocked + newlyBlocked, unplaced + left, splits + Math.max(0, parts.length - 1));
+    leftByGroup.set(groupOf[i], groupLeft);
+    parts.forEach((p) => {
+      space[p.target] += p.qty;
+    });
+  };
+
+  visit(0, 0, 0, 0);
+  return best;
+};
+
+// Turn a packed plan back into the grouped suggestion shape the greedy engine returns.
+const toSuggestions = (sources, targets, assignment, config) => {
+  const { sectionCapacity, allowCrossShipment } = config;
+  const runningTotals = targets.map((t) => t.totes);
+
+  return sources
+    .map((source, i) => ({ source, parts: assignment[i] }))
+    .sort((a, b) => a.source.totes - b.source.totes)
+    .map(({ source, parts }) => {
+      const moves = parts.map(({ target, qty }) => {
+        const t = targets[target];
+        runningTotals[target] += qty;
+        return {
+          toSectionId: t.id,
+          toConsignment: t.consignment,
+          toType: t.type,
+          qty,
+          newTotal: runningTotals[target],
+          toShipment: t.shipment,
+          crossShipment: t.shipment !== source.shipment,
+          ...explainPacked(sectionCapacity - runningTotals[target]),
+        };
+      });
+      const placed = parts.reduce((sum, p) => sum + p.qty, 0);
+      const unplacedQty = source.totes - placed;
+      if (unplacedQty > 0) {
+        const sameType = targets.filter(
+          (t) => t.type === source.type && (allowCrossShipment || t.shipment === source.shipment)
+        );
+        moves.push({
+          toConsignment: NO_AVAILABLE_SECTION,
+          toType: "N/A",
+          qty: unplacedQty,
+          ...explainNoTarget(source, sameType, allowCrossShipment, "allFull"),
+        });
+      }
+
+      return {
+        shipment: source.shipment,
+        sourceSectionId: source.id,
+        sourceConsignment: source.consignment,
+        sourceType: source.type,
+        totalQty: source.totes,
+        ...source.explanation,
+        moves,
+        unplaceable: unplacedQty > 0,
+        unplacedQty,
+      };
+    });
+};
+
+// Searches combinations of whole consignments drawn from the smallest ones and
+// packs all of their sections, keeping the plan that empties the most
+// consignments and then places the most totes with the least movement.
+export const generateOptimalSuggestions = (sectionsByShipment, routesNeeded, config) => {
+  if (routesNeeded <= 0) return [];
+
+  const { sectionCapacity, allowCrossShipment } = resolveConfig(config);
+  const allSections = flattenSections(sectionsByShipment).sort((a, b) => a.totes - b.totes);
+  // Consignments with a locked or excluded section are never emptied, and
+  // excluded sections never take totes.
+  const rankedGroups = groupSectionsByConsignment(allSections);
+  const groups = rankedGroups.filter(canEmptyConsignment);
+  const countToEmpty = Math.min(routesNeeded, groups.length);
+  const pool = groups.slice(0, countToEmpty + SOURCE_POOL_EXTRA);
+
+  let best = null;
+  let evaluations = 0;
+  const chosen = [];
+
+  const evaluate = () => {
+    evaluations += 1;
+    const sources = chosen
+      .flatMap((group) => group.sections)
+      .sort((a, b) => b.totes - a.totes);
+    const groupOf = sources.map((s) => chosen.findIndex((group) => group.sections.includes(s)));
+    const sourceIds = new Set(sources.map((s) => s.id));
+    const targets = allSections.filter((s) => !sourceIds.has(s.id) && canReceiveTotes(s));
+    const packed = packSources(sources, groupOf, targets, sectionCapacity, allowCrossShipment);
+    const total = sources.reduce((sum, s) => sum + s.totes, 0);
+    const candidate = {
+      emptied: chosen.length - packed.blocked,
+      unplaced: packed.unplaced,
+      moved: total - packed.unplaced,
+      splits: packed.splits,
+      sources,
+      targets,
+      assignment: packed.assignment,
+    };
+    if (isBetter(candidate, best)) best = candidate;
+  };
+
+  const choose = (start, sum) => {
+    if (evaluations >= MAX_EVALUATIONS) return;
+    if (chosen.length === countToEmpty) {
+      evaluate();
+      return;
+    }
+    const remaining = countToEmpty - chosen.length;
+    for (let i = start; i <= pool.length - remaining; i++) {
+      // The pool is sorted, so the next `remaining` consignments are the cheapest completion.
+      const lowerBound = pool
+        .slice(i, i + remaining)
+        .reduce((acc, group) => acc + group.totes, sum);
+      if (best && best.unplaced === 0 && lowerBound > best.moved) return;
+      chosen.push(pool[i]);
+      choose(i + 1, sum + pool[i].totes);
+      chosen.pop();
+    }
+  };
+
+  choose(0, 0);
+
+  // The greedy plan is a packing the search could have found, so it is the
+  // baseline: the search's plan is only used when it ranks at least as well.
+  const greedy = generateConsolidationSuggestions(sectionsByShipment, routesNeeded, config);
+  if (isBetter(scoreSuggestions(greedy), best)) return greedy;
+
+  best.sources.forEach((source) => {
+    const group = rankedGroups.find((g) => g.sections.includes(source));
+    source.explanation = explainSource(group, rankedGroups, true);
+  });
+  return toSuggestions(best.sources, best.targets, best.assignment, {
+    sectionCapacity,
+    allowCrossShipment,
+  });
+};
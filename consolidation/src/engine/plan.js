@@ -0,0 +1,80 @@
+import { resolveConfig } from "./config.js";
+import { summariseElimination } from "./consignments.js";
+import { buildConsignmentsAndSections, filterConsignmentRows } from "./sections.js";
+import { generateOptimalSuggestions } from "./optimal.js";
+import { isBoardLocked } from "./review.js";
+import { createRoutes, reconcileRoutes } from "./routes.js";
+import { summariseShipments } from "./shipments.js";
+import { summarisePlan } from "./stats.js";
+import { generateConsolidationSuggestions } from "./suggestions.js";
+
+export const STRATEGIES = {
+  greedy: generateConsolidationSuggestions,
+  optimal: generateOptimalSuggestions,
+};
+
+export const STRATEGY_LABELS = {
+  greedy: "Greedy (smallest first)",
+  optimal: "Optimal search",
+};
+
+// Routes needed to bring the number of distinct consignments down to the site limit.
+export const countRoutesNeeded = (consignmentSummaries, config) => {
+  const { maxConsignments } = resolveConfig(config);
+  const uniqueConsignments = new Set(consignmentSummaries.map((c) => c.id));
+  const count = uniqueConsignments.size;
+  return count > maxConsignments ? count - maxConsignments : 0;
+};
+
+// Full pipeline from parsed CSV rows (objects keyed by header) to a plan,
+// honouring any sections the planner has locked or excluded.
+export const planConsolidation = (rows, config, sectionRules) => {
+  const data = filterConsignmentRows(rows);
+  const { consignmentSummaries, sectionsByShipment } = buildConsignmentsAndSections(
+    data,
+    config,
+    sectionRules
+  );
+  const routesNeeded = countRoutesNeeded(consignmentSummaries, config);
+  const generate = STRATEGIES[resolveConfig(config).strategy] ?? generateConsolidationSuggestions;
+  const suggestions = generate(sectionsByShipment, routesNeeded, config);
+  const shipmentBreakdown = summariseShipments(consignmentSummaries, suggestions);
+
+  return {
+    consignmentSummaries,
+    sectionsByShipment,
+    routesNeeded,
+    suggestions,
+    shipmentBreakdown,
+    stats: summarisePlan(suggestions),
+    elimination: summariseElimination(consignmentSummaries, suggestions, config),
+  };
+};
+
+// The greedy plan for a board and the board to show with it: `keptRoutes`
+// reconciled with the new data (topped up to the routes needed when `topUp` is
+// set), or a blank board when none is kept. A board signed off in `review`
+// stays as approved, so nothing is planned and null comes back.
+export const replanBoard = (
+  rows,
+  config,
+  keptRoutes,
+  { topUp = false, sectionRules, review } = {}
+) => {
+  if (review && isBoardLocked(review)) return null;
+  const plan = planConsolidation(rows, { ...config, strategy: "greedy" }, sectionRules);
+  const { consignmentSummaries, routesNeeded } = plan;
+  const routes = keptRoutes
+    ? reconcileRoutes(keptRoutes, consignmentSummaries, topUp ? routesNeeded : 0, config)
+    : createRoutes(routesNeeded, config);
+  return { plan, routes };
+};
+
+// Runs every strategy against the same rows so their plans can be compared.
+export const comparePlans = (rows, config, sectionRules) => {
+  const plans = {};
+  Object.keys(STRATEGIES).forEach((strategy) => {
+    plans[strategy] = planConsolidation(rows, { ...config, strategy }, sectionRules);
+  });
+  return plans;
+};
@@ -0,0 +1,171 @@
+import { resolveConfig } from "./config.js";
+import { reconcileRoutes } from "./routes.js";
+import { consignmentKey, getSectionTypes, sectionKey } from "./sections.js";
+import { NO_AVAILABLE_SECTION } from "./suggestions.js";
+import { validateRoutes } from "./validation.js";
+
+// Comparing a newer export against the data the open plan was built on, so a
+// mid-shift refresh can keep the route board and show what no longer holds.
+
+const totesIn = (summariesById, shipment, consignment, type) =>
+  summariesById.get(consignmentKey(shipment, consignment))?.[`${type}Totes`] ?? 0;
+
+// What no longer holds, in English and as a code and params the interface translates.
+const problem = (kind, code, params, message) => ({ kind, code, params, message });
+
+const goneProblem = (consignment) =>
+  problem("removed", "noLongerInData", { consignment }, `${consignment} is no longer in the data`);
+
+// Consignments that appeared or disappeared, and sections whose tote count moved.
+export const diffConsignments = (before, after, config) => {
+  const types = getSectionTypes(config);
+  const beforeById = new Map(before.map((c) => [c.id, c]));
+  const afterById = new Map(after.map((c) => [c.id, c]));
+
+  const changed = [];
+  after.forEach((c) => {
+    const previous = beforeById.get(c.id);
+    if (!previous) return;
+    types.forEach((type) => {
+      const was = previous[`${type}Totes`];
+      const now = c[`${type}Totes`];
+      if (was === now) return;
+      changed.push({
+        sectionId: sectionKey(c.shipment, c.consignment, type),
+        shipment: c.shipment,
+        consignment: c.consignment,
+        type,
+        before: was,
+        after: now,
+      });
+    });
+  });
+
+  return {
+    added: after.filter((c) => !beforeById.has(c.id)),
+    removed: before.filter((c) => !afterById.has(c.id)),
+    changed,
+  };
+};
+
+export const hasDataChanges = (diff) =>
+  diff.added.length + diff.removed.length + diff.changed.length > 0;
+
+// Board sections the data no longer backs: consignments that have left the
+// export, and sections that now hold no totes.
+export const findStaleRouteSections = (routes, consignmentSummaries) => {
+  const byId = new Map(consignmentSummaries.map((c) => [c.id, c]));
+  const stale = [];
+
+  routes.forEach((route) =>
+    route.subRoutes.forEach((sr) => {
+      const items = sr.tos.map((t) => [t, "to"]);
+      if (sr.from) items.unshift([sr.from, "from"]);
+      items.forEach(([item, role]) => {
+        const base = { routeId: route.id, subRouteId: sr.id, role, sectionId: item.sectionId };
+        const { consignmentId, type } = item;
+        if (!byId.has(consignmentKey(item.shipment, consignmentId))) {
+          stale.push({ ...base, ...goneProblem(consignmentId) });
+        } else if (totesIn(byId, item.shipment, consignmentId, type) === 0) {
+          stale.push({
+            ...base,
+            ...problem(
+              "empty",
+              "nowEmpty",
+              { consignment: consignmentId, zone: type },
+              `${consignmentId} (${type}) now holds no totes`
+            ),
+          });
+        }
+      });
+    })
+  );
+  return stale;
+};
+
+// Suggestions from the current plan that the new counts break: a source that
+// has gone or no longer holds what the suggestion moves, a target that has
+// gone, or a target that the planned moves would now push past capacity.
+export const findStaleSuggestions = (suggestions, before, after, config) => {
+  const { sectionCapacity } = resolveConfig(config);
+  const beforeById = new Map(before.map((c) => [c.id, c]));
+  const afterById = new Map(after.map((c) => [c.id, c]));
+  const stale = [];
+
+  suggestions.forEach((s) => {
+    const problems = [];
+    const sourceNow = totesIn(afterById, s.shipment, s.sourceConsignment, s.sourceType);
+    if (!afterById.has(consignmentKey(s.shipment, s.sourceConsignment))) {
+      problems.push(goneProblem(s.sourceConsignment));
+    } else if (sourceNow !== s.totalQty) {
+      problems.push(
+        problem(
+          "changed",
+          "sourceChanged",
+          {
+            consignment: s.sourceConsignment,
+            zone: s.sourceType,
+            count: sourceNow,
+            was: s.totalQty,
+          },
+          `${s.sourceConsignment} (${s.sourceType}) now holds ${sourceNow} totes, not ${s.totalQty}`
+        )
+      );
+    }
+
+    s.moves
+      .filter((m) => m.toConsignment !== NO_AVAILABLE_SECTION)
+      .forEach((m) => {
+        if (!afterById.has(consignmentKey(m.toShipment, m.toConsignment))) {
+          problems.push(goneProblem(m.toConsignment));
+          return;
+        }
+        // newTotal already counts earlier moves into the same target; shift
+        // it by however much the target itself has changed.
+        const growth =
+          totesIn(afterById, m.toShipment, m.toConsignment, m.toType) -
+          totesIn(beforeById, m.toShipment, m.toConsignment, m.toType);
+        const projected = m.newTotal + growth;
+        if (projected > sectionCapacity) {
+          problems.push(
+            problem(
+              "capacity",
+              "overCapacity",
+              {
+                consignment: m.toConsignment,
+                zone: m.toType,
+                projected,
+                capacity: sectionCapacity,
+              },
+              `${m.toConsignment} (${m.toType}) would hold ${projected}/${sectionCapacity} totes`
+            )
+          );
+        }
+      });
+
+    if (problems.length > 0) {
+      stale.push({
+        sourceSectionId: s.sourceSectionId,
+        shipment: s.shipment,
+        sourceConsignment: s.sourceConsignment,
+        sourceType: s.sourceType,
+        problems,
+      });
+    }
+  });
+  return stale;
+};
+
+// Everything the planner needs to decide between keeping their board and
+// starting again from the regenerated plan.
+export const reviewRefresh = ({ before, after, routes, suggestions, config }) => {
+  const refreshedRoutes = reconcileRoutes(routes, after, 0, config);
+  return {
+    diff: diffConsignments(before, after, config),
+    staleSections: findStaleRouteSections(refreshedRoutes, after),
+    capacityIssues: validateRoutes(refreshedRoutes, config).issues.filter(
+      (i) => i.kind === "capacity"
+    ),
+    staleSuggestions: findStaleSuggestions(suggestions, before, after, config),
+  };
+};
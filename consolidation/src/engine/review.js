@@ -0,0 +1,75 @@
+// Sign-off workflow for a plan: draft → submitted → approved → executed, with
+// every transition recorded against the planner who made it. A review is
+// { state, trail: [{ action, from, to, by, at, note }] }, oldest entry first.
+
+export const PLAN_STATES = ["draft", "submitted", "approved", "executed"];
+
+// States and actions are named on screen through the i18n `review` messages.
+export const REVIEW_ACTIONS = {
+  submit: { from: ["draft"], to: "submitted" },
+  approve: { from: ["submitted"], to: "approved" },
+  return: { from: ["submitted"], to: "draft" },
+  execute: { from: ["approved"], to: "executed" },
+  reopen: { from: ["approved", "executed"], to: "draft" },
+};
+
+export const createReview = () => ({ state: "draft", trail: [] });
+
+// Sessions and plan files from before sign-off existed start as drafts.
+export const resolveReview = (review) =>
+  review && PLAN_STATES.includes(review.state)
+    ? { state: review.state, trail: Array.isArray(review.trail) ? review.trail : [] }
+    : createReview();
+
+export const availableActions = (review) =>
+  Object.keys(REVIEW_ACTIONS).filter((action) =>
+    REVIEW_ACTIONS[action].from.includes(review.state)
+  );
+
+// True when `by` is the planner who submitted the plan now awaiting review;
+// names are compared ignoring case and surrounding spaces.
+export const isOwnSubmission = (review, by) => {
+  const submitted = [...review.trail].reverse().find((e) => e.action === "submit");
+  const name = (by ?? "").trim().toLowerCase();
+  return review.state === "submitted" && Boolean(submitted) && submitted.by.toLowerCase() === name;
+};
+
+// A plan needs a second pair of eyes: whoever submitted it can't approve it.
+export const applyReviewAction = (review, action, by, note = "", now = new Date()) => {
+  const transition = REVIEW_ACTIONS[action];
+  if (!transition) {
+    throw new Error(`Unknown review action "${action}".`);
+  }
+  if (!transition.from.includes(review.state)) {
+    throw new Error(`Cannot ${action} a plan that is ${review.state}.`);
+  }
+  const name = (by ?? "").trim();
+  if (!name) {
+    throw new Error("Enter your name before changing the plan's status.");
+  }
+  if (action === "approve" && isOwnSubmission(review, name)) {
+    throw new Error("A plan must be approved by someone other than the planner who submitted it.");
+  }
+  return {
+    state: transition.to,
+    trail: [
+      ...review.trail,
+      {
+        action,
+        from: review.state,
+        to: transition.to,
+        by: name,
+        at: now.toISOString(),
+        note: note.trim(),
+      },
+    ],
+  };
+};
+
+// Approved and executed plans are what the floor works from, so the route
+// board stays as signed off until someone reopens the plan.
+export const isBoardLocked = (review) =>
+  review.state === "approved" || review.state === "executed";
+
+// The most recent entry that moved the plan into its current state.
+export const lastTransition = (review) => review.trail[review.trail.length - 1] ?? null;
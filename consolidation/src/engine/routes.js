@@ -0,0 +1,239 @@
+import { resolveConfig } from "./config.js";
+import { consignmentKey, getSectionTypes, sectionKey } from "./sections.js";
+import { NO_AVAILABLE_SECTION } from "./suggestions.js";
+
+// Empty route board: one route per needed consolidation, one sub-route per section it empties.
+export const createRoutes = (needed, config) => {
+  const { sourcesPerRoute } = resolveConfig(config);
+  const routes = [];
+  for (let i = 1; i <= needed; i++) {
+    const subRoutes = [];
+    for (let j = 1; j <= sourcesPerRoute; j++) {
+      subRoutes.push({ id: j, from: null, tos: [] });
+    }
+    routes.push({ id: i, subRoutes });
+  }
+  return routes;
+};
+
+// Totes a consignment holds in one temperature, as shown in the summary table.
+export const getSectionTotes = (consignmentSummaries, shipment, consignmentId, type) => {
+  const key = consignmentKey(shipment, consignmentId);
+  const summary = consignmentSummaries.find((c) => c.id === key);
+  if (!summary) return 0;
+  return summary[`${type}Totes`] ?? 0;
+};
+
+// A section as it sits in a From or To slot. `sectionId` is what the board
+// matches on; the rest is for display and validation.
+export const makeBoardSection = (shipment, consignmentId, type, totes) => ({
+  sectionId: sectionKey(shipment, consignmentId, type),
+  shipment,
+  consignmentId,
+  type,
+  totes,
+});
+
+// Lays grouped suggestions onto the route board: each source consignment gets
+// the next route, and each of its sections the next sub-route in that route.
+// Suggestions that do not fit the board are returned as overflow.
+export const applySuggestionsToRoutes = (routes, suggestions, consignmentSummaries) => {
+  const board = routes.map((route) => ({
+    ...route,
+    subRoutes: route.subRoutes.map((sr) => ({ ...sr, from: null, tos: [] })),
+  }));
+  const overflow = [];
+  const routeByConsignment = {};
+  const nextSubRoute = {};
+  let nextRoute = 0;
+
+  suggestions.forEach((s) => {
+    const source = consignmentKey(s.shipment, s.sourceConsignment);
+    if (routeByConsignment[source] === undefined) {
+      routeByConsignment[source] = nextRoute;
+      nextRoute += 1;
+    }
+    const routeIdx = routeByConsignment[source];
+    const route = board[routeIdx];
+    const subIdx = nextSubRoute[routeIdx] ?? 0;
+
+    if (!route || subIdx >= route.subRoutes.length) {
+      overflow.push(s);
+      return;
+    }
+    nextSubRoute[routeIdx] = subIdx + 1;
+
+    // Totes with nowhere to go stay put, so the From only carries what is placed;
+    // its `qty` keeps that cap when the board is reconciled after a re-plan.
+    const placed = s.moves.filter((m) => m.toConsignment !== NO_AVAILABLE_SECTION);
+    const placedQty = placed.reduce((sum, m) => sum + m.qty, 0);
+    route.subRoutes[subIdx] = {
+      ...route.subRoutes[subIdx],
+      from: {
+        ...makeBoardSection(s.shipment, s.sourceConsignment, s.sourceType, placedQty),
+        qty: placedQty,
+      },
+      tos: placed.map((m) => ({
+        ...makeBoardSection(
+          m.toShipment,
+          m.toConsignment,
+          m.toType,
+          getSectionTotes(consignmentSummaries, m.toShipment, m.toConsignment, m.toType)
+        ),
+        qty: m.qty,
+      })),
+    };
+  });
+
+  return { routes: board, overflow };
+};
+
+const isSection = (item, sectionId) => Boolean(item) && item.sectionId === sectionId;
+
+// A section can only sit in one slot on the board, so placing it anywhere
+// first takes it out of every From and To it currently occupies.
+export const removeSectionFromRoutes = (routes, sectionId) =>
+  routes.map((r) => ({
+    ...r,
+    subRoutes: r.subRoutes.map((sr) => ({
+      ...sr,
+      from: isSection(sr.from, sectionId) ? null : sr.from,
+      tos: sr.tos.filter((t) => !isSection(t, sectionId)),
+    })),
+  }));
+
+const updateSubRoute = (routes, routeId, subRouteId, update) =>
+  routes.map((route) => {
+    if (route.id !== routeId) return route;
+    return {
+      ...route,
+      subRoutes: route.subRoutes.map((sr) => (sr.id === subRouteId ? update(sr) : sr)),
+    };
+  });
+
+// Drops a section (see makeBoardSection) into a sub-route's From or To slot.
+export const placeSection = (routes, section, routeId, subRouteId, role) => {
+  const cleared = removeSectionFromRoutes(routes, section.sectionId);
+  return updateSubRoute(cleared, routeId, subRouteId, (sr) =>
+    role === "from" ? { ...sr, from: section } : { ...sr, tos: [...sr.tos, section] }
+  );
+};
+
+export const removeFromSubRoute = (routes, routeId, subRouteId, sectionId, role) =>
+  updateSubRoute(routes, routeId, subRouteId, (sr) => {
+    if (role === "from") {
+      return isSection(sr.from, sectionId) ? { ...sr, from: null } : sr;
+    }
+    return { ...sr, tos: sr.tos.filter((t) => !isSection(t, sectionId)) };
+  });
+
+const nextId = (items) => items.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+
+const emptySubRoutes = (count) =>
+  Array.from({ length: count }, (_, idx) => ({ id: idx + 1, from: null, tos: [] }));
+
+const updateRoute = (routes, routeId, update) =>
+  routes.map((route) => (route.id === routeId ? update(route) : route));
+
+// Ids stay stable once given out, so a deleted route's number is not reused
+// while later routes exist.
+export const addRoute = (routes, config) => [
+  ...routes,
+  { id: nextId(routes), subRoutes: emptySubRoutes(resolveConfig(config).sourcesPerRoute) },
+];
+
+export const removeRoute = (routes, routeId) => routes.filter((r) => r.id !== routeId);
+
+export const addSubRoute = (routes, routeId) =>
+  updateRoute(routes, routeId, (route) => ({
+    ...route,
+    subRoutes: [...route.subRoutes, { id: nextId(route.subRoutes), from: null, tos: [] }],
+  }));
+
+export const removeSubRoute = (routes, routeId, subRouteId) =>
+  updateRoute(routes, routeId, (route) => ({
+    ...route,
+    subRoutes: route.subRoutes.filter((sr) => sr.id !== subRouteId),
+  }));
+
+// A blank name falls back to "Route <id>" / "Sub-route <id>" on screen.
+export const renameRoute = (routes, routeId, name) =>
+  updateRoute(routes, routeId, (route) => ({ ...route, name: name.trim() || undefined }));
+
+export const renameSubRoute = (routes, routeId, subRouteId, name) =>
+  updateSubRoute(routes, routeId, subRouteId, (sr) => ({ ...sr, name: name.trim() || undefined }));
+
+// Totes the route's vehicle can carry; null clears it.
+export const setRouteCapacity = (routes, routeId, capacity) =>
+  updateRoute(routes, routeId, (route) => ({ ...route, capacity: capacity ?? undefined }));
+
+// Moves a route up (-1) or down (+1) the board.
+export const moveRoute = (routes, routeId, offset) => {
+  const from = routes.findIndex((r) => r.id === routeId);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= routes.length) return routes;
+  const next = routes.slice();
+  const [route] = next.splice(from, 1);
+  next.splice(to, 0, route);
+  return next;
+};
+
+// `defaultLabel` names an unnamed route or sub-route from its id, e.g. in the interface language.
+export const getRouteLabel = (route, defaultLabel = (id) => `Route ${id}`) =>
+  route.name || defaultLabel(route.id);
+
+export const getSubRouteLabel = (subRoute, defaultLabel = (id) => `Sub-route ${id}`) =>
+  subRoute.name || defaultLabel(subRoute.id);
+
+// Totes a route's vehicle carries: everything taken out of its From sections.
+export const getRouteTotals = (route) => {
+  const totes = route.subRoutes.reduce((sum, sr) => sum + (sr.from ? sr.from.totes : 0), 0);
+  return {
+    totes,
+    capacity: route.capacity ?? null,
+    over: route.capacity !== undefined && totes > route.capacity,
+  };
+};
+
+// Same routes, slots, sections and counts, e.g. a board a re-plan left as it was.
+export const isSameBoard = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Carries an edited board across a re-plan: tote counts are refreshed from the
+// new summaries (a From laid by a suggestion stays capped at its placed `qty`),
+// sections of a temperature no longer planned are dropped, and empty routes are
+// added until the board has at least `minRoutes`. Boards saved before sections
+// had ids get them, taking the shipment from the first consignment with that
+// number.
+export const reconcileRoutes = (routes, consignmentSummaries, minRoutes, config) => {
+  const types = getSectionTypes(config);
+  const refresh = (item, role) => {
+    if (!item || !types.includes(item.type)) return null;
+    const shipment =
+      item.shipment ??
+      consignmentSummaries.find((c) => c.consignment === item.consignmentId)?.shipment ??
+      "";
+    const totes = getSectionTotes(consignmentSummaries, shipment, item.consignmentId, item.type);
+    return {
+      ...item,
+      ...makeBoardSection(
+        shipment,
+        item.consignmentId,
+        item.type,
+        role === "from" && item.qty !== undefined ? Math.min(item.qty, totes) : totes
+      ),
+    };
+  };
+
+  let board = routes.map((route) => ({
+    ...route,
+    subRoutes: route.subRoutes.map((sr) => ({
+      ...sr,
+      from: refresh(sr.from, "from"),
+      tos: sr.tos.map((t) => refresh(t, "to")).filter(Boolean),
+    })),
+  }));
+  while (board.length < minRoutes) {
+    board = addRoute(board, config);
+  }
+  return board;
+};
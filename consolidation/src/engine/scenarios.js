@@ -0,0 +1,79 @@
+import { resolveConfig } from "./config.js";
+import { planConsolidation, STRATEGY_LABELS } from "./plan.js";
+
+// What-if variants of the site settings ("what if we only had 8 vans"), each
+// planned against the loaded data so the outcomes can be compared side by side.
+// A scenario is { id, overrides } where overrides holds only the settings the
+// planner changed; everything else follows the current settings.
+
+export const SCENARIO_SETTINGS = ["maxConsignments", "sectionCapacity", "strategy"];
+
+export const addScenario = (scenarios, overrides = {}) => {
+  const id = Math.max(0, ...scenarios.map((s) => s.id)) + 1;
+  return [...scenarios, { id, overrides }];
+};
+
+// Sets one setting on a scenario; null or "" goes back to the current setting.
+export const updateScenario = (scenarios, id, key, value) => {
+  if (!SCENARIO_SETTINGS.includes(key)) {
+    throw new Error(`Scenarios cannot change "${key}".`);
+  }
+  return scenarios.map((s) => {
+    if (s.id !== id) return s;
+    const overrides = { ...s.overrides };
+    if (value === null || value === "") {
+      delete overrides[key];
+    } else {
+      overrides[key] = value;
+    }
+    return { ...s, overrides };
+  });
+};
+
+export const removeScenario = (scenarios, id) => scenarios.filter((s) => s.id !== id);
+
+// Why a scenario can't be planned, or null: an English `message`, and a `code`
+// and `params` for the interface to translate. Caps and capacities must be
+// whole and positive.
+export const scenarioProblem = ({ overrides }) => {
+  const bad = ["maxConsignments", "sectionCapacity"].find(
+    (key) => key in overrides && !(Number.isInteger(overrides[key]) && overrides[key] > 0)
+  );
+  if (bad) {
+    return {
+      code: "notWholeNumber",
+      params: { setting: bad },
+      message: `${bad} must be a whole number above 0`,
+    };
+  }
+  if ("strategy" in overrides && !(overrides.strategy in STRATEGY_LABELS)) {
+    return {
+      code: "unknownStrategy",
+      params: { strategy: overrides.strategy },
+      message: `unknown strategy "${overrides.strategy}"`,
+    };
+  }
+  return null;
+};
+
+export const scenarioConfig = (config, scenario) =>
+  resolveConfig({ ...config, ...scenario.overrides });
+
+// Plans every scenario against the same rows. Scenarios with a problem are
+// returned with it instead of a plan.
+export const runScenarios = (rows, config, scenarios, sectionRules) =>
+  scenarios.map((scenario) => {
+    const problem = scenarioProblem(scenario);
+    if (problem) return { id: scenario.id, problem };
+    const resolved = scenarioConfig(config, scenario);
+    const plan = planConsolidation(rows, resolved, sectionRules);
+    return {
+      id: scenario.id,
+      config: resolved,
+      plan,
+      routesNeeded: plan.routesNeeded,
+      totesMoved: plan.stats.totesMoved,
+      splitMoves: plan.stats.splitMoves,
+      unplacedQty: plan.stats.unplacedQty,
+    };
+  });
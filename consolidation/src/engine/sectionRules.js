@@ -0,0 +1,35 @@
+// Planner overrides on single sections, kept as { [sectionId]: rule }:
+// - "locked": stays as it is. Never emptied, but can still take totes.
+// - "excluded": left alone entirely. Never emptied and never filled.
+// Either one keeps the whole consignment off the source list, because a
+// consignment only stops needing a route once every one of its sections is emptied.
+export const SECTION_RULES = ["locked", "excluded"];
+
+export const getSectionRule = (rules, sectionId) => rules?.[sectionId] ?? null;
+
+// Sets or clears (rule = null) a section's rule.
+export const setSectionRule = (rules, sectionId, rule) => {
+  if (rule === null) {
+    const { [sectionId]: _removed, ...rest } = rules;
+    return rest;
+  }
+  if (!SECTION_RULES.includes(rule)) {
+    throw new Error(`Unknown section rule "${rule}".`);
+  }
+  return { ...rules, [sectionId]: rule };
+};
+
+// One toggle per section cell: none -> locked -> excluded -> none.
+export const cycleSectionRule = (rules, sectionId) => {
+  const current = getSectionRule(rules, sectionId);
+  const next = current === null ? SECTION_RULES[0] : SECTION_RULES[SECTION_RULES.indexOf(current) + 1];
+  return setSectionRule(rules, sectionId, next ?? null);
+};
+
+// Consignment groups (see groupSectionsByConsignment) the engine may empty:
+// none of their sections is ruled, and none is still waiting on picks.
+export const canEmptyConsignment = (group) =>
+  group.sections.every((s) => !s.rule && !s.awaitingPicks);
+
+// Sections the engine may move totes into.
+export const canReceiveTotes = (section) => section.rule !== "excluded";
@@ -0,0 +1,111 @@
+import { resolveConfig } from "./config.js";
+import { parseToteCounts } from "./totes.js";
+
+// Temperature types a section can have; totes never move between types.
+export const getSectionTypes = (config) =>
+  resolveConfig(config).separateFreezer
+    ? ["ambient", "chill", "freezer"]
+    : ["ambient", "chill"];
+
+// Rows without a consignment number are blank or footer lines in the WMS export.
+export const filterConsignmentRows = (rows) =>
+  rows.filter((r) => r["Consignment"] && r["Consignment"].trim() !== "");
+
+const addCounts = (a, b) => ({
+  completed: a.completed + b.completed,
+  expected: a.expected + b.expected,
+});
+
+const NO_TOTES = { completed: 0, expected: 0 };
+
+// The one identity used everywhere for a consignment and for a section of it:
+// the summary table, the engine, the route board and execution tracking.
+// Consignment numbers are only unique within a shipment, so both are part of it.
+export const consignmentKey = (shipment, consignment) => `${shipment}::${consignment}`;
+
+export const sectionKey = (shipment, consignment, type) =>
+  `${consignmentKey(shipment, consignment)}::${type}`;
+
+// One section per consignment and temperature, however many CSV rows it is
+// spread over. Sections carry both counts; `totes` is whichever one the plan is
+// based on (see toteBasis in config.js), so the rest of the engine reads a
+// single number. A section is still being picked while fewer totes are
+// completed than expected. `sectionRules` are the planner's locks and
+// exclusions (see sectionRules.js), copied onto the sections they apply to.
+// On the completed basis a section with nothing picked yet has no totes and is
+// left out, so each section is flagged `awaitingPicks` while any section of its
+// consignment is still being picked: the consignment can't be emptied yet.
+export const buildConsignmentsAndSections = (data, config, sectionRules = {}) => {
+  const { separateFreezer, toteBasis } = resolveConfig(config);
+  const consMap = {};
+
+  data.forEach((row) => {
+    const shipment = row["Shipment"] || "";
+    const cons = row["Consignment"] || "";
+    const key = consignmentKey(shipment, cons);
+
+    const ambient = parseToteCounts(row["Completed Totes - Ambient"]);
+    const chilled = parseToteCounts(row["Completed Totes - Chilled"]);
+    const freezer = parseToteCounts(row["Completed Totes - Freezer"]);
+    const counts = {
+      ambient,
+      chill: separateFreezer ? chilled : addCounts(chilled, freezer),
+      freezer: separateFreezer ? freezer : NO_TOTES,
+    };
+
+    if (!consMap[key]) {
+      consMap[key] = {
+        id: key,
+        shipment,
+        consignment: cons,
+        ambientTotes: 0,
+        chillTotes: 0,
+        freezerTotes: 0,
+        progress: { ambient: NO_TOTES, chill: NO_TOTES, freezer: NO_TOTES },
+      };
+    }
+    const summary = consMap[key];
+
+    Object.entries(counts).forEach(([type, count]) => {
+      summary[`${type}Totes`] += count[toteBasis];
+      summary.progress = { ...summary.progress, [type]: addCounts(summary.progress[type], count) };
+    });
+  });
+
+  const consignmentSummaries = Object.values(consMap);
+  const sectionsByShipment = {};
+  consignmentSummaries.forEach((summary) => {
+    const { shipment, consignment } = summary;
+    if (!sectionsByShipment[shipment]) {
+      sectionsByShipment[shipment] = [];
+    }
+    const awaitingPicks =
+      toteBasis === "completed" &&
+      getSectionTypes(config).some((type) => isTypeInProgress(summary, type));
+    getSectionTypes(config).forEach((type) => {
+      const totes = summary[`${type}Totes`];
+      if (totes <= 0) return;
+      const { completed, expected } = summary.progress[type];
+      const sectionId = sectionKey(shipment, consignment, type);
+      sectionsByShipment[shipment].push({
+        sectionId,
+        consignment,
+        type,
+        totes,
+        completed,
+        expected,
+        inProgress: completed < expected,
+        awaitingPicks,
+        rule: sectionRules[sectionId] ?? null,
+      });
+    });
+  });
+
+  return { consignmentSummaries, sectionsByShipment };
+};
+
+// True when any of a consignment's sections of this type is still being picked.
+export const isTypeInProgress = (summary, type) => {
+  const count = summary?.progress?.[type];
+  return Boolean(count) && count.completed < count.expected;
+};
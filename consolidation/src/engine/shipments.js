@@ -0,0 +1,42 @@
+// Per-shipment view of a plan: how many sections each shipment has to empty,
+// the routes that takes (one per source consignment), and the totes left without a target.
+export const summariseShipments = (consignmentSummaries, suggestions) => {
+  const byShipment = {};
+  const sourceConsignments = {};
+
+  const entryFor = (shipment) => {
+    if (!byShipment[shipment]) {
+      byShipment[shipment] = {
+        shipment,
+        consignments: 0,
+        sources: 0,
+        routesNeeded: 0,
+        totesToMove: 0,
+        unplacedQty: 0,
+        crossShipmentQty: 0,
+      };
+    }
+    return byShipment[shipment];
+  };
+
+  consignmentSummaries.forEach((c) => {
+    entryFor(c.shipment).consignments += 1;
+  });
+
+  suggestions.forEach((s) => {
+    const entry = entryFor(s.shipment);
+    entry.sources += 1;
+    sourceConsignments[s.shipment] = sourceConsignments[s.shipment] ?? new Set();
+    sourceConsignments[s.shipment].add(s.sourceConsignment);
+    entry.totesToMove += s.totalQty;
+    entry.unplacedQty += s.unplacedQty;
+    s.moves.forEach((m) => {
+      if (m.crossShipment) entry.crossShipmentQty += m.qty;
+    });
+  });
+
+  return Object.values(byShipment).map((entry) => ({
+    ...entry,
+    routesNeeded: sourceConsignments[entry.shipment]?.size ?? 0,
+  }));
+};
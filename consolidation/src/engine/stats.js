@@ -0,0 +1,20 @@
+import { NO_AVAILABLE_SECTION } from "./suggestions.js";
+
+// Headline numbers for comparing plans: totes actually placed, sources split
+// across more than one target, and totes left with nowhere to go.
+export const summarisePlan = (suggestions) => {
+  let totesMoved = 0;
+  let splitMoves = 0;
+  let unplacedQty = 0;
+
+  suggestions.forEach((s) => {
+    const placed = s.moves.filter((m) => m.toConsignment !== NO_AVAILABLE_SECTION);
+    placed.forEach((m) => {
+      totesMoved += m.qty;
+    });
+    splitMoves += Math.max(0, placed.length - 1);
+    unplacedQty += s.unplacedQty ?? 0;
+  });
+
+  return { sources: suggestions.length, totesMoved, splitMoves, unplacedQty };
+};
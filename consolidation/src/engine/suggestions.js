@@ -0,0 +1,152 @@
+import { resolveConfig } from "./config.js";
+import { groupSectionsByConsignment } from "./consignments.js";
+import { explainBestFit, explainMostSpace, explainNoTarget, explainSource } from "./explain.js";
+import { canEmptyConsignment, canReceiveTotes } from "./sectionRules.js";
+
+export const NO_AVAILABLE_SECTION = "NO AVAILABLE SECTION";
+
+// Every section with totes, tagged with its shipment, as one flat simulation array.
+export const flattenSections = (sectionsByShipment) => {
+  const allSections = [];
+  Object.entries(sectionsByShipment).forEach(([shipment, sections]) => {
+    sections.forEach((section) => {
+      if (section.totes > 0) {
+        allSections.push({
+          ...section,
+          shipment,
+          simulatedTotes: section.totes,
+          id: section.sectionId,
+          isSource: false,
+        });
+      }
+    });
+  });
+  return allSections;
+};
+
+export const generateConsolidationSuggestions = (
+  sectionsByShipment,
+  routesNeeded,
+  config
+) => {
+  if (routesNeeded <= 0) return [];
+
+  const { sectionCapacity: MAX_CAPACITY, allowCrossShipment } = resolveConfig(config);
+  const groupedSuggestions = [];
+  const usedSectionIds = new Set(); // Track globally used sections
+
+  // 1. Flatten into simulation array
+  let allSections = flattenSections(sectionsByShipment);
+
+  // 2. Identify Sources: the smallest whole consignments, one per route needed.
+  // Every section of a chosen consignment is emptied, so it no longer needs a route.
+  // Consignments with a locked or excluded section are never emptied.
+  const sources = [];
+  const rankedGroups = groupSectionsByConsignment(allSections);
+  rankedGroups
+    .filter(canEmptyConsignment)
+    .slice(0, routesNeeded)
+    .forEach((group) => {
+      const explanation = explainSource(group, rankedGroups);
+      group.sections.forEach((section) => {
+        section.isSource = true;
+        section.explanation = explanation;
+        usedSectionIds.add(section.id);
+        sources.push(section);
+      });
+    });
+
+  // Process the smallest sections first
+  allSections.sort((a, b) => a.totes - b.totes);
+  sources.sort((a, b) => a.totes - b.totes);
+
+  // 3. Process each source to find targets
+  sources.forEach((source) => {
+    let totesToMove = source.totes;
+    let unplacedQty = 0;
+    const moves = [];
+
+    while (totesToMove > 0) {
+      // Targets must NOT be a source AND must NOT have been used as a target for another move yet
+      // This ensures a 1-to-1 or Many-to-1 relationship where a section is only touched once.
+      // Targets must also share the source's temperature; ambient and chill never mix.
+      // Unless cross-shipment moves are allowed, they must also be in the source's shipment.
+      // Sections a planner has excluded never take totes.
+      const sameType = allSections.filter(
+        (s) =>
+          s.type === source.type &&
+          (allowCrossShipment || s.shipment === source.shipment) &&
+          !s.isSource &&
+          canReceiveTotes(s)
+      );
+      let candidates = sameType.filter(
+        (s) => !usedSectionIds.has(s.id) && s.simulatedTotes < MAX_CAPACITY
+      );
+
+      if (candidates.length === 0) {
+        moves.push({
+          toConsignment: NO_AVAILABLE_SECTION,
+          toType: "N/A",
+          qty: totesToMove,
+          ...explainNoTarget(source, sameType, allowCrossShipment, "allFullOrUsed"),
+        });
+        unplacedQty = totesToMove;
+        totesToMove = 0;
+        break;
+      }
+
+      candidates.forEach((c) => {
+        c.spaceAvailable = MAX_CAPACITY - c.simulatedTotes;
+      });
+
+      let bestTarget = null;
+      let candidatesThatFitAll = candidates.filter((c) => c.spaceAvailable >= totesToMove);
+      const fitsAll = candidatesThatFitAll.length > 0;
+
+      if (fitsAll) {
+        candidatesThatFitAll.sort((a, b) => a.spaceAvailable - b.spaceAvailable);
+        bestTarget = candidatesThatFitAll[0];
+      } else {
+        candidates.sort((a, b) => b.spaceAvailable - a.spaceAvailable);
+        bestTarget = candidates[0];
+      }
+
+      if (bestTarget) {
+        const moveAmount = Math.min(totesToMove, bestTarget.spaceAvailable);
+        const freeAfter = bestTarget.spaceAvailable - moveAmount;
+
+        moves.push({
+          toSectionId: bestTarget.id,
+          toConsignment: bestTarget.consignment,
+          toType: bestTarget.type,
+          qty: moveAmount,
+          newTotal: bestTarget.simulatedTotes + moveAmount,
+          toShipment: bestTarget.shipment,
+          crossShipment: bestTarget.shipment !== source.shipment,
+          ...(fitsAll
+            ? explainBestFit(freeAfter)
+            : explainMostSpace(totesToMove, bestTarget.spaceAvailable)),
+        });
+
+        // Mark this target as used so it cannot be a source or another target
+        usedSectionIds.add(bestTarget.id);
+        bestTarget.simulatedTotes += moveAmount;
+        totesToMove -= moveAmount;
+      }
+    }
+
+    groupedSuggestions.push({
+      shipment: source.shipment,
+      sourceSectionId: source.id,
+      sourceConsignment: source.consignment,
+      sourceType: source.type,
+      totalQty: source.totes,
+      ...source.explanation,
+      moves: moves,
+      unplaceable: unplacedQty > 0,
+      unplacedQty,
+    });
+  });
+
+  return groupedSuggestions;
+};
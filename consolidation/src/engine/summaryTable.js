@@ -0,0 +1,92 @@
+import { getSectionTypes } from "./sections.js";
+import { getColorClass } from "./totes.js";
+
+// Sorting, filtering and shipment subtotals for the consignment summary table.
+// The rows keep the summary objects themselves, so anything that works on a
+// summary (dragging, selecting) works the same on a filtered view.
+
+export const DEFAULT_SUMMARY_VIEW = {
+  search: "",
+  shipment: "", // "" for every shipment
+  unassignedOnly: false,
+  overThreshold: false,
+  sortKey: null, // null keeps the export's order
+  sortDir: "asc",
+};
+
+const sortValue = (summary, key) =>
+  key === "shipment" || key === "consignment" ? summary[key] : summary[`${key}Totes`] ?? 0;
+
+const compareSummaries = (key) => (a, b) => {
+  const x = sortValue(a, key);
+  const y = sortValue(b, key);
+  if (typeof x === "number") return x - y;
+  return String(x).localeCompare(String(y), undefined, { numeric: true });
+};
+
+// A section the colour thresholds mark orange or red.
+const isOverThreshold = (summary, types, config) =>
+  types.some((type) => getColorClass(summary[`${type}Totes`] ?? 0, config) !== "green");
+
+// Clicking a column sorts it ascending, clicking again flips it, and a third
+// click goes back to the export's order.
+export const nextSort = (view, key) => {
+  if (view.sortKey !== key) return { ...view, sortKey: key, sortDir: "asc" };
+  if (view.sortDir === "asc") return { ...view, sortDir: "desc" };
+  return { ...view, sortKey: null, sortDir: "asc" };
+};
+
+export const filterSummaries = (consignmentSummaries, view, { config, isAssigned } = {}) => {
+  const types = getSectionTypes(config);
+  const search = view.search.trim().toLowerCase();
+  return consignmentSummaries.filter((c) => {
+    if (view.shipment && c.shipment !== view.shipment) return false;
+    if (
+      search &&
+      !c.consignment.toLowerCase().includes(search) &&
+      !String(c.shipment).toLowerCase().includes(search)
+    ) {
+      return false;
+    }
+    if (view.unassignedOnly && isAssigned?.(c)) return false;
+    if (view.overThreshold && !isOverThreshold(c, types, config)) return false;
+    return true;
+  });
+};
+
+// The table's rows: consignments grouped by shipment and sorted within each
+// group, with a subtotal row after each shipment when more than one is shown.
+// Sorting by shipment orders the groups themselves.
+export const buildSummaryRows = (consignmentSummaries, view, options = {}) => {
+  const types = getSectionTypes(options.config);
+  const filtered = filterSummaries(consignmentSummaries, view, options);
+
+  const groups = [];
+  filtered.forEach((c) => {
+    let group = groups.find((g) => g.shipment === c.shipment);
+    if (!group) {
+      group = { shipment: c.shipment, summaries: [] };
+      groups.push(group);
+    }
+    group.summaries.push(c);
+  });
+
+  const direction = view.sortDir === "desc" ? -1 : 1;
+  if (view.sortKey === "shipment") {
+    groups.sort((a, b) => direction * compareSummaries("shipment")(a.summaries[0], b.summaries[0]));
+  } else if (view.sortKey) {
+    const compare = compareSummaries(view.sortKey);
+    groups.forEach((g) => g.summaries.sort((a, b) => direction * compare(a, b)));
+  }
+
+  const withSubtotals = groups.length > 1;
+  return groups.flatMap((g) => {
+    const rows = g.summaries.map((summary) => ({ kind: "consignment", summary }));
+    if (!withSubtotals) return rows;
+    const totals = {};
+    types.forEach((type) => {
+      totals[type] = g.summaries.reduce((sum, c) => sum + (c[`${type}Totes`] ?? 0), 0);
+    });
+    return [...rows, { kind: "subtotal", shipment: g.shipment, count: g.summaries.length, totals }];
+  });
+};
@@ -0,0 +1,31 @@
+import { resolveConfig } from "./config.js";
+
+// "12/30" -> { completed: 12, expected: 30 }. A plain count is taken as finished.
+export const parseToteCounts = (value) => {
+  if (!value) return { completed: 0, expected: 0 };
+  const [done, total] = String(value).split("/");
+  const completed = parseInt(done, 10);
+  const expected = total === undefined ? completed : parseInt(total, 10);
+  return {
+    completed: Number.isNaN(completed) ? 0 : completed,
+    expected: Number.isNaN(expected) ? 0 : expected,
+  };
+};
+
+// Helper: parse "0/30" -> 30
+export const parseTotes = (value) => parseToteCounts(value).expected;
+
+// Which count a plan works from: "expected" reserves room for totes still being
+// picked, "completed" only moves what is already in the section.
+export const TOTE_BASIS_LABELS = {
+  expected: "Expected totes (reserve room)",
+  completed: "Completed totes (move now)",
+};
+
+// Helper: color based on totes
+export const getColorClass = (totes, config) => {
+  const { orangeFrom, redFrom } = resolveConfig(config);
+  if (totes < orangeFrom) return "green";
+  if (totes < redFrom) return "orange";
+  return "red";
+};
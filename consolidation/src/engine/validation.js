@@ -0,0 +1,142 @@
+import { resolveConfig } from "./config.js";
+import { placeSection } from "./routes.js";
+
+const subRouteKey = (routeId, subRouteId) => `${routeId}:${subRouteId}`;
+
+// Issues that make a move impossible on the floor; drops causing them are refused.
+export const BLOCKING_ISSUES = new Set(["temperature"]);
+
+// Works out where every From's totes land and what each To section ends up
+// holding, then lists the problems on each sub-route. Each issue has an
+// English `message` and a `code` with `params` for the interface to translate:
+// - "capacity": a To would be filled past section capacity
+// - "temperature": a To is a different temperature from its From
+// - "fromAlsoTo": a section is being emptied and filled at the same time
+// Tos that came from suggestions carry their own qty; hand-dropped Tos are
+// filled in order, with anything left over landing on the last hand-dropped
+// one. A suggested qty is never topped up past what was planned.
+export const validateRoutes = (routes, config) => {
+  const { sectionCapacity } = resolveConfig(config);
+  const incoming = {};
+  const allocations = {};
+  const fromKeys = new Set();
+  const toKeys = new Set();
+
+  routes.forEach((route) =>
+    route.subRoutes.forEach((sr) => {
+      if (sr.from) fromKeys.add(sr.from.sectionId);
+      sr.tos.forEach((t) => toKeys.add(t.sectionId));
+
+      let remaining = sr.from ? sr.from.totes : 0;
+      const qtys = sr.tos.map((t) => {
+        if (!sr.from) return 0;
+        const key = t.sectionId;
+        let qty;
+        if (t.qty !== undefined) {
+          qty = Math.min(t.qty, remaining);
+        } else {
+          const room = sectionCapacity - t.totes - (incoming[key] ?? 0);
+          qty = Math.min(remaining, Math.max(0, room));
+        }
+        remaining -= qty;
+        incoming[key] = (incoming[key] ?? 0) + qty;
+        return qty;
+      });
+      const last = sr.tos.findLastIndex((t) => t.qty === undefined);
+      if (remaining > 0 && last !== -1) {
+        qtys[last] += remaining;
+        const key = sr.tos[last].sectionId;
+        incoming[key] = (incoming[key] ?? 0) + remaining;
+      }
+      allocations[subRouteKey(route.id, sr.id)] = qtys;
+    })
+  );
+
+  const bySubRoute = {};
+  const issues = [];
+
+  routes.forEach((route) =>
+    route.subRoutes.forEach((sr) => {
+      const key = subRouteKey(route.id, sr.id);
+      const subIssues = [];
+      const addIssue = (kind, code, params, message) => {
+        const issue = { routeId: route.id, subRouteId: sr.id, kind, code, params, message };
+        subIssues.push(issue);
+        issues.push(issue);
+      };
+
+      const projections = sr.tos.map((t, idx) => {
+        const projected = t.totes + (incoming[t.sectionId] ?? 0);
+        return {
+          consignmentId: t.consignmentId,
+          type: t.type,
+          totes: t.totes,
+          qty: allocations[key][idx],
+          projected,
+          over: projected > sectionCapacity,
+        };
+      });
+
+      if (sr.from && toKeys.has(sr.from.sectionId)) {
+        const { consignmentId, type } = sr.from;
+        addIssue(
+          "fromAlsoTo",
+          "emptiedAndFilled",
+          { consignment: consignmentId, zone: type },
+          `${consignmentId} (${type}) is being emptied here and filled elsewhere`
+        );
+      }
+      sr.tos.forEach((t, idx) => {
+        if (sr.from && t.type !== sr.from.type) {
+          addIssue(
+            "temperature",
+            "temperature",
+            {
+              consignment: t.consignmentId,
+              zone: t.type,
+              fromConsignment: sr.from.consignmentId,
+              fromZone: sr.from.type,
+            },
+            `${t.consignmentId} is ${t.type} but ${sr.from.consignmentId} is ${sr.from.type}`
+          );
+        }
+        if (fromKeys.has(t.sectionId)) {
+          addIssue(
+            "fromAlsoTo",
+            "filledAndEmptied",
+            { consignment: t.consignmentId, zone: t.type },
+            `${t.consignmentId} (${t.type}) is being filled here and emptied elsewhere`
+          );
+        }
+        if (projections[idx].over) {
+          const { projected } = projections[idx];
+          addIssue(
+            "capacity",
+            "overCapacity",
+            { consignment: t.consignmentId, zone: t.type, projected, capacity: sectionCapacity },
+            `${t.consignmentId} (${t.type}) would hold ${projected}/${sectionCapacity} totes`
+          );
+        }
+      });
+
+      bySubRoute[key] = { projections, issues: subIssues };
+    })
+  );
+
+  return { bySubRoute, issues };
+};
+
+// Looks up one sub-route's projections and issues from a validateRoutes result.
+export const getSubRouteValidation = (validation, routeId, subRouteId) =>
+  validation.bySubRoute[subRouteKey(routeId, subRouteId)] ?? { projections: [], issues: [] };
+
+// Previews a drop: the issues it would leave on the receiving sub-route, and
+// whether any of them should stop the drop outright.
+export const checkDrop = (routes, section, routeId, subRouteId, role, config) => {
+  const next = placeSection(routes, section, routeId, subRouteId, role);
+  const { issues } = getSubRouteValidation(validateRoutes(next, config), routeId, subRouteId);
+  return {
+    issues,
+    blocked: issues.some((issue) => BLOCKING_ISSUES.has(issue.kind)),
+  };
+};
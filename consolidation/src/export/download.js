@@ -0,0 +1,17 @@
+// Saves text as a file through a temporary object URL.
+export const downloadFile = (filename, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// "wave1.csv" -> "wave1-plan.json"
+export const planFilename = (sourceName, extension) => {
+  const base = (sourceName || "consolidation").replace(/\.[^.]+$/, "");
+  return `${base}-plan.${extension}`;
+};
@@ -0,0 +1,173 @@
+import { describe, expect, it } from "vitest";
+import {
+  buildMoveList,
+  createRoutes,
+  CSV_LABELS,
+  makeBoardSection,
+  movesToCsv,
+  placeSection,
+  validateRoutes,
+} from "../../engine/index.js";
+import {
+  createTranslator,
+  csvLabels,
+  describeEntry,
+  describeMessage,
+  LOCALES,
+  parseUnit,
+} from "../index.js";
+
+// Dotted keys of every message, with { one, other } plurals counted as one key.
+const messageKeys = (messages, prefix = "") =>
+  Object.entries(messages).flatMap(([key, value]) =>
+    typeof value === "object" && !("other" in value)
+      ? messageKeys(value, `${prefix}${key}.`)
+      : [`${prefix}${key}`]
+  );
+
+const suggestions = [
+  {
+    shipment: "S1",
+    sourceSectionId: "S1::C01::chill",
+    sourceConsignment: "C01",
+    sourceType: "chill",
+    totalQty: 3,
+    moves: [
+      {
+        toSectionId: "S1::C05::chill",
+        toShipment: "S1",
+        toConsignment: "C05",
+        toType: "chill",
+        qty: 3,
+      },
+    ],
+  },
+];
+
+describe("locales", () => {
+  it("translate every English message", () => {
+    const english = messageKeys(LOCALES.en.messages);
+    Object.values(LOCALES).forEach(({ messages }) => {
+      expect(messageKeys(messages)).toEqual(english);
+    });
+  });
+});
+
+describe("createTranslator", () => {
+  it("fills in params and the site's labels", () => {
+    const i18n = createTranslator({});
+    expect(i18n.t("summary.overThreshold", { count: 20 })).toBe("Over 20 totes");
+    expect(i18n.t("summary.ambientTotes")).toBe("Ambient totes");
+    expect(i18n.t("no.such.key")).toBe("no.such.key");
+  });
+
+  it("picks the plural form by count", () => {
+    const i18n = createTranslator({});
+    expect(i18n.totes(1)).toBe("1 tote");
+    expect(i18n.totes(12)).toBe("12 totes");
+    expect(i18n.t("summary.subtotal", { count: 1 })).toBe("1 consignment");
+  });
+
+  it("uses the site's words for zones and containers", () => {
+    const i18n = createTranslator({
+      ambientLabel: "dry",
+      chillLabel: " ",
+      toteUnit: "crate/crates",
+      sectionUnit: "cage",
+    });
+    expect(i18n.zone("ambient")).toBe("dry");
+    expect(i18n.zone("chill")).toBe("chill");
+    expect(i18n.t("summary.ambientTotes")).toBe("Dry crates");
+    expect(i18n.totes(1)).toBe("1 crate");
+    expect(i18n.t("routes.dropTo")).toBe("Drop cage here (multiple allowed)");
+  });
+
+  it("formats numbers and names routes in the chosen language", () => {
+    const i18n = createTranslator({ locale: "fr" });
+    // The group separator is a no-break space, narrow or not depending on the ICU version.
+    expect(i18n.formatNumber(1234.5)).toMatch(/^1\s234,5$/);
+    expect(i18n.totes(2)).toBe("2 bacs");
+    expect(i18n.zone("freezer")).toBe("surgelé");
+    expect(i18n.routeLabels.route(3)).toBe("Tournée 3");
+  });
+
+  it("writes ordinals and days in the chosen language", () => {
+    expect([1, 2, 3, 4, 11, 22].map(createTranslator({}).ordinal)).toEqual([
+      "1st",
+      "2nd",
+      "3rd",
+      "4th",
+      "11th",
+      "22nd",
+    ]);
+    const french = createTranslator({ locale: "fr" });
+    expect([1, 2].map(french.ordinal)).toEqual(["1er", "2e"]);
+    expect(french.formatDay("2026-10-19")).toBe("19/10/2026");
+  });
+
+  it("falls back to English for an unknown locale", () => {
+    expect(createTranslator({ locale: "xx" }).locale).toBe("en");
+  });
+});
+
+describe("parseUnit", () => {
+  it("reads singular/plural and treats a single word as both", () => {
+    expect(parseUnit("crate / crates")).toEqual({ one: "crate", other: "crates" });
+    expect(parseUnit("cage")).toEqual({ one: "cage", other: "cage" });
+    expect(parseUnit("")).toBeNull();
+  });
+});
+
+describe("describeEntry", () => {
+  it("describes a review trail entry with its note", () => {
+    const i18n = createTranslator({ locale: "fr" });
+    expect(describeEntry(i18n, { action: "approve", by: "Sam", note: "" })).toBe(
+      "Approuvé par Sam"
+    );
+    const entry = { action: "return", by: "Sam", note: "Recount" };
+    expect(describeEntry(createTranslator({}), entry)).toBe("Sent back to draft by Sam: Recount");
+  });
+});
+
+describe("describeMessage", () => {
+  it("translates the engine's board issues with the site's labels", () => {
+    const from = makeBoardSection("S1", "C01", "chill", 4);
+    let routes = placeSection(createRoutes(1), from, 1, 1, "from");
+    routes = placeSection(routes, makeBoardSection("S1", "C02", "ambient", 10), 1, 1, "to");
+    const [issue] = validateRoutes(routes).issues;
+    const i18n = createTranslator({ locale: "fr", chillLabel: "froid" });
+    expect(describeMessage(i18n, issue, issue.message)).toBe(
+      "C02 est en ambiant mais C01 est en froid"
+    );
+  });
+
+  it("reads ranks as ordinals and keeps English text that has no code", () => {
+    const why = { code: "source", params: { rank: 2, count: 1, skipped: "" } };
+    expect(describeMessage(createTranslator({ toteUnit: "crate/crates" }), why)).toBe(
+      "Source: 2nd smallest consignment (1 crate)"
+    );
+    expect(describeMessage(createTranslator({}), undefined, "archived reason")).toBe(
+      "archived reason"
+    );
+  });
+});
+
+describe("csvLabels", () => {
+  it("keeps the English export headers by default", () => {
+    expect(csvLabels(createTranslator({})).columns).toEqual(CSV_LABELS.columns);
+  });
+
+  it("carries the site's labels into the move list CSV", () => {
+    const i18n = createTranslator({
+      locale: "fr",
+      chillLabel: "froid",
+      toteUnit: "caisse/caisses",
+    });
+    const moves = buildMoveList(createRoutes(1), suggestions, undefined, [], i18n.routeLabels);
+    expect(movesToCsv(moves, csvLabels(i18n)).split("\r\n")).toEqual([
+      "Tournée,Sous-tournée,Expédition,Envoi d'origine,Expédition de destination," +
+        "Envoi de destination,Température,Caisses",
+      "1,1,S1,C01,S1,C05,froid,3",
+    ]);
+  });
+});
@@ -0,0 +1,148 @@
+import { resolveConfig } from "../engine/config.js";
+import { en } from "./locales/en.js";
+import { fr } from "./locales/fr.js";
+
+// Interface text per locale, with the site's own words for temperature zones
+// and containers filled in. Messages are nested objects looked up by dotted
+// key; "{name}" is replaced from the params, and a message given as
+// { one, other } is picked by the `count` param. Every message can use the
+// site's labels: {tote}/{totes}, {section}/{sections}, {ambient}, {chill},
+// {freezer}, and capitalised forms such as {Totes} and {Ambient}.
+//
+// The engine keeps its messages in English for the CLI and exports, and
+// returns each with a code and params that describeMessage translates.
+
+export const LOCALES = {
+  en: { name: "English", intl: "en-GB", messages: en },
+  fr: { name: "Français", intl: "fr-FR", messages: fr },
+};
+
+export const DEFAULT_LOCALE = "en";
+
+const ZONES = ["ambient", "chill", "freezer"];
+
+const lookup = (messages, key) => key.split(".").reduce((node, part) => node?.[part], messages);
+
+const interpolate = (text, values) =>
+  text.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+
+const capitalise = (text) => text.charAt(0).toLocaleUpperCase() + text.slice(1);
+
+// "crate/crates" -> { one: "crate", other: "crates" }; a single word is used for both.
+export const parseUnit = (text) => {
+  const [one, other] = String(text ?? "")
+    .split("/")
+    .map((part) => part.trim());
+  if (!one) return null;
+  return { one, other: other || one };
+};
+
+export const createTranslator = (config) => {
+  const resolved = resolveConfig(config);
+  const locale = LOCALES[resolved.locale] ? resolved.locale : DEFAULT_LOCALE;
+  const { intl, messages } = LOCALES[locale];
+  const fallback = LOCALES[DEFAULT_LOCALE].messages;
+  const plurals = new Intl.PluralRules(intl);
+  const ordinals = new Intl.PluralRules(intl, { type: "ordinal" });
+  const numbers = new Intl.NumberFormat(intl, { maximumFractionDigits: 1 });
+
+  const zones = {};
+  ZONES.forEach((type) => {
+    const custom = String(resolved[`${type}Label`] ?? "").trim();
+    zones[type] = custom || lookup(messages, `zones.${type}`);
+  });
+  const tote = parseUnit(resolved.toteUnit) ?? lookup(messages, "units.tote");
+  const section = parseUnit(resolved.sectionUnit) ?? lookup(messages, "units.section");
+
+  const labels = {
+    tote: tote.one,
+    totes: tote.other,
+    section: section.one,
+    sections: section.other,
+    ...zones,
+  };
+  Object.entries({ ...labels }).forEach(([name, value]) => {
+    labels[capitalise(name)] = capitalise(value);
+  });
+
+  const formatNumber = (n) => numbers.format(n);
+
+  const t = (key, params = {}) => {
+    let message = lookup(messages, key) ?? lookup(fallback, key);
+    if (message === undefined) return key;
+    if (typeof message === "object") {
+      message = message[plurals.select(params.count ?? 0)] ?? message.other;
+    }
+    const values = { ...labels };
+    Object.entries(params).forEach(([name, value]) => {
+      values[name] = typeof value === "number" ? formatNumber(value) : value;
+    });
+    return interpolate(message, values);
+  };
+
+  return {
+    locale,
+    intl,
+    t,
+    // What the site calls a temperature zone, e.g. "dry" for ambient.
+    zone: (type) => zones[type] ?? type,
+    // "12 crates", "1 crate"
+    totes: (count) => t("units.toteCount", { count }),
+    formatNumber,
+    formatDateTime: (iso) => new Date(iso).toLocaleString(intl),
+    formatTime: (iso) => new Date(iso).toLocaleTimeString(intl),
+    // A local "YYYY-MM-DD" day, in full or as day and month only.
+    formatDay: (day, short = false) => {
+      const [year, month, date] = day.split("-").map(Number);
+      const options = short ? { day: "numeric", month: "numeric" } : {};
+      return new Date(year, month - 1, date).toLocaleDateString(intl, options);
+    },
+    // "1st", "2nd"; "1er", "2e"
+    ordinal: (n) => {
+      const forms = lookup(messages, "units.ordinal");
+      return interpolate(forms[ordinals.select(n)] ?? forms.other, { n: formatNumber(n) });
+    },
+    // Default names for routes and sub-routes the planner hasn't named.
+    routeLabels: {
+      route: (id) => t("routes.defaultRoute", { id: String(id) }),
+      subRoute: (id) => t("routes.defaultSubRoute", { id: String(id) }),
+    },
+  };
+};
+
+// Column headers and temperature names for the move list CSV.
+export const csvLabels = (i18n) => ({
+  columns: {
+    route: i18n.t("csv.route"),
+    subRoute: i18n.t("csv.subRoute"),
+    shipment: i18n.t("csv.shipment"),
+    from: i18n.t("csv.from"),
+    toShipment: i18n.t("csv.toShipment"),
+    to: i18n.t("csv.to"),
+    temperature: i18n.t("csv.temperature"),
+    qty: i18n.t("csv.qty"),
+  },
+  temperature: i18n.zone,
+});
+
+// "Approved by Sam: checked with the floor" for one review trail entry.
+export const describeEntry = (i18n, entry) => {
+  const what = i18n.t(`review.entries.${entry.action}`, { name: entry.by });
+  return entry.note ? i18n.t("review.entryNote", { entry: what, note: entry.note }) : what;
+};
+
+// An engine message, given as { code, params }, in the site's language.
+// `zone` params are temperatures, `rank` is an ordinal and `setting` a
+// settings field. Messages without a code, e.g. from plans archived before
+// codes existed, keep their English `fallback`.
+export const describeMessage = (i18n, message, fallback) => {
+  if (!message?.code) return fallback;
+  const values = {};
+  Object.entries(message.params ?? {}).forEach(([name, value]) => {
+    if (/zone$/i.test(name)) values[name] = i18n.zone(value);
+    else if (name === "rank") values[name] = i18n.ordinal(value);
+    else if (name === "setting") values[name] = i18n.t(`settings.${value}`);
+    else values[name] = value;
+  });
+  return i18n.t(`engine.${message.code}`, values);
+};
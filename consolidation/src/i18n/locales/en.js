@@ -0,0 +1,438 @@
+// English interface text. Keys are grouped by the part of the screen they
+// belong to; see src/i18n/index.js for placeholders and plurals.
+export const en = {
+  zones: { ambient: "ambient", chill: "chill", freezer: "freezer" },
+  units: {
+    tote: { one: "tote", other: "totes" },
+    section: { one: "section", other: "sections" },
+    toteCount: { one: "{count} {tote}", other: "{count} {totes}" },
+    ordinal: { one: "{n}st", two: "{n}nd", few: "{n}rd", other: "{n}th" },
+  },
+  common: {
+    backToPlanning: "Back to planning",
+    cancel: "Cancel",
+    delete: "Delete",
+    andMore: "…and {count} more",
+    shipment: "Shipment",
+    consignment: "Consignment",
+    consignments: "Consignments",
+    file: "File",
+    routes: "Routes",
+    temperature: "Temperature",
+    allShipments: "All shipments",
+  },
+  app: {
+    title: "Consignment Consolidation Tool",
+    subtitle:
+      "Upload one or more CSV or TSV exports to view consignment loads, consolidation suggestions, and routes.",
+    session: "Session:",
+    autosaved: "autosaved in this browser",
+    autosaveFailed: "not saved: browser storage is full or unavailable",
+    archivedAt: "archived {time}",
+    untitledPlan: "Untitled plan",
+    archiveFailed: "Could not archive the plan: browser storage is full or unavailable.",
+    importReadFailed: "Could not read {file}; nothing was imported.",
+    replaceBoard: "Replace the current route board with the suggestions?",
+    suggestionsDidNotFit: {
+      one: "{count} suggestion did not fit the board: {list}",
+      other: "{count} suggestions did not fit the board: {list}",
+    },
+    dropRefused: "Drop refused: {issues}",
+    boardLocked: "The plan is {state}; reopen it to change the route board.",
+    boardLockedBy: "The plan is {state} ({name}); reopen it to change the route board.",
+  },
+  controls: {
+    refreshData: "Refresh data",
+    refreshDataHint: "Load a newer export of the same data, keeping the route board",
+    separateFreezer: "Keep {freezer} separate from {chill}",
+    allowCrossShipment: "Allow cross-shipment moves",
+    strategy: "Strategy",
+    planOn: "Plan on",
+    showSettings: "Site settings",
+    hideSettings: "Hide settings",
+    showScenarios: "What-if scenarios",
+    hideScenarios: "Hide what-ifs",
+    showSessions: "Sessions",
+    hideSessions: "Hide sessions",
+    dashboard: "Dashboard",
+    execution: "Execution mode",
+    history: "History",
+    clear: "Clear",
+    printSheet: "Print pick sheet",
+    exportCsv: "Export CSV",
+    exportJson: "Export JSON",
+    importPlan: "Import plan",
+    archivePlan: "Archive plan",
+  },
+  strategies: { greedy: "Greedy (smallest first)", optimal: "Optimal search" },
+  toteBasis: {
+    expected: "Expected {totes} (reserve room)",
+    completed: "Completed {totes} (move now)",
+  },
+  summary: {
+    title: "Consignment Summary",
+    search: "Search consignment or shipment",
+    searchLabel: "Search consignments",
+    filterShipment: "Filter by shipment",
+    unassignedOnly: "Unassigned only",
+    overThreshold: "Over {count} {totes}",
+    ambientTotes: "{Ambient} {totes}",
+    chillTotes: "{Chill} {totes}",
+    chillFreezerTotes: "{Chill}+{Freezer} {totes}",
+    freezerTotes: "{Freezer} {totes}",
+    noMatches: "No consignments match the filters.",
+    subtotal: { one: "{count} consignment", other: "{count} consignments" },
+    dragHint: "Drag the {zone} {section} to a route, or select it and choose a slot",
+    sectionAria: "{zone} {section} of {consignment}, {amount}",
+    sectionAriaAssigned: "{zone} {section} of {consignment}, {amount}, assigned",
+    picked: "{completed}/{expected} picked",
+    ruleHint: "Lock or exclude this {section}",
+    ruleAria: "{zone} {section} of {consignment}: {rule}. Change lock or exclusion",
+    noRule: "no rule",
+  },
+  sectionRules: {
+    locked: "Locked",
+    excluded: "Excluded",
+    hints: {
+      locked: "Locked: never emptied, can still take {totes}",
+      excluded: "Excluded: never emptied or filled",
+    },
+  },
+  routes: {
+    title: "Routes",
+    needed: "(needed: {count})",
+    noneNeeded: "(no consolidation routes needed)",
+    noneRequired:
+      "Total consignments ≤ {count}. No additional consolidation routes are required.",
+    applySuggestions: "Apply suggestions to routes",
+    addRoute: "Add route",
+    undo: "Undo",
+    undoHint: "Undo (Ctrl+Z)",
+    redo: "Redo",
+    redoHint: "Redo (Ctrl+Shift+Z)",
+    selected: "Selected",
+    selectedDetail: "({zone}, {amount}). Choose a From or To slot below.",
+    issues: { one: "{count} issue on the board", other: "{count} issues on the board" },
+    help:
+      "New routes start with {count} sub-routes; add, remove, rename and reorder them as needed. Drag one {section} into From and one or more into To, or select a {section} in the summary (click, tap or Enter) and choose a slot.",
+    defaultRoute: "Route {id}",
+    defaultSubRoute: "Sub-route {id}",
+    routeNameAria: "Name of route {id} (driver, vehicle or dock door)",
+    totals: "{loaded} {totes}",
+    totalsOf: "{loaded}/{capacity} {totes}",
+    totalsHint: "{Totes} collected from this route's From {sections}",
+    vehicle: "Vehicle",
+    vehicleAria: "Vehicle capacity in {totes} for {route}",
+    moveUp: "Move up",
+    moveUpAria: "Move {route} up",
+    moveDown: "Move down",
+    moveDownAria: "Move {route} down",
+    addSubRoute: "+ Sub-route",
+    addSubRouteHint: "Add sub-route",
+    addSubRouteAria: "Add a sub-route to {route}",
+    removeRoute: "Remove route",
+    removeRouteAria: "Remove {route}",
+    subRouteNameAria: "Name of sub-route {id} on {route}",
+    removeSubRoute: "Remove sub-route",
+    removeSubRouteAria: "Remove {subRoute} from {route}",
+    from: "From",
+    to: "To",
+    fromSlotAria: "{route}, {subRoute}, From slot",
+    toSlotAria: "{route}, {subRoute}, To slot",
+    placeHere: "Place here",
+    placeAria: "Place {item} ({zone}) as From on {route}, {subRoute}",
+    addHere: "Add here",
+    addAria: "Add {item} ({zone}) as a To on {route}, {subRoute}",
+    slotItem: "{Totes} - {item} ({zone})",
+    removeFrom: "Remove from",
+    removeFromAria: "Remove {item} ({zone}) from the From slot",
+    removeTo: "Remove to",
+    removeToAria: "Remove {item} ({zone}) from the To slot",
+    dropFrom: "Drop a {section} here",
+    dropTo: "Drop {sections} here (multiple allowed)",
+    projectedHint: "Projected {totes} after this move",
+  },
+  suggestions: {
+    title: "Consolidation Suggestions",
+    consignments: "Consignments:",
+    target: "(target {count})",
+    emptied: "Emptied: {list}",
+    blocked: "Cannot be fully emptied: {list}",
+    crossShipmentWarning:
+      "Cross-shipment moves are allowed. Check that mixed shipments can travel together before acting on these suggestions.",
+    unplacedTotes: "Unplaced {totes}",
+    none: "No consolidation suggestions.",
+    moveFrom: "Move From",
+    toAvailable: "To (Available {Sections})",
+    inShipment: "Shipment {shipment}",
+    unplaceable: "{amount} have no {zone} {section} to go to",
+    to: "to",
+    crossShipmentHint: "Target is in shipment {shipment}",
+  },
+  comparison: {
+    plan: "Plan",
+    planning: "Planning…",
+    totesMoved: "{Totes} moved",
+    splitMoves: "Split moves",
+    unplaced: "Unplaced {totes}",
+  },
+  dashboard: {
+    consignments: "Consignments",
+    totesMoved: "{Totes} moved",
+    splitMoves: "Split moves",
+    unplaced: "Unplaced {totes}",
+    fillTitle: "{Section} fill levels",
+    fillAria: "Histogram of {section} fill levels per temperature",
+    fillBar: "{zone} {band} {totes}: {count} {sections}",
+    shipmentTitle: "{Totes} per shipment",
+    shipmentAria: "Total {totes} per shipment",
+    shipmentBar: "{shipment} {zone}: {amount}",
+    utilisationTitle: "Utilisation before and after the plan",
+    utilisationNote:
+      "Grey is now, colour is after the current plan; the dashed line is {section} capacity of {amount}.",
+    utilisationAria: "{Section} utilisation before and after the plan",
+    utilisationNow: "{consignment} {zone} now: {amount}",
+    utilisationAfter: "{consignment} {zone} after plan: {amount}",
+    capacity: "{Section} capacity",
+  },
+  moveStatus: {
+    pending: "Pending",
+    inProgress: "In progress",
+    done: "Done",
+    short: "Short",
+  },
+  execution: {
+    empty: "No moves planned yet. Build a plan, then switch to execution mode.",
+    routeProgress: "{finished}/{moves} moves · {moved}/{planned} {totes}",
+    routeShort: " · {count} short",
+    progressAria: "{route} progress",
+    moveDetail: "{subRoute} · {zone} · {amount}",
+    movedShort: " (moved {count})",
+    actualAria: "{Totes} actually moved from {from} to {to}",
+    save: "Save",
+    start: "Start",
+    done: "Done",
+    short: "Short…",
+    reset: "Reset",
+    liveTitle: "Consignment {totes} after recorded moves",
+    was: " (was {count})",
+  },
+  import: {
+    title: "Import {name}",
+    titleFiles: "Import {count} files",
+    fileRows: "{name} · {count} rows",
+    notInFile: "(not in file)",
+    willImport: "{count} rows will be imported",
+    skippedCount: ", {count} skipped",
+    chooseColumn: "{name}: choose a column for {fields}.",
+    skipped: "Skipped rows",
+    malformed: "Unreadable {tote} values (counted as 0)",
+    duplicates: "Consignments on more than one row ({totes} are added together)",
+    line: "line {line}",
+    fileLine: "{file} line {line}",
+    confirm: "Import {count} rows",
+  },
+  refresh: {
+    title: "Refresh from {name}",
+    unchanged: "The new data matches the current plan; nothing has changed.",
+    added: "Consignments added",
+    removed: "Consignments removed",
+    inShipment: "{consignment} in shipment {shipment}",
+    changed: "{Tote} counts changed",
+    staleSections: "Route board {sections} no longer valid",
+    capacity: "Routes now over capacity",
+    staleSuggestions: "Suggestions no longer valid",
+    keepBoard: "Keep my route board",
+    acceptPlan: "Accept regenerated plan",
+    note:
+      "Keeping the board updates its {tote} counts and marks the {sections} above; accepting the regenerated plan replaces the board with the new data's suggestions.",
+  },
+  sessions: {
+    empty: "No saved sessions yet. Upload a CSV to start one.",
+    started: "Started",
+    lastSaved: "Last saved",
+    open: "Open",
+    duplicate: "Duplicate",
+    confirmDelete: 'Delete the session "{name}"?',
+  },
+  settings: {
+    profile: "Site profile",
+    unsaved: "(unsaved)",
+    profileName: "Profile name",
+    saveProfile: "Save profile",
+    maxConsignments: "Consignment limit",
+    maxConsignmentsHint: "Consignments dispatched without consolidating",
+    sectionCapacity: "{Section} capacity",
+    sectionCapacityHint: "{Totes} one {section} holds",
+    sourcesPerRoute: "Sub-routes per route",
+    sourcesPerRouteHint: "{Sections} of a consignment each route empties",
+    orangeFrom: "Orange from",
+    orangeFromHint: "{Totes} at which a cell turns orange",
+    redFrom: "Red from",
+    redFromHint: "{Totes} at which a cell turns red",
+    bandsOutOfOrder: "Red from ({red}) must be higher than orange from ({orange}).",
+    language: "Language",
+    labelsHint: "Leave empty to use the language's own words.",
+    zoneLabel: "Name for {zone}",
+    toteUnit: "Container (one/many)",
+    sectionUnit: "{Section} (one/many)",
+  },
+  history: {
+    empty: "No archived plans yet. Use “Archive plan” once a plan is final to start a history.",
+    day: "Day",
+    allDays: "All days",
+    consolidatedTitle: "Consignments consolidated per day",
+    consolidated: "Consignments consolidated",
+    avgMovedTitle: "Average {totes} moved per plan",
+    avgMoved: "Average {totes} moved",
+    unplacedTitle: "Unplaced {totes} per day",
+    unplaced: "Unplaced {totes}",
+    perDay: "{label} per day",
+    bar: { one: "{date}: {value} ({count} plan)", other: "{date}: {value} ({count} plans)" },
+    archivedPlans: "Archived plans",
+    noMatches: "No archived plans match these filters.",
+    archived: "Archived",
+    shipments: "Shipments",
+    totesMoved: "{Totes} moved",
+    unplacedShort: "Unplaced",
+    details: "Details",
+    hide: "Hide",
+    confirmDelete: 'Delete the archived plan "{name}"?',
+    settings: "{strategy} · max {max} consignments per route · {section} capacity {amount}",
+    crossShipment: " · cross-shipment moves allowed",
+    contents: "{consignments} consignments · {suggestions} suggestions · {routes} routes used on the board",
+    noMoves: "No moves in this plan.",
+    route: "Route",
+    from: "From",
+    to: "To",
+    qty: "{Totes}",
+  },
+  scenarios: {
+    scenario: "Scenario",
+    maxConsignments: "Consignment limit",
+    sectionCapacity: "{Section} capacity",
+    strategy: "Strategy",
+    routes: "Routes",
+    totesMoved: "{Totes} moved",
+    splitMoves: "Split moves",
+    unplaced: "Unplaced",
+    current: "Current settings",
+    currentStrategy: "(current)",
+    notRun: "Not run yet",
+    cannotPlan: "Can't plan: {problem}",
+    makeActive: "Make active",
+    makeActiveHint: "Plan with these settings from now on",
+    remove: "Remove",
+    add: "Add scenario",
+    run: "Run scenarios",
+    running: "Running…",
+    stale: "Data, settings or scenarios changed since the last run; run again to compare.",
+    describeCap: "{count} consignments",
+    describeCapacity: "{count} {totes} per {section}",
+  },
+  review: {
+    states: {
+      draft: "Draft",
+      submitted: "Submitted for review",
+      approved: "Approved",
+      executed: "Executed",
+    },
+    stateNames: {
+      draft: "a draft",
+      submitted: "submitted",
+      approved: "approved",
+      executed: "executed",
+    },
+    actions: {
+      submit: "Submit for review",
+      approve: "Approve",
+      return: "Send back",
+      execute: "Mark executed",
+      reopen: "Reopen",
+    },
+    entries: {
+      submit: "Submitted for review by {name}",
+      approve: "Approved by {name}",
+      return: "Sent back to draft by {name}",
+      execute: "Marked executed by {name}",
+      reopen: "Reopened by {name}",
+    },
+    entryNote: "{entry}: {note}",
+    yourName: "Your name",
+    plannerName: "Planner name",
+    note: "Note (optional)",
+    noteLabel: "Review note",
+    needName: "Enter your name before changing the plan's status.",
+    ownApproval: "A plan must be approved by someone other than the planner who submitted it.",
+  },
+  print: {
+    title: "Consolidation moves",
+    titleNamed: "Consolidation moves – {name}",
+    fromBoard: "From the route board",
+    fromSuggestions: "From consolidation suggestions",
+    printed: "printed {time}",
+    stillPickingNote:
+      'Sections marked "still picking" are not finished; check the {totes} before moving.',
+    noMoves: "No moves planned.",
+    subRoute: "Sub‑route",
+    from: "From",
+    to: "To",
+    qty: "{Totes}",
+    done: "Done",
+    stillPicking: "still picking",
+    trailEntry: "{time}: {entry}",
+  },
+  csv: {
+    route: "Route",
+    subRoute: "Sub-route",
+    shipment: "Shipment",
+    from: "From Consignment",
+    toShipment: "To Shipment",
+    to: "To Consignment",
+    temperature: "Temperature",
+    qty: "{Totes}",
+  },
+  // Messages the engine returns as a code and params; see describeMessage.
+  engine: {
+    source: {
+      one: "Source: {rank} smallest consignment ({count} {tote})",
+      other: "Source: {rank} smallest consignment ({count} {totes})",
+    },
+    sourceSkipped: {
+      one:
+        "Source: {rank} smallest consignment ({count} {tote}); skipped locked or excluded {skipped}",
+      other:
+        "Source: {rank} smallest consignment ({count} {totes}); skipped locked or excluded {skipped}",
+    },
+    sourceBySearch: {
+      one: "Source: {rank} smallest consignment ({count} {tote}), picked by optimal search",
+      other: "Source: {rank} smallest consignment ({count} {totes}), picked by optimal search",
+    },
+    sourceBySearchSkipped: {
+      one:
+        "Source: {rank} smallest consignment ({count} {tote}), picked by optimal search; skipped locked or excluded {skipped}",
+      other:
+        "Source: {rank} smallest consignment ({count} {totes}), picked by optimal search; skipped locked or excluded {skipped}",
+    },
+    bestFit: "Target: best fit, {free} free after the move",
+    mostSpace: "Target: none fits all {count}, most free space ({space})",
+    packed: "Target: packed by optimal search, {free} free after the move",
+    noSections: "No target: no other {zone} {sections}",
+    noSectionsInShipment: "No target: no other {zone} {sections} in shipment {shipment}",
+    allFull: "No target: all remaining {zone} {sections} are full",
+    allFullOrUsed: "No target: all remaining {zone} {sections} are full or already used",
+    emptiedAndFilled: "{consignment} ({zone}) is being emptied here and filled elsewhere",
+    filledAndEmptied: "{consignment} ({zone}) is being filled here and emptied elsewhere",
+    temperature: "{consignment} is {zone} but {fromConsignment} is {fromZone}",
+    overCapacity: "{consignment} ({zone}) would hold {projected}/{capacity} {totes}",
+    noLongerInData: "{consignment} is no longer in the data",
+    nowEmpty: "{consignment} ({zone}) now holds no {totes}",
+    sourceChanged: {
+      one: "{consignment} ({zone}) now holds {count} {tote}, not {was}",
+      other: "{consignment} ({zone}) now holds {count} {totes}, not {was}",
+    },
+    noConsignment: "No consignment",
+    notWholeNumber: "{setting} must be a whole number above 0",
+    unknownStrategy: "unknown strategy “{strategy}”",
+  },
+};
@@ -0,0 +1,453 @@
+// French interface text; same keys as en.js.
+export const fr = {
+  zones: { ambient: "ambiant", chill: "frais", freezer: "surgelé" },
+  units: {
+    tote: { one: "bac", other: "bacs" },
+    section: { one: "section", other: "sections" },
+    toteCount: { one: "{count} {tote}", other: "{count} {totes}" },
+    ordinal: { one: "{n}er", other: "{n}e" },
+  },
+  common: {
+    backToPlanning: "Retour à la planification",
+    cancel: "Annuler",
+    delete: "Supprimer",
+    andMore: "…et {count} de plus",
+    shipment: "Expédition",
+    consignment: "Envoi",
+    consignments: "Envois",
+    file: "Fichier",
+    routes: "Tournées",
+    temperature: "Température",
+    allShipments: "Toutes les expéditions",
+  },
+  app: {
+    title: "Outil de consolidation des envois",
+    subtitle:
+      "Chargez un ou plusieurs exports CSV ou TSV pour voir la charge des envois, les suggestions de consolidation et les tournées.",
+    session: "Session :",
+    autosaved: "enregistrée automatiquement dans ce navigateur",
+    autosaveFailed: "non enregistrée : le stockage du navigateur est plein ou indisponible",
+    archivedAt: "archivée à {time}",
+    untitledPlan: "Plan sans titre",
+    archiveFailed:
+      "Impossible d'archiver le plan : le stockage du navigateur est plein ou indisponible.",
+    importReadFailed: "Impossible de lire {file} ; rien n'a été importé.",
+    replaceBoard: "Remplacer le tableau des tournées par les suggestions ?",
+    suggestionsDidNotFit: {
+      one: "{count} suggestion n'a pas trouvé de place sur le tableau : {list}",
+      other: "{count} suggestions n'ont pas trouvé de place sur le tableau : {list}",
+    },
+    dropRefused: "Dépôt refusé : {issues}",
+    boardLocked: "Le plan est {state} ; rouvrez-le pour modifier le tableau des tournées.",
+    boardLockedBy:
+      "Le plan est {state} ({name}) ; rouvrez-le pour modifier le tableau des tournées.",
+  },
+  controls: {
+    refreshData: "Actualiser les données",
+    refreshDataHint:
+      "Charger un export plus récent des mêmes données en gardant le tableau des tournées",
+    separateFreezer: "Séparer {freezer} et {chill}",
+    allowCrossShipment: "Autoriser les mouvements entre expéditions",
+    strategy: "Stratégie",
+    planOn: "Planifier sur",
+    showSettings: "Paramètres du site",
+    hideSettings: "Masquer les paramètres",
+    showScenarios: "Scénarios",
+    hideScenarios: "Masquer les scénarios",
+    showSessions: "Sessions",
+    hideSessions: "Masquer les sessions",
+    dashboard: "Tableau de bord",
+    execution: "Mode exécution",
+    history: "Historique",
+    clear: "Effacer",
+    printSheet: "Imprimer la feuille de prélèvement",
+    exportCsv: "Exporter en CSV",
+    exportJson: "Exporter en JSON",
+    importPlan: "Importer un plan",
+    archivePlan: "Archiver le plan",
+  },
+  strategies: { greedy: "Glouton (plus petits d'abord)", optimal: "Recherche optimale" },
+  toteBasis: {
+    expected: "{Totes} prévus (réserver la place)",
+    completed: "{Totes} terminés (déplacer maintenant)",
+  },
+  summary: {
+    title: "Récapitulatif des envois",
+    search: "Rechercher un envoi ou une expédition",
+    searchLabel: "Rechercher des envois",
+    filterShipment: "Filtrer par expédition",
+    unassignedOnly: "Non affectés uniquement",
+    overThreshold: "Plus de {count} {totes}",
+    ambientTotes: "{Totes} {ambient}",
+    chillTotes: "{Totes} {chill}",
+    chillFreezerTotes: "{Totes} {chill}+{freezer}",
+    freezerTotes: "{Totes} {freezer}",
+    noMatches: "Aucun envoi ne correspond aux filtres.",
+    subtotal: { one: "{count} envoi", other: "{count} envois" },
+    dragHint:
+      "Faites glisser la {section} {zone} vers une tournée, ou sélectionnez-la puis choisissez un emplacement",
+    sectionAria: "{Section} {zone} de {consignment}, {amount}",
+    sectionAriaAssigned: "{Section} {zone} de {consignment}, {amount}, affectée",
+    picked: "{completed}/{expected} prélevés",
+    ruleHint: "Verrouiller ou exclure cette {section}",
+    ruleAria:
+      "{Section} {zone} de {consignment} : {rule}. Modifier le verrouillage ou l'exclusion",
+    noRule: "aucune règle",
+  },
+  sectionRules: {
+    locked: "Verrouillée",
+    excluded: "Exclue",
+    hints: {
+      locked: "Verrouillée : jamais vidée, peut encore recevoir des {totes}",
+      excluded: "Exclue : jamais vidée ni remplie",
+    },
+  },
+  routes: {
+    title: "Tournées",
+    needed: "(nécessaires : {count})",
+    noneNeeded: "(aucune tournée de consolidation nécessaire)",
+    noneRequired:
+      "Total des envois ≤ {count}. Aucune tournée de consolidation supplémentaire n'est nécessaire.",
+    applySuggestions: "Appliquer les suggestions aux tournées",
+    addRoute: "Ajouter une tournée",
+    undo: "Annuler",
+    undoHint: "Annuler (Ctrl+Z)",
+    redo: "Rétablir",
+    redoHint: "Rétablir (Ctrl+Maj+Z)",
+    selected: "Sélection :",
+    selectedDetail: "({zone}, {amount}). Choisissez un emplacement Depuis ou Vers ci-dessous.",
+    issues: {
+      one: "{count} problème sur le tableau",
+      other: "{count} problèmes sur le tableau",
+    },
+    help:
+      "Les nouvelles tournées commencent avec {count} sous-tournées ; ajoutez-en, supprimez-les, renommez-les et réordonnez-les selon les besoins. Faites glisser une {section} dans Depuis et une ou plusieurs dans Vers, ou sélectionnez une {section} dans le récapitulatif (clic, toucher ou Entrée) puis choisissez un emplacement.",
+    defaultRoute: "Tournée {id}",
+    defaultSubRoute: "Sous-tournée {id}",
+    routeNameAria: "Nom de la tournée {id} (chauffeur, véhicule ou quai)",
+    totals: "{loaded} {totes}",
+    totalsOf: "{loaded}/{capacity} {totes}",
+    totalsHint: "{Totes} collectés depuis les {sections} Depuis de cette tournée",
+    vehicle: "Véhicule",
+    vehicleAria: "Capacité du véhicule en {totes} pour {route}",
+    moveUp: "Monter",
+    moveUpAria: "Monter {route}",
+    moveDown: "Descendre",
+    moveDownAria: "Descendre {route}",
+    addSubRoute: "+ Sous-tournée",
+    addSubRouteHint: "Ajouter une sous-tournée",
+    addSubRouteAria: "Ajouter une sous-tournée à {route}",
+    removeRoute: "Supprimer la tournée",
+    removeRouteAria: "Supprimer {route}",
+    subRouteNameAria: "Nom de la sous-tournée {id} de {route}",
+    removeSubRoute: "Supprimer la sous-tournée",
+    removeSubRouteAria: "Supprimer {subRoute} de {route}",
+    from: "Depuis",
+    to: "Vers",
+    fromSlotAria: "{route}, {subRoute}, emplacement Depuis",
+    toSlotAria: "{route}, {subRoute}, emplacement Vers",
+    placeHere: "Placer ici",
+    placeAria: "Placer {item} ({zone}) en Depuis sur {route}, {subRoute}",
+    addHere: "Ajouter ici",
+    addAria: "Ajouter {item} ({zone}) en Vers sur {route}, {subRoute}",
+    slotItem: "{Totes} - {item} ({zone})",
+    removeFrom: "Retirer de Depuis",
+    removeFromAria: "Retirer {item} ({zone}) de l'emplacement Depuis",
+    removeTo: "Retirer de Vers",
+    removeToAria: "Retirer {item} ({zone}) de l'emplacement Vers",
+    dropFrom: "Déposez une {section} ici",
+    dropTo: "Déposez des {sections} ici (plusieurs possibles)",
+    projectedHint: "{Totes} prévus après ce mouvement",
+  },
+  suggestions: {
+    title: "Suggestions de consolidation",
+    consignments: "Envois :",
+    target: "(objectif {count})",
+    emptied: "Vidés : {list}",
+    blocked: "Ne peuvent pas être entièrement vidés : {list}",
+    crossShipmentWarning:
+      "Les mouvements entre expéditions sont autorisés. Vérifiez que les expéditions mélangées peuvent voyager ensemble avant d'appliquer ces suggestions.",
+    unplacedTotes: "{Totes} non placés",
+    none: "Aucune suggestion de consolidation.",
+    moveFrom: "Déplacer depuis",
+    toAvailable: "Vers ({Sections} disponibles)",
+    inShipment: "Expédition {shipment}",
+    unplaceable: "{amount} n'ont aucune {section} {zone} où aller",
+    to: "vers",
+    crossShipmentHint: "La cible est dans l'expédition {shipment}",
+  },
+  comparison: {
+    plan: "Plan",
+    planning: "Planification…",
+    totesMoved: "{Totes} déplacés",
+    splitMoves: "Mouvements fractionnés",
+    unplaced: "{Totes} non placés",
+  },
+  dashboard: {
+    consignments: "Envois",
+    totesMoved: "{Totes} déplacés",
+    splitMoves: "Mouvements fractionnés",
+    unplaced: "{Totes} non placés",
+    fillTitle: "Remplissage des {sections}",
+    fillAria: "Histogramme du remplissage des {sections} par température",
+    fillBar: "{zone} {band} {totes} : {count} {sections}",
+    shipmentTitle: "{Totes} par expédition",
+    shipmentAria: "Total des {totes} par expédition",
+    shipmentBar: "{shipment} {zone} : {amount}",
+    utilisationTitle: "Occupation avant et après le plan",
+    utilisationNote:
+      "Le gris est l'état actuel, la couleur l'état après le plan ; la ligne pointillée est la capacité d'une {section}, soit {amount}.",
+    utilisationAria: "Occupation des {sections} avant et après le plan",
+    utilisationNow: "{consignment} {zone} maintenant : {amount}",
+    utilisationAfter: "{consignment} {zone} après le plan : {amount}",
+    capacity: "Capacité d'une {section}",
+  },
+  moveStatus: {
+    pending: "À faire",
+    inProgress: "En cours",
+    done: "Fait",
+    short: "Incomplet",
+  },
+  execution: {
+    empty:
+      "Aucun mouvement planifié. Construisez un plan, puis passez en mode exécution.",
+    routeProgress: "{finished}/{moves} mouvements · {moved}/{planned} {totes}",
+    routeShort: " · {count} incomplets",
+    progressAria: "Avancement de {route}",
+    moveDetail: "{subRoute} · {zone} · {amount}",
+    movedShort: " ({count} déplacés)",
+    actualAria: "{Totes} réellement déplacés de {from} vers {to}",
+    save: "Enregistrer",
+    start: "Commencer",
+    done: "Fait",
+    short: "Incomplet…",
+    reset: "Réinitialiser",
+    liveTitle: "{Totes} par envoi après les mouvements enregistrés",
+    was: " (avant : {count})",
+  },
+  import: {
+    title: "Importer {name}",
+    titleFiles: "Importer {count} fichiers",
+    fileRows: "{name} · {count} lignes",
+    notInFile: "(absent du fichier)",
+    willImport: "{count} lignes seront importées",
+    skippedCount: ", {count} ignorées",
+    chooseColumn: "{name} : choisissez une colonne pour {fields}.",
+    skipped: "Lignes ignorées",
+    malformed: "Nombres de {totes} illisibles (comptés comme 0)",
+    duplicates: "Envois présents sur plusieurs lignes (les {totes} sont additionnés)",
+    line: "ligne {line}",
+    fileLine: "{file} ligne {line}",
+    confirm: "Importer {count} lignes",
+  },
+  refresh: {
+    title: "Actualiser depuis {name}",
+    unchanged: "Les nouvelles données correspondent au plan actuel ; rien n'a changé.",
+    added: "Envois ajoutés",
+    removed: "Envois supprimés",
+    inShipment: "{consignment} dans l'expédition {shipment}",
+    changed: "Nombres de {totes} modifiés",
+    staleSections: "{Sections} du tableau des tournées devenues invalides",
+    capacity: "Tournées désormais au-delà de leur capacité",
+    staleSuggestions: "Suggestions devenues invalides",
+    keepBoard: "Garder mon tableau des tournées",
+    acceptPlan: "Accepter le plan recalculé",
+    note:
+      "Garder le tableau met à jour ses nombres de {totes} et signale les {sections} ci-dessus ; accepter le plan recalculé remplace le tableau par les suggestions des nouvelles données.",
+  },
+  sessions: {
+    empty: "Aucune session enregistrée. Chargez un CSV pour en commencer une.",
+    started: "Commencée",
+    lastSaved: "Dernier enregistrement",
+    open: "Ouvrir",
+    duplicate: "Dupliquer",
+    confirmDelete: "Supprimer la session « {name} » ?",
+  },
+  settings: {
+    profile: "Profil du site",
+    unsaved: "(non enregistré)",
+    profileName: "Nom du profil",
+    saveProfile: "Enregistrer le profil",
+    maxConsignments: "Limite d'envois",
+    maxConsignmentsHint: "Envois expédiés sans consolidation",
+    sectionCapacity: "Capacité d'une {section}",
+    sectionCapacityHint: "{Totes} que contient une {section}",
+    sourcesPerRoute: "Sous-tournées par tournée",
+    sourcesPerRouteHint: "{Sections} d'un envoi vidées par chaque tournée",
+    orangeFrom: "Orange à partir de",
+    orangeFromHint: "{Totes} à partir desquels une cellule devient orange",
+    redFrom: "Rouge à partir de",
+    redFromHint: "{Totes} à partir desquels une cellule devient rouge",
+    bandsOutOfOrder:
+      "« Rouge à partir de » ({red}) doit dépasser « Orange à partir de » ({orange}).",
+    language: "Langue",
+    labelsHint: "Laissez vide pour utiliser les mots de la langue.",
+    zoneLabel: "Nom pour {zone}",
+    toteUnit: "Contenant (un/plusieurs)",
+    sectionUnit: "{Section} (une/plusieurs)",
+  },
+  history: {
+    empty:
+      "Aucun plan archivé. Utilisez « Archiver le plan » une fois un plan finalisé pour commencer un historique.",
+    day: "Jour",
+    allDays: "Tous les jours",
+    consolidatedTitle: "Envois consolidés par jour",
+    consolidated: "Envois consolidés",
+    avgMovedTitle: "{Totes} déplacés en moyenne par plan",
+    avgMoved: "{Totes} déplacés en moyenne",
+    unplacedTitle: "{Totes} non placés par jour",
+    unplaced: "{Totes} non placés",
+    perDay: "{label} par jour",
+    bar: { one: "{date} : {value} ({count} plan)", other: "{date} : {value} ({count} plans)" },
+    archivedPlans: "Plans archivés",
+    noMatches: "Aucun plan archivé ne correspond à ces filtres.",
+    archived: "Archivé",
+    shipments: "Expéditions",
+    totesMoved: "{Totes} déplacés",
+    unplacedShort: "Non placés",
+    details: "Détails",
+    hide: "Masquer",
+    confirmDelete: "Supprimer le plan archivé « {name} » ?",
+    settings:
+      "{strategy} · {max} envois au plus par tournée · capacité d'une {section} {amount}",
+    crossShipment: " · mouvements entre expéditions autorisés",
+    contents:
+      "{consignments} envois · {suggestions} suggestions · {routes} tournées utilisées sur le tableau",
+    noMoves: "Aucun mouvement dans ce plan.",
+    route: "Tournée",
+    from: "Depuis",
+    to: "Vers",
+    qty: "{Totes}",
+  },
+  scenarios: {
+    scenario: "Scénario",
+    maxConsignments: "Limite d'envois",
+    sectionCapacity: "Capacité d'une {section}",
+    strategy: "Stratégie",
+    routes: "Tournées",
+    totesMoved: "{Totes} déplacés",
+    splitMoves: "Mouvements fractionnés",
+    unplaced: "Non placés",
+    current: "Paramètres actuels",
+    currentStrategy: "(actuelle)",
+    notRun: "Pas encore calculé",
+    cannotPlan: "Planification impossible : {problem}",
+    makeActive: "Activer",
+    makeActiveHint: "Planifier désormais avec ces paramètres",
+    remove: "Supprimer",
+    add: "Ajouter un scénario",
+    run: "Calculer les scénarios",
+    running: "Calcul…",
+    stale:
+      "Les données, paramètres ou scénarios ont changé depuis le dernier calcul ; relancez-le pour comparer.",
+    describeCap: "{count} envois",
+    describeCapacity: "{count} {totes} par {section}",
+  },
+  review: {
+    states: {
+      draft: "Brouillon",
+      submitted: "Soumis pour validation",
+      approved: "Approuvé",
+      executed: "Exécuté",
+    },
+    stateNames: {
+      draft: "un brouillon",
+      submitted: "soumis",
+      approved: "approuvé",
+      executed: "exécuté",
+    },
+    actions: {
+      submit: "Soumettre pour validation",
+      approve: "Approuver",
+      return: "Renvoyer",
+      execute: "Marquer exécuté",
+      reopen: "Rouvrir",
+    },
+    entries: {
+      submit: "Soumis pour validation par {name}",
+      approve: "Approuvé par {name}",
+      return: "Renvoyé en brouillon par {name}",
+      execute: "Marqué exécuté par {name}",
+      reopen: "Rouvert par {name}",
+    },
+    entryNote: "{entry} : {note}",
+    yourName: "Votre nom",
+    plannerName: "Nom du planificateur",
+    note: "Note (facultative)",
+    noteLabel: "Note de validation",
+    needName: "Saisissez votre nom avant de changer le statut du plan.",
+    ownApproval: "Le plan doit être approuvé par une autre personne que celle qui l'a soumis.",
+  },
+  print: {
+    title: "Mouvements de consolidation",
+    titleNamed: "Mouvements de consolidation – {name}",
+    fromBoard: "D'après le tableau des tournées",
+    fromSuggestions: "D'après les suggestions de consolidation",
+    printed: "imprimé le {time}",
+    stillPickingNote:
+      "Les sections marquées « prélèvement en cours » ne sont pas terminées ; vérifiez les {totes} avant de les déplacer.",
+    noMoves: "Aucun mouvement planifié.",
+    subRoute: "Sous-tournée",
+    from: "Depuis",
+    to: "Vers",
+    qty: "{Totes}",
+    done: "Fait",
+    stillPicking: "prélèvement en cours",
+    trailEntry: "{time} : {entry}",
+  },
+  csv: {
+    route: "Tournée",
+    subRoute: "Sous-tournée",
+    shipment: "Expédition",
+    from: "Envoi d'origine",
+    toShipment: "Expédition de destination",
+    to: "Envoi de destination",
+    temperature: "Température",
+    qty: "{Totes}",
+  },
+  engine: {
+    source: {
+      one: "Origine : {rank} plus petit envoi ({count} {tote})",
+      other: "Origine : {rank} plus petit envoi ({count} {totes})",
+    },
+    sourceSkipped: {
+      one:
+        "Origine : {rank} plus petit envoi ({count} {tote}) ; envois verrouillés ou exclus ignorés : {skipped}",
+      other:
+        "Origine : {rank} plus petit envoi ({count} {totes}) ; envois verrouillés ou exclus ignorés : {skipped}",
+    },
+    sourceBySearch: {
+      one: "Origine : {rank} plus petit envoi ({count} {tote}), choisi par la recherche optimale",
+      other:
+        "Origine : {rank} plus petit envoi ({count} {totes}), choisi par la recherche optimale",
+    },
+    sourceBySearchSkipped: {
+      one:
+        "Origine : {rank} plus petit envoi ({count} {tote}), choisi par la recherche optimale ; envois verrouillés ou exclus ignorés : {skipped}",
+      other:
+        "Origine : {rank} plus petit envoi ({count} {totes}), choisi par la recherche optimale ; envois verrouillés ou exclus ignorés : {skipped}",
+    },
+    bestFit: "Destination : meilleur ajustement, {free} libres après le déplacement",
+    mostSpace: "Destination : aucune ne prend les {count}, la plus d'espace libre ({space})",
+    packed: "Destination : rangement de la recherche optimale, {free} libres après le déplacement",
+    noSections: "Aucune destination : pas d'autre {section} {zone}",
+    noSectionsInShipment:
+      "Aucune destination : pas d'autre {section} {zone} dans l'expédition {shipment}",
+    allFull: "Aucune destination : toutes les {sections} {zone} restantes sont pleines",
+    allFullOrUsed:
+      "Aucune destination : toutes les {sections} {zone} restantes sont pleines ou déjà utilisées",
+    emptiedAndFilled: "{consignment} ({zone}) est vidé ici et rempli ailleurs",
+    filledAndEmptied: "{consignment} ({zone}) est rempli ici et vidé ailleurs",
+    temperature: "{consignment} est en {zone} mais {fromConsignment} est en {fromZone}",
+    overCapacity: "{consignment} ({zone}) contiendrait {projected}/{capacity} {totes}",
+    noLongerInData: "{consignment} ne figure plus dans les données",
+    nowEmpty: "{consignment} ({zone}) ne contient plus aucun {tote}",
+    sourceChanged: {
+      one: "{consignment} ({zone}) contient maintenant {count} {tote}, et non {was}",
+      other: "{consignment} ({zone}) contient maintenant {count} {totes}, et non {was}",
+    },
+    noConsignment: "Pas d'envoi",
+    notWholeNumber: "{setting} doit être un nombre entier supérieur à 0",
+    unknownStrategy: "stratégie inconnue « {strategy} »",
+  },
+};
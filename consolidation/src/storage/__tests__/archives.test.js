@@ -0,0 +1,35 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { archivePlan, deleteArchive, listArchives, loadArchive } from "../archives.js";
+import { memoryStorage } from "./memoryStorage.js";
+
+const entry = (name) => ({ name, date: "2026-10-19", shipments: ["S1"], moves: [] });
+
+describe("plan archives", () => {
+  beforeEach(() => {
+    vi.stubGlobal("localStorage", memoryStorage());
+  });
+
+  it("keeps every archived plan under its own id", () => {
+    const first = archivePlan(entry("wave1.csv"));
+    const second = archivePlan(entry("wave1.csv"));
+    expect(first.id).not.toBe(second.id);
+    expect(listArchives().map((a) => a.id)).toEqual([first.id, second.id]);
+    expect(loadArchive(second.id)).toEqual(second);
+  });
+
+  it("deletes an archived plan", () => {
+    const saved = archivePlan(entry("wave1.csv"));
+    expect(deleteArchive(saved.id)).toEqual([]);
+    expect(loadArchive(saved.id)).toBeNull();
+  });
+
+  it("reports a full store instead of throwing", () => {
+    vi.stubGlobal("localStorage", {
+      ...memoryStorage(),
+      setItem: () => {
+        throw new Error("QuotaExceededError");
+      },
+    });
+    expect(archivePlan(entry("wave1.csv"))).toBeNull();
+  });
+});
@@ -0,0 +1,131 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  createSession,
+  deleteSession,
+  duplicateSession,
+  listSessions,
+  loadCurrentSession,
+  loadSession,
+  MAX_SESSIONS,
+  saveCurrentSessionId,
+  saveSession,
+} from "../sessions.js";
+import { memoryStorage } from "./memoryStorage.js";
+
+const monday = new Date("2026-10-19T06:00:00Z");
+const tuesday = new Date("2026-10-20T06:00:00Z");
+
+const upload = (name, now) =>
+  createSession(
+    {
+      name,
+      rows: [{ Consignment: "C01" }],
+      config: { maxConsignments: 9 },
+      routes: [{ id: 1, subRoutes: [] }],
+    },
+    now
+  );
+
+describe("planning sessions", () => {
+  beforeEach(() => {
+    vi.stubGlobal("localStorage", memoryStorage());
+  });
+
+  it("saves sessions and lists the most recently updated first", () => {
+    saveSession(upload("early.csv", monday), monday);
+    saveSession(upload("late.csv", tuesday), tuesday);
+    expect(listSessions().map((s) => s.name)).toEqual(["late.csv", "early.csv"]);
+  });
+
+  it("updates a session in place and bumps its timestamp", () => {
+    const session = saveSession(upload("wave1.csv", monday), monday);
+    saveSession({ ...session, routes: [] }, tuesday);
+    const saved = loadSession(session.id);
+    expect(listSessions()).toHaveLength(1);
+    expect(saved.routes).toEqual([]);
+    expect(saved.createdAt).toBe(monday.toISOString());
+    expect(saved.updatedAt).toBe(tuesday.toISOString());
+  });
+
+  it("restores the session that was open last", () => {
+    const session = saveSession(upload("wave1.csv", monday), monday);
+    saveCurrentSessionId(session.id);
+    expect(loadCurrentSession()).toEqual(session);
+  });
+
+  it("duplicates a session under a new id", () => {
+    const session = saveSession(upload("wave1.csv", monday), monday);
+    const copy = duplicateSession(session.id, tuesday);
+    expect(copy.id).not.toBe(session.id);
+    expect(copy.name).toBe("wave1.csv (copy)");
+    expect(copy.routes).toEqual(session.routes);
+    expect(listSessions()).toHaveLength(2);
+  });
+
+  it("starts a duplicate as a new draft", () => {
+    const approved = { state: "approved", trail: [{ action: "approve", by: "Sam" }] };
+    const session = saveSession({ ...upload("wave1.csv", monday), review: approved }, monday);
+    expect(duplicateSession(session.id, tuesday).review).toEqual({ state: "draft", trail: [] });
+  });
+
+  it("reports a full store instead of claiming the session was saved", () => {
+    vi.stubGlobal("localStorage", {
+      ...memoryStorage(),
+      setItem: () => {
+        throw new Error("QuotaExceededError");
+      },
+    });
+    expect(saveSession(upload("wave1.csv", monday), monday)).toBeNull();
+  });
+
+  it("keeps only the most recently saved sessions", () => {
+    const first = saveSession(upload("first.csv", monday), monday);
+    for (let i = 1; i <= MAX_SESSIONS; i += 1) {
+      saveSession(upload(`wave${i}.csv`, tuesday), new Date(tuesday.getTime() + i));
+    }
+    expect(listSessions()).toHaveLength(MAX_SESSIONS);
+    expect(loadSession(first.id)).toBeNull();
+  });
+
+  it("drops the oldest sessions when storage is full rather than losing the open one", () => {
+    const storage = memoryStorage();
+    const stored = new Map();
+    vi.stubGlobal("localStorage", {
+      ...storage,
+      setItem: (key, value) => {
+        const others = [...stored].filter(([k]) => k !== key);
+        if (others.reduce((sum, [, v]) => sum + v.length, 0) + value.length > 1200) {
+          throw new Error("QuotaExceededError");
+        }
+        stored.set(key, value);
+        storage.setItem(key, value);
+      },
+      removeItem: (key) => {
+        stored.delete(key);
+        storage.removeItem(key);
+      },
+    });
+    const old = saveSession(upload("old.csv", monday), monday);
+    const recent = saveSession(upload("recent.csv", monday), new Date(monday.getTime() + 1));
+    const large = { ...upload("open.csv", tuesday), rows: [{ Consignment: "C".repeat(300) }] };
+    const open = saveSession(large, tuesday);
+    expect(open).not.toBeNull();
+    expect(loadSession(old.id)).toBeNull();
+    expect(listSessions().map((s) => s.id)).toEqual([open.id, recent.id]);
+  });
+
+  it("splits up sessions saved in full under the index by older versions", () => {
+    const session = upload("wave1.csv", monday);
+    localStorage.setItem("consolidation.sessions", JSON.stringify([session]));
+    const { id, name, createdAt, updatedAt } = session;
+    expect(listSessions()).toEqual([{ id, name, createdAt, updatedAt }]);
+    expect(loadSession(session.id)).toEqual(session);
+  });
+
+  it("deletes a session and forgets it as the current one", () => {
+    const session = saveSession(upload("wave1.csv", monday), monday);
+    saveCurrentSessionId(session.id);
+    expect(deleteSession(session.id)).toEqual([]);
+    expect(loadCurrentSession()).toBeNull();
+  });
+});
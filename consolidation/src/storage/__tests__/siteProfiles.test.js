@@ -0,0 +1,44 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { DEFAULT_CONFIG } from "../../engine/index.js";
+import {
+  deleteSiteProfile,
+  loadInitialConfig,
+  loadSiteProfiles,
+  saveActiveProfileName,
+  saveSiteProfile,
+} from "../siteProfiles.js";
+import { memoryStorage } from "./memoryStorage.js";
+
+describe("site profiles", () => {
+  beforeEach(() => {
+    vi.stubGlobal("localStorage", memoryStorage());
+  });
+
+  it("starts from the defaults when nothing is saved", () => {
+    expect(loadSiteProfiles()).toEqual({});
+    expect(loadInitialConfig()).toEqual(DEFAULT_CONFIG);
+  });
+
+  it("saves complete configs by name and restores the active one", () => {
+    saveSiteProfile("Leeds", { sectionCapacity: 45 });
+    saveActiveProfileName("Leeds");
+    expect(loadSiteProfiles().Leeds).toEqual({ ...DEFAULT_CONFIG, sectionCapacity: 45 });
+    expect(loadInitialConfig().sectionCapacity).toBe(45);
+  });
+
+  it("forgets the active profile when it is deleted", () => {
+    saveSiteProfile("Leeds", { sectionCapacity: 45 });
+    saveActiveProfileName("Leeds");
+    expect(deleteSiteProfile("Leeds")).toEqual({});
+    expect(loadInitialConfig()).toEqual(DEFAULT_CONFIG);
+  });
+
+  it("falls back to defaults when storage is unavailable", () => {
+    vi.stubGlobal("localStorage", {
+      getItem: () => {
+        throw new Error("denied");
+      },
+    });
+    expect(loadInitialConfig()).toEqual(DEFAULT_CONFIG);
+  });
+});
@@ -0,0 +1,23 @@
+import { readJson, writeJson } from "./local.js";
+
+const ARCHIVES_KEY = "consolidation.archives";
+
+const newArchiveId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+// Finalised plans, oldest first as stored; see engine/archive.js for the entry shape.
+export const listArchives = () => readJson(ARCHIVES_KEY, []);
+
+export const loadArchive = (id) => listArchives().find((a) => a.id === id) ?? null;
+
+// Returns the saved entry, or null when storage is full or unavailable.
+export const archivePlan = (entry) => {
+  const saved = { ...entry, id: newArchiveId() };
+  return writeJson(ARCHIVES_KEY, [...listArchives(), saved]) ? saved : null;
+};
+
+export const deleteArchive = (id) => {
+  const remaining = listArchives().filter((a) => a.id !== id);
+  writeJson(ARCHIVES_KEY, remaining);
+  return remaining;
+};
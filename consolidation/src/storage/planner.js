@@ -0,0 +1,9 @@
+import { readJson, writeJson } from "./local.js";
+
+const PLANNER_KEY = "consolidation.plannerName";
+
+// The name this browser signs plan reviews with. There is no login; it is
+// remembered so a planner doesn't retype it for every transition.
+export const loadPlannerName = () => readJson(PLANNER_KEY, "");
+
+export const savePlannerName = (name) => writeJson(PLANNER_KEY, name);
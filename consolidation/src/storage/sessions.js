@@ -0,0 +1,111 @@
+import { createReview } from "../engine/index.js";
+import { readJson, removeKey, writeJson } from "./local.js";
+
+// Each session is stored under its own key, so an autosave only rewrites the
+// open session; the index lists them all without their rows. Older browsers
+// kept every session in full under the index key, and are split up on read.
+const INDEX_KEY = "consolidation.sessions";
+const CURRENT_KEY = "consolidation.currentSession";
+const sessionStorageKey = (id) => `consolidation.session.${id}`;
+
+// Only the most recently saved sessions are kept, so uploads can't fill the browser.
+export const MAX_SESSIONS = 20;
+
+const newSessionId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+// A session is everything needed to rebuild the screen: the raw CSV rows, the
+// settings they were planned with, the route board as the planner left it and
+// the moves recorded as executed on the floor, the sections the planner has
+// locked or excluded, and where the plan stands in review and sign-off.
+export const createSession = (
+  { name, rows, config, routes, execution = {}, sectionRules = {}, review = createReview() },
+  now = new Date()
+) => ({
+  id: newSessionId(),
+  name,
+  createdAt: now.toISOString(),
+  updatedAt: now.toISOString(),
+  rows,
+  config,
+  routes,
+  execution,
+  sectionRules,
+  review,
+});
+
+const indexEntry = ({ id, name, createdAt, updatedAt }) => ({ id, name, createdAt, updatedAt });
+
+const byNewest = (a, b) => b.updatedAt.localeCompare(a.updatedAt);
+
+const readIndex = () => {
+  const index = readJson(INDEX_KEY, []);
+  if (!index.some((s) => s.rows)) return index;
+  index.forEach((s) => writeJson(sessionStorageKey(s.id), s));
+  const migrated = index.map(indexEntry);
+  writeJson(INDEX_KEY, migrated);
+  return migrated;
+};
+
+const forget = (ids) => ids.forEach((id) => removeKey(sessionStorageKey(id)));
+
+// { id, name, createdAt, updatedAt } of each saved session, newest first.
+export const listSessions = () => readIndex().slice().sort(byNewest);
+
+export const loadSession = (id) => {
+  readIndex();
+  return readJson(sessionStorageKey(id), null);
+};
+
+// The saved session, or null when the browser wouldn't store it (full or
+// unavailable). When storage is full the oldest other sessions are dropped
+// to make room for this one.
+export const saveSession = (session, now = new Date()) => {
+  const saved = { ...session, updatedAt: now.toISOString() };
+  const others = listSessions().filter((s) => s.id !== session.id);
+  while (!writeJson(sessionStorageKey(saved.id), saved)) {
+    const oldest = others.pop();
+    if (!oldest) return null;
+    forget([oldest.id]);
+  }
+  const kept = others.slice(0, MAX_SESSIONS - 1);
+  forget(others.slice(MAX_SESSIONS - 1).map((s) => s.id));
+  return writeJson(INDEX_KEY, [...kept, indexEntry(saved)]) ? saved : null;
+};
+
+export const deleteSession = (id) => {
+  writeJson(INDEX_KEY, readIndex().filter((s) => s.id !== id));
+  forget([id]);
+  if (loadCurrentSessionId() === id) {
+    saveCurrentSessionId(null);
+  }
+  return listSessions();
+};
+
+// The copy is a new draft; sign-off belongs to the original.
+export const duplicateSession = (id, now = new Date()) => {
+  const original = loadSession(id);
+  if (!original) return null;
+  const copy = createSession(
+    {
+      name: `${original.name} (copy)`,
+      rows: original.rows,
+      config: original.config,
+      routes: original.routes,
+      execution: original.execution,
+      sectionRules: original.sectionRules,
+    },
+    now
+  );
+  return saveSession(copy, now);
+};
+
+export const loadCurrentSessionId = () => readJson(CURRENT_KEY, null);
+
+export const saveCurrentSessionId = (id) => writeJson(CURRENT_KEY, id);
+
+// The session that was open when the page was last closed, if it still exists.
+export const loadCurrentSession = () => {
+  const id = loadCurrentSessionId();
+  return id ? loadSession(id) : null;
+};
@@ -0,0 +1,35 @@
+import { resolveConfig } from "../engine/index.js";
+import { readJson, writeJson } from "./local.js";
+
+const PROFILES_KEY = "consolidation.siteProfiles";
+const ACTIVE_KEY = "consolidation.activeSiteProfile";
+
+// Profiles are stored as { [name]: config }.
+export const loadSiteProfiles = () => readJson(PROFILES_KEY, {});
+
+export const saveSiteProfile = (name, config) => {
+  const profiles = { ...loadSiteProfiles(), [name]: resolveConfig(config) };
+  writeJson(PROFILES_KEY, profiles);
+  return profiles;
+};
+
+export const deleteSiteProfile = (name) => {
+  const profiles = { ...loadSiteProfiles() };
+  delete profiles[name];
+  writeJson(PROFILES_KEY, profiles);
+  if (loadActiveProfileName() === name) {
+    writeJson(ACTIVE_KEY, null);
+  }
+  return profiles;
+};
+
+export const loadActiveProfileName = () => readJson(ACTIVE_KEY, null);
+
+export const saveActiveProfileName = (name) => writeJson(ACTIVE_KEY, name);
+
+// Config to start the app with: the last used profile, or the defaults.
+export const loadInitialConfig = () => {
+  const name = loadActiveProfileName();
+  const profiles = loadSiteProfiles();
+  return resolveConfig(name && profiles[name] ? profiles[name] : {});
+};
@@ -0,0 +1,83 @@
+import { comparePlans, runScenarios } from "../engine/index.js";
+
+let worker = null;
+let nextRequestId = 0;
+const pending = new Map();
+
+const getWorker = () => {
+  if (worker || typeof Worker === "undefined") return worker;
+
+  worker = new Worker(new URL("./planWorker.js", import.meta.url), { type: "module" });
+  worker.onmessage = (e) => {
+    const { requestId, result, error } = e.data;
+    const request = pending.get(requestId);
+    if (!request) return;
+    pending.delete(requestId);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  };
+  worker.onerror = (e) => {
+    pending.forEach((request) => request.reject(new Error(e.message)));
+    pending.clear();
+  };
+  return worker;
+};
+
+// Set VITE_PLAN_API_URL to plan on the local server (npm run serve:api) instead.
+const PLAN_API_URL = import.meta.env?.VITE_PLAN_API_URL;
+
+// A server that hasn't answered by then is given up on, so the worker plans instead.
+const PLAN_API_TIMEOUT_MS = 15000;
+
+const comparePlansOnServer = async (rows, config, sectionRules) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PLAN_API_TIMEOUT_MS);
+  try {
+    const res = await fetch(`${PLAN_API_URL.replace(/\/$/, "")}/compare`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ rows, config, sectionRules }),
+      signal: controller.signal,
+    });
+    const body = await res.json();
+    if (!res.ok) throw new Error(body.error ?? `Plan server answered ${res.status}.`);
+    return body.plans;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Posts a request to the worker and resolves with its result.
+const requestWorker = (w, message) => {
+  nextRequestId += 1;
+  const requestId = nextRequestId;
+  return new Promise((resolve, reject) => {
+    pending.set(requestId, { resolve, reject });
+    w.postMessage({ requestId, ...message });
+  });
+};
+
+const comparePlansLocally = (rows, config, sectionRules) => {
+  const w = getWorker();
+  if (!w) return Promise.resolve(comparePlans(rows, config, sectionRules));
+  return requestWorker(w, { rows, config, sectionRules });
+};
+
+// Resolves with { [strategy]: plan }. Uses the plan server when one is configured and
+// reachable, otherwise a worker, falling back to the main thread where workers are unavailable.
+export const comparePlansInWorker = (rows, config, sectionRules) => {
+  if (!PLAN_API_URL) return comparePlansLocally(rows, config, sectionRules);
+  return comparePlansOnServer(rows, config, sectionRules).catch(() =>
+    comparePlansLocally(rows, config, sectionRules)
+  );
+};
+
+// Resolves with one result per what-if scenario; see engine/scenarios.js.
+export const runScenariosInWorker = (rows, config, scenarios, sectionRules) => {
+  const w = getWorker();
+  if (!w) return Promise.resolve(runScenarios(rows, config, scenarios, sectionRules));
+  return requestWorker(w, { rows, config, sectionRules, scenarios });
+};
@@ -0,0 +1,16 @@
+import { comparePlans, runScenarios } from "../engine/index.js";
+
+// Runs every strategy, or every what-if scenario, off the main thread; the
+// optimal search can take a while on big CSVs.
+self.onmessage = (e) => {
+  const { requestId, rows, config, sectionRules, scenarios } = e.data;
+  try {
+    if (scenarios) {
+      self.postMessage({ requestId, result: runScenarios(rows, config, scenarios, sectionRules) });
+    } else {
+      self.postMessage({ requestId, result: comparePlans(rows, config, sectionRules) });
+    }
+  } catch (err) {
+    self.postMessage({ requestId, error: err.message });
+  }
+};